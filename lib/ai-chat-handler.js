@@ -1,98 +1,173 @@
-import { generateText } from 'ai';
-import { openai } from '@ai-sdk/openai';
-import { createConversationStore } from './conversation-store.js';
+import { generateText, streamText } from 'ai';
+import { createConversationStore, conversationTarget } from './conversation-store.js';
 import { llmTools } from './llm-tools.js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import * as imessage from '../index.js';
-import { execSync } from 'child_process';
+import { outboundQueue } from './outbound-queue.js';
+import { createAttachmentPipeline } from './attachment-pipeline.js';
+import { createToolContext, runWithToolContext, TOOL_PERMISSIONS } from './tool-context.js';
+import { createWorkScheduler } from './work-scheduler.js';
+import { modelRegistry } from './model-registry.js';
+import { createContextManager } from './context-manager.js';
+import { userMemory } from './user-memory.js';
+import { createPromptManager, renderTemplate } from './prompt-manager.js';
+import { createBubbleSplitter } from './reply-bubbles.js';
 
 // Load environment variables
 dotenv.config();
 
-// Get the directory path for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
 /**
  * AI Chat Handler - Main orchestrator for LLM-powered conversations
  * Uses AI SDK Core with function calling and conversation management
  */
 class AIChatHandler {
     constructor(options = {}) {
-        // Check for OpenAI API key
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY environment variable is required');
-        }
-
-        // Ensure we properly initialize the model
-        const modelName =
-            options.modelName || process.env.AI_MODEL || 'gpt-4o-mini';
-        this.model = openai(modelName);
+        // Tool-heavy turns use the chat model chain (AI_MODEL, or modelName);
+        // throws when none of its providers has credentials. A model option
+        // must be a language model object; a string is read as modelName
+        this.models = options.modelRegistry || modelRegistry;
+        this.model =
+            options.model && typeof options.model === 'object'
+                ? options.model
+                : this.models.getModel('chat', options.modelName || options.model || null);
         this.conversationStore =
             options.conversationStore || createConversationStore();
-        this.systemPrompt =
-            options.systemPrompt || this.getDefaultSystemPrompt();
+        // System prompt templates and personas (lib/system_prompt.md, lib/prompts/);
+        // a systemPrompt option replaces the files with a fixed template
+        this.prompts =
+            options.promptManager ||
+            createPromptManager({ conversationStore: this.conversationStore });
+        this.systemPrompt = options.systemPrompt || null;
         this.maxSteps = options.maxSteps || 10; // Allow multi-step tool calling
+        // Queue reply bubbles as each generation step finishes, instead of
+        // after the whole reply (AI_STREAM_REPLIES=true)
+        this.streamReplies = options.streamReplies ?? process.env.AI_STREAM_REPLIES === 'true';
+        this.displayNames = new Map(); // handle -> contact name, for group history
+        this.attachmentPipeline =
+            options.attachmentPipeline || createAttachmentPipeline();
+        // Token budget and rolling summary per conversation
+        this.contextManager =
+            options.contextManager ||
+            createContextManager({ conversationStore: this.conversationStore, modelRegistry: this.models });
+        // Long-term facts about each handle, kept next to the conversations
+        this.memory = (options.memory || userMemory).useStore(this.conversationStore);
+        // Replies to one conversation run in order; across conversations at
+        // most AI_MAX_CONCURRENCY generations hit the provider at once
+        this.workScheduler =
+            options.workScheduler ||
+            createWorkScheduler({
+                name: 'ai',
+                maxConcurrency: Number(process.env.AI_MAX_CONCURRENCY) || 4,
+            });
 
         console.log(
-            chalk.blue('🤖 AI Chat Handler initialized with model:', modelName)
+            chalk.blue('🤖 AI Chat Handler initialized with model:', this.model.modelId)
         );
     }
 
     /**
      * Handle an incoming message and decide whether to respond or wait
+     * @param {object} options - { recorded: the message (and any burst before
+     *   it) is already in history, abortSignal: cancels the generation when a
+     *   newer message supersedes it, dryRun: tools and the reply only report
+     *   what they would do }
+     */
+    async handleIncomingMessage(incomingMessage, options = {}) {
+        const { key } = conversationTarget(incomingMessage);
+        const stats = this.workScheduler.stats(key);
+        if (stats.queuedForKey > 0 || stats.running >= stats.maxConcurrency) {
+            console.log(
+                chalk.gray(`⏳ Reply to ${key} queued (${stats.queued} waiting, ${stats.running}/${stats.maxConcurrency} generating)`)
+            );
+        }
+
+        return this.workScheduler.run(key, () =>
+            // Superseded while it waited for its turn
+            options.abortSignal?.aborted
+                ? { success: false, superseded: true }
+                : this.respondToMessage(incomingMessage, options)
+        );
+    }
+
+    /**
+     * Generate and send the reply to one message (runs inside the work scheduler)
      */
-    async handleIncomingMessage(incomingMessage) {
-        const { handle, text: messageText, group: isGroup } = incomingMessage;
+    async respondToMessage(incomingMessage, options = {}) {
+        const { recorded = false, abortSignal = null } = options;
+        const dryRun = options.dryRun ?? process.env.AI_DRY_RUN === 'true';
+        const { handle, text: messageText } = incomingMessage;
+        // Group chats share one history keyed by the chat, DMs are keyed by handle
+        const { key: conversationKey, chatId } = conversationTarget(incomingMessage);
 
         console.log(
             chalk.yellow(
-                `\n🧠 AI processing message from ${handle}: "${messageText}"`
+                `\n🧠 AI processing message from ${handle}${chatId ? ` in ${chatId}` : ''}: "${messageText}"`
             )
         );
 
         try {
-            // Set the current message handle for tools to use
-            global.currentMessageHandle = handle;
-
-            // Add the incoming message to conversation history
-            await this.conversationStore.addMessage(
-                handle,
-                'user',
-                messageText
-            );
-
-            // Get conversation history for context
-            const conversation =
-                await this.conversationStore.getConversation(handle);
-
-            // Build messages array for AI SDK
+            // Add the incoming message to conversation history (a dry run
+            // only pretends to, and leaves the stored history untouched)
+            const conversation = recorded
+                ? await this.conversationStore.getConversation(conversationKey)
+                : dryRun
+                  ? await this.previewIncomingMessage(incomingMessage)
+                  : await this.recordIncomingMessage(incomingMessage);
+            const participants = chatId ? await this.getParticipants(chatId) : [];
+            const senderName = await this.displayNameFor(handle);
+            const memories = await this.memory.list(handle);
+            // Captured now: the in-memory store shares this object, so it will
+            // hold the reply once that is saved
+            const latestTexts = this.latestFrom(handle, conversation.messages).map((msg) => msg.content);
+
+            // Build messages array for AI SDK: the conversation's prompt and the
+            // summary of older turns, then as many recent messages as the budget allows
+            const prepared = this.contextManager.prepare(conversation, {
+                model: this.model,
+                systemPrompt: this.getSystemPromptWithContext(
+                    handle,
+                    conversation.context?.chat,
+                    participants,
+                    senderName,
+                    memories,
+                    conversation.context?.prompt?.name
+                ),
+            });
             const messages = [
-                {
-                    role: 'system',
-                    content: this.getSystemPromptWithContext(handle),
-                },
-                ...conversation.messages.map((msg) => ({
-                    role: msg.role,
-                    content: msg.content,
-                    toolCalls: msg.toolCalls,
-                    toolResults: msg.toolResults,
-                })),
+                { role: 'system', content: prepared.systemPrompt },
+                ...this.toModelMessages(prepared.messages),
             ];
 
-            // Generate response with tool calling
-            const result = await generateText({
+            // Tools act for this conversation only, even while others are generating
+            const toolContext = createToolContext({
+                handle,
+                chatId,
+                profile: { name: senderName, chatName: conversation.context?.chat?.name || null },
+                dryRun,
+            });
+
+            // Generate response with tool calling; when streaming, the reply
+            // is queued bubble by bubble while it is generated
+            const generation = {
                 model: this.model,
                 messages,
                 tools: llmTools,
                 maxSteps: this.maxSteps,
                 temperature: 0.7,
                 maxTokens: 500,
-            });
+                ...(abortSignal ? { abortSignal } : {}),
+            };
+            const result =
+                this.streamReplies && !toolContext.dryRun
+                    ? await this.streamReply(generation, { toolContext, incomingMessage, conversationKey })
+                    : await runWithToolContext(toolContext, () => generateText(generation));
+
+            // A newer message arrived while we were generating; the reply to
+            // it will cover this one, so drop this result unsaved and unsent
+            if (abortSignal?.aborted) {
+                return { success: false, superseded: true };
+            }
 
             // Log AI decision
             console.log(chalk.green('🤖 AI Response:'), result.text);
@@ -109,14 +184,16 @@ class AIChatHandler {
                 );
             }
 
-            // Save AI response to conversation history
-            await this.conversationStore.addMessage(
-                handle,
-                'assistant',
-                result.text,
-                result.toolCalls,
-                result.toolResults
-            );
+            // Save AI response to conversation history (a dry-run reply was never sent)
+            if (!toolContext.dryRun) {
+                await this.conversationStore.addMessage(
+                    conversationKey,
+                    'assistant',
+                    result.text,
+                    result.toolCalls,
+                    result.toolResults
+                );
+            }
 
             // AUTO-SEND LOGIC: By default, send the AI's text response back to the user
             // Only skip if the AI explicitly called waitForMoreInput or skipResponse
@@ -124,7 +201,13 @@ class AIChatHandler {
                 (call) => call.toolName === 'waitForMoreInput' || call.toolName === 'skipResponse'
             );
 
-            if (!shouldSkipResponse && result.text && result.text.trim().length > 0) {
+            let queuedMessageIds = [];
+            if (toolContext.dryRun) {
+                console.log(chalk.yellow(`🧪 Dry run: not sending the reply to ${chatId || handle}`));
+            } else if (result.streamed) {
+                // Already queued while streaming
+                queuedMessageIds = result.messageIds;
+            } else if (!shouldSkipResponse && result.text && result.text.trim().length > 0) {
                 try {
                     // Split response by line breaks to send multiple messages (texting style)
                     const messages = result.text
@@ -132,36 +215,43 @@ class AIChatHandler {
                         .map(msg => msg.trim())
                         .filter(msg => msg.length > 0);
                     
-                    console.log(chalk.blue(`📤 Auto-sending ${messages.length} message(s) to ${handle}`));
+                    console.log(chalk.blue(`📤 Queueing ${messages.length} message(s) to ${chatId || handle}`));
                     
-                    // Send each message separately with delays for natural texting feel
-                    for (let i = 0; i < messages.length; i++) {
-                        const message = messages[i];
-                        
-                        // Add 2 second delay before each message
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                        
-                        // Use AppleScript with explicit iMessage service for consistent blue messages
-                        // No "activate" command means it runs in background without switching windows
-                        const appleScript = `
-                        tell application "Messages"
-                            set serviceID to id of 1st service whose service type = iMessage
-                            send "${message.replace(/"/g, '\\"')}" to buddy "${handle}" of service id serviceID
-                        end tell
-                        `;
-                        
-                        execSync(`osascript -e '${appleScript}'`);
-                        
-                        console.log(chalk.green(`✅ Sent ${i + 1}/${messages.length}: "${message}"`));
-                    }
+                    // Each line goes out separately, in order, after a typing delay.
+                    // Groups are answered in the group; DMs go through the explicit
+                    // iMessage service for consistent blue messages. Keying on the
+                    // incoming guid means a reprocessed message isn't answered twice
+                    messages.forEach((message, i) => {
+                        const job = outboundQueue.enqueue({
+                            handle,
+                            chatId,
+                            text: message,
+                            idempotencyKey: incomingMessage.guid ? `${incomingMessage.guid}:reply:${i}` : null,
+                        });
+                        queuedMessageIds.push(job.id);
+                    });
                 } catch (error) {
                     console.error(chalk.red('❌ Failed to auto-send response:'), error);
                 }
             }
 
+            // With the reply already queued, learn from the turn in the
+            // background, so this conversation's slot is free for the next reply
+            if (!toolContext.dryRun) {
+                this.afterReply(conversationKey, handle, {
+                    messages: latestTexts,
+                    reply: result.text,
+                    name: senderName,
+                    conversation: conversationKey,
+                    guid: incomingMessage.guid || null,
+                });
+            }
+
             // Calculate message count for logging
             let messageCount = 0;
-            if (!shouldSkipResponse && result.text && result.text.trim().length > 0) {
+            if (result.streamed) {
+                messageCount = queuedMessageIds.length;
+            } else if (!shouldSkipResponse && result.text && result.text.trim().length > 0) {
                 messageCount = result.text
                     .split('\n')
                     .map(msg => msg.trim())
@@ -174,11 +264,16 @@ class AIChatHandler {
                 toolCalls: result.toolCalls || [],
                 toolResults: result.toolResults || [],
                 conversationContinues: this.shouldContinueConversation(result),
-                autoSent: !shouldSkipResponse,
+                autoSent: result.streamed ? queuedMessageIds.length > 0 : !shouldSkipResponse && !toolContext.dryRun,
+                dryRun: toolContext.dryRun,
                 messageCount: messageCount,
+                messageIds: queuedMessageIds, // Outbound queue ids, see GET /messages/:messageId/status
                 rawResult: result,
             };
         } catch (error) {
+            if (abortSignal?.aborted) {
+                return { success: false, superseded: true };
+            }
             console.error(chalk.red('❌ Error handling message:'), error);
 
             return {
@@ -186,10 +281,228 @@ class AIChatHandler {
                 error: error.message,
                 fallbackAction: 'Could not process message with AI',
             };
+        }
+    }
+
+    /**
+     * Generate a reply with streamText and queue its bubbles (a line, or a
+     * finished sentence once there is enough text) step by step, as each
+     * step of the generation finishes; the outbound queue still paces them
+     * with a typing delay
+     * A step's bubbles are only sent once the step ends without a
+     * skipResponse or waitForMoreInput call, and none are sent after one. If
+     * a newer message supersedes the reply halfway, the bubbles already
+     * queued are saved to history, since the person will see them
+     * @returns {Promise<object>} a generateText-like result with the queued messageIds
+     */
+    async streamReply(generation, { toolContext, incomingMessage, conversationKey }) {
+        const { handle, chatId } = toolContext;
+        const { abortSignal } = generation;
+        const splitter = createBubbleSplitter();
+        const bubbles = [];
+        const messageIds = [];
+        let held = []; // bubbles of the current step
+        let stopped = false;
+
+        const send = (bubble) => {
+            if (stopped || abortSignal?.aborted) return;
+            const job = outboundQueue.enqueue({
+                handle,
+                chatId,
+                text: bubble,
+                // Same keys as a non-streamed reply, so reprocessing never doubles it
+                idempotencyKey: incomingMessage.guid ? `${incomingMessage.guid}:reply:${bubbles.length}` : null,
+            });
+            bubbles.push(bubble);
+            messageIds.push(job.id);
+            console.log(chalk.blue(`📤 Queued bubble ${bubbles.length} to ${chatId || handle}`));
+        };
+
+        // The step is over: text before a tool call is a bubble of its own
+        const endStep = () => {
+            held.push(...splitter.flush());
+            held.forEach(send);
+            held = [];
+        };
+
+        let steps = [];
+        try {
+            // Tools run while the stream is read, so read it inside the tool context too
+            await runWithToolContext(toolContext, async () => {
+                const stream = streamText(generation);
+                for await (const part of stream.fullStream) {
+                    if (part.type === 'text-delta') {
+                        held.push(...splitter.push(part.textDelta));
+                    } else if (part.type === 'tool-call') {
+                        if (part.toolName === 'skipResponse' || part.toolName === 'waitForMoreInput') {
+                            stopped = true;
+                        }
+                    } else if (part.type === 'step-finish') {
+                        endStep();
+                    } else if (part.type === 'error') {
+                        throw part.error;
+                    }
+                }
+                endStep();
+                steps = await stream.steps;
+            });
         } finally {
-            // Clean up global state
-            global.currentMessageHandle = null;
+            if (abortSignal?.aborted && bubbles.length > 0) {
+                await this.conversationStore.addMessage(conversationKey, 'assistant', bubbles.join('\n'));
+                console.log(chalk.gray(`✂️ Reply to ${conversationKey} superseded after ${bubbles.length} bubble(s)`));
+            }
         }
+
+        return {
+            text: bubbles.join('\n'),
+            toolCalls: steps.flatMap((step) => step.toolCalls),
+            toolResults: steps.flatMap((step) => step.toolResults),
+            steps,
+            messageIds,
+            streamed: true,
+        };
+    }
+
+    /**
+     * Store an incoming message without replying, recording who said it so
+     * group history stays attributable (also used for group messages the
+     * group policy decided not to answer)
+     * Attachments are run through the attachment pipeline and their
+     * description, text or transcript is stored as part of the user content
+     * @returns {Promise<object>} The updated conversation
+     */
+    async recordIncomingMessage(incomingMessage) {
+        const { key, chatId, content, metadata } = await this.incomingEntry(incomingMessage);
+        await this.conversationStore.addMessage(key, 'user', content, null, null, metadata);
+
+        let conversation = await this.conversationStore.getConversation(key);
+
+        // Remember the group's name the first time we see it
+        if (chatId && !conversation.context?.chat) {
+            const name = incomingMessage.chatName || (await this.displayNameFor(chatId));
+            conversation = await this.conversationStore.updateContext(key, {
+                chat: { id: chatId, name, isGroup: true },
+            });
+        }
+
+        return conversation;
+    }
+
+    /**
+     * The conversation as recordIncomingMessage would leave it, without
+     * storing anything (used by dry runs)
+     * @returns {Promise<object>} A copy of the conversation
+     */
+    async previewIncomingMessage(incomingMessage) {
+        const { key, chatId, content, metadata } = await this.incomingEntry(incomingMessage);
+        const conversation = await this.conversationStore.getConversation(key);
+
+        let context = conversation.context || {};
+        if (chatId && !context.chat) {
+            const name = incomingMessage.chatName || (await this.displayNameFor(chatId));
+            context = { ...context, chat: { id: chatId, name, isGroup: true } };
+        }
+
+        return {
+            ...conversation,
+            context,
+            messages: [...conversation.messages, { ...metadata, role: 'user', content, timestamp: new Date().toISOString() }],
+        };
+    }
+
+    /**
+     * History content and metadata of an incoming message
+     * @returns {Promise<{ key: string, chatId: string|null, content: string, metadata: object }>}
+     */
+    async incomingEntry(incomingMessage) {
+        const { handle, text, file, fileType } = incomingMessage;
+        const { key, chatId } = conversationTarget(incomingMessage);
+
+        let content = text;
+        let attachment = null;
+        if (file) {
+            const result = await this.attachmentPipeline.process({ file, fileType, text });
+            content = [text, result.content].filter(Boolean).join('\n');
+            attachment = { kind: result.kind, file, fileType, success: result.success, error: result.error };
+        }
+
+        const metadata = {
+            guid: incomingMessage.guid,
+            sender: handle,
+            ...(chatId ? { senderName: await this.displayNameFor(handle) } : {}),
+            ...(attachment ? { attachment } : {}),
+        };
+        return { key, chatId, content, metadata };
+    }
+
+    /**
+     * Record a tapback on the message it targets instead of replying to it
+     */
+    async handleReaction(reaction) {
+        const { targetGuid, reaction: type, removed, fromMe } = reaction;
+        const from = fromMe ? 'assistant' : 'user';
+        const { key } = conversationTarget(reaction);
+
+        const found = await this.conversationStore.updateMessageByGuid(key, targetGuid, (message) => {
+            const reactions = (message.reactions || []).filter(
+                r => !(r.type === type && r.from === from)
+            );
+            if (!removed) {
+                reactions.push({
+                    type,
+                    from,
+                    ...(reaction.group && !fromMe ? { sender: reaction.handle } : {}),
+                    date: (reaction.date || new Date()).toISOString(),
+                });
+            }
+            message.reactions = reactions;
+        });
+
+        console.log(
+            chalk.magenta(
+                `💟 ${from} ${removed ? 'removed' : 'added'} "${type}" on ${targetGuid}${found ? '' : ' (message not in history)'}`
+            )
+        );
+        return found;
+    }
+
+    /**
+     * Replace the stored text of an edited message
+     */
+    async handleEdit(edit) {
+        const { key } = conversationTarget(edit);
+        const found = await this.conversationStore.updateMessageByGuid(key, edit.targetGuid, (message) => {
+            if (message.originalContent === undefined) {
+                message.originalContent = message.content;
+            }
+            message.content = edit.text;
+            message.editedAt = (edit.date || new Date()).toISOString();
+        });
+
+        console.log(chalk.magenta(`✏️ Message ${edit.targetGuid} edited${found ? '' : ' (message not in history)'}`));
+        return found;
+    }
+
+    /**
+     * Mark an unsent message so it is no longer shown to the model
+     */
+    async handleUnsend(unsend) {
+        const { key } = conversationTarget(unsend);
+        const found = await this.conversationStore.updateMessageByGuid(key, unsend.targetGuid, (message) => {
+            message.unsent = true;
+            message.unsentAt = (unsend.date || new Date()).toISOString();
+        });
+
+        console.log(chalk.magenta(`↩️ Message ${unsend.targetGuid} unsent${found ? '' : ' (message not in history)'}`));
+        return found;
+    }
+
+    /**
+     * Link a text we sent (seen by the listener as fromMe) to its history entry
+     */
+    async recordSentMessage(message) {
+        const { key } = conversationTarget(message);
+        return this.conversationStore.linkSentMessage(key, message.text, message.guid);
     }
 
     /**
@@ -203,14 +516,22 @@ class AIChatHandler {
         const conversation =
             await this.conversationStore.getConversation(handle);
 
+        const prepared = this.contextManager.prepare(conversation, {
+            model: this.model,
+            systemPrompt:
+                customPrompt ||
+                this.getSystemPromptWithContext(
+                    handle,
+                    conversation.context?.chat,
+                    [],
+                    await this.displayNameFor(handle),
+                    await this.memory.list(handle),
+                    conversation.context?.prompt?.name
+                ),
+        });
         const messages = [
-            { role: 'system', content: customPrompt || this.systemPrompt },
-            ...conversation.messages.map((msg) => ({
-                role: msg.role,
-                content: msg.content,
-                toolCalls: msg.toolCalls,
-                toolResults: msg.toolResults,
-            })),
+            { role: 'system', content: prepared.systemPrompt },
+            ...this.toModelMessages(prepared.messages),
             {
                 role: 'user',
                 content:
@@ -218,13 +539,18 @@ class AIChatHandler {
             },
         ];
 
-        const result = await generateText({
-            model: this.model,
-            messages,
-            tools: llmTools,
-            maxSteps: this.maxSteps,
-            temperature: 0.7,
-        });
+        const toolContext = createToolContext({ handle });
+        const result = await this.workScheduler.run(handle, () =>
+            runWithToolContext(toolContext, () =>
+                generateText({
+                    model: this.model,
+                    messages,
+                    tools: llmTools,
+                    maxSteps: this.maxSteps,
+                    temperature: 0.7,
+                })
+            )
+        );
 
         return result;
     }
@@ -255,11 +581,13 @@ class AIChatHandler {
     }
 
     /**
-     * Update AI system prompt
+     * Update the default system prompt (saved to its file as a new version)
+     * @returns {Promise<object>} the stored version
      */
-    updateSystemPrompt(newPrompt) {
-        this.systemPrompt = newPrompt;
+    async updateSystemPrompt(newPrompt) {
+        const version = await this.prompts.save('default', newPrompt, { source: 'api' });
         console.log(chalk.blue('📝 Updated AI system prompt'));
+        return version;
     }
 
     /**
@@ -289,15 +617,21 @@ class AIChatHandler {
                 { role: 'user', content: contextPrompt },
             ];
 
-            // Generate response with tool calling
-            const result = await generateText({
-                model: this.model,
-                messages,
-                tools: llmTools,
-                maxSteps: this.maxSteps,
-                temperature: 0.7,
-                maxTokens: 1000,
-            });
+            // Generate response with tool calling. There is no conversation
+            // here: an operator asked, so every permission applies. It still counts
+            // against the same concurrency cap as conversation replies
+            const result = await this.workScheduler.run(null, () =>
+                runWithToolContext(createToolContext({ profile: { operator: true }, permissions: TOOL_PERMISSIONS }), () =>
+                    generateText({
+                        model: this.model,
+                        messages,
+                        tools: llmTools,
+                        maxSteps: this.maxSteps,
+                        temperature: 0.7,
+                        maxTokens: 1000,
+                    })
+                )
+            );
 
             // Log AI decision
             console.log(chalk.green('🤖 Context Analysis:'), result.text);
@@ -363,15 +697,19 @@ class AIChatHandler {
                 { role: 'user', content: contextPrompt }
             ];
 
-            // Generate response with tool calling
-            const result = await generateText({
-                model: this.model,
-                messages,
-                tools: llmTools,
-                maxSteps: this.maxSteps,
-                temperature: 0.7,
-                maxTokens: 1000
-            });
+            // Generate response with tool calling (operator context and concurrency cap, as in processContext)
+            const result = await this.workScheduler.run(null, () =>
+                runWithToolContext(createToolContext({ profile: { operator: true }, permissions: TOOL_PERMISSIONS }), () =>
+                    generateText({
+                        model: this.model,
+                        messages,
+                        tools: llmTools,
+                        maxSteps: this.maxSteps,
+                        temperature: 0.7,
+                        maxTokens: 1000
+                    })
+                )
+            );
 
             // Stream AI reasoning
             streamCallback({
@@ -584,39 +922,140 @@ and use sendMessage to send each message.
     }
 
     // Private methods
-    getSystemPromptWithContext(handle) {
-        return `${this.getDefaultSystemPrompt()}
+    async displayNameFor(handleOrChat) {
+        if (!this.displayNames.has(handleOrChat)) {
+            let name = handleOrChat;
+            try {
+                name = (await imessage.nameForHandle(handleOrChat)) || handleOrChat;
+            } catch (error) {
+                // Unknown contacts keep their raw handle
+            }
+            this.displayNames.set(handleOrChat, name);
+        }
+        return this.displayNames.get(handleOrChat);
+    }
+
+    async getParticipants(chatId) {
+        try {
+            const handles = await imessage.chatParticipants(chatId);
+            return Promise.all(
+                handles.map(async (handle) => ({ handle, name: await this.displayNameFor(handle) }))
+            );
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not list participants of ${chatId}:`), error.message);
+            return [];
+        }
+    }
+
+    toModelMessages(messages) {
+        return messages
+            .filter((msg) => !msg.unsent)
+            .map((msg) => ({
+                role: msg.role,
+                // In group chats every user line is prefixed with who said it
+                content: msg.senderName && msg.role === 'user'
+                    ? `${msg.senderName}: ${msg.content}`
+                    : msg.content,
+                toolCalls: msg.toolCalls,
+                toolResults: msg.toolResults,
+            }));
+    }
+
+    getSystemPromptWithContext(handle, chat = null, participants = [], name = handle, memories = [], promptName = null) {
+        let groupContext = '';
+        if (chat) {
+            const label = (p) => (p.name === p.handle ? p.handle : `${p.name} (${p.handle})`);
+            const speaker = participants.find((p) => p.handle === handle);
+            const lines = [
+                `- This is a GROUP CHAT named "${chat.name}" (${chat.id})`,
+                `- The latest message is from: ${speaker ? label(speaker) : handle}`,
+            ];
+            if (participants.length > 0) {
+                lines.push(`- Participants: ${participants.map(label).join(', ')}`);
+            }
+            lines.push(
+                "- Each user message starts with the sender's name; replies go to the whole group,",
+                '  so address people by name when it matters who you are talking to'
+            );
+            groupContext = `\n${lines.join('\n')}`;
+        }
+
+        const prompt = this.renderPrompt(promptName || 'default', {
+            now: new Date().toString(),
+            name,
+            handle,
+            chat: chat?.name || '',
+            memory: memories.length > 0 ? this.memory.format(memories) : '(nothing yet)',
+            tools: Object.keys(llmTools).join(', '),
+            persona: promptName || 'default',
+        });
+
+        return `${prompt.text}
 
 CURRENT USER CONTEXT:
-- You are currently talking to: ${handle}
-- This is their phone number/handle: ${handle}
+- You are currently talking to: ${name}
+- This is their phone number/handle: ${handle}${groupContext}
+- The current date and time is ${new Date().toString()}
 - Remember this context when making decisions about tools and responses
-- Use this information when making introductions or referencing the user`;
+- Use this information when making introductions or referencing the user${
+            // A template that places {{memory}} itself doesn't get it twice
+            prompt.used.has('memory') ? '' : this.memoryContext(name, memories, Boolean(chat))
+        }`;
     }
 
-    getDefaultSystemPrompt() {
+    /**
+     * Render a prompt template, falling back to the default prompt when an
+     * assigned persona's file has gone missing
+     */
+    renderPrompt(name, variables) {
+        if (this.systemPrompt) {
+            return { name: 'custom', ...renderTemplate(this.systemPrompt, variables) };
+        }
+
         try {
-            const systemPromptPath = join(__dirname, 'system-prompt.md');
-            const systemPrompt = readFileSync(systemPromptPath, 'utf-8');
-            return systemPrompt;
+            return this.prompts.render(name, variables);
         } catch (error) {
-            console.error('Error reading system-prompt.md:', error);
-            // Fallback to a minimal prompt if file can't be read
-            return `You are Flip, a friendly crypto assistant. You help users with blockchain and cryptocurrency questions.
-
-IMPORTANT: When you want to respond, you MUST use the sendMessage tool - do not just generate text responses.
-
-Available tools:
-1. sendMessage - Send a reply back to the current user
-2. sendToSpecificContact - Send message to a specific phone number
-3. createGroupChat - Create group conversations
-4. searchTalent - Find experts or specialists when needed
-5. sendLink - Send scheduling link
-6. analyzeMessage - Understand message context and urgency
-7. waitForMoreInput - Wait when you need more specific information
-
-Current time: ${new Date().toLocaleString()}`;
+            if (name === 'default') throw error;
+            console.warn(chalk.yellow(`⚠️ Prompt "${name}" unavailable, using the default:`), error.message);
+            return this.prompts.render('default', variables);
+        }
+    }
+
+    /**
+     * Learn lasting facts from what the sender just said and fold old turns
+     * into the summary once they outgrow the budget. Not awaited: it runs
+     * outside the work scheduler, and failures are only logged
+     */
+    afterReply(key, handle, turn) {
+        return (async () => {
+            await this.memory.extract(handle, turn);
+            await this.contextManager.compact(key, { model: this.model });
+        })().catch((error) => console.warn(chalk.yellow(`⚠️ Could not learn from the turn with ${key}:`), error.message));
+    }
+
+    /**
+     * What is remembered about the sender, for the system prompt
+     */
+    memoryContext(name, memories, isGroup) {
+        if (memories.length === 0) return '';
+
+        return `
+
+WHAT YOU REMEMBER ABOUT ${name} (from earlier conversations; keep it current with rememberFact/forgetFact):
+${this.memory.format(memories)}${isGroup ? `\n- This is private to ${name}: don't repeat it to the group unless they ask` : ''}`;
+    }
+
+    /**
+     * The texts `handle` sent since the assistant last spoke (the current burst)
+     */
+    latestFrom(handle, messages) {
+        const latest = [];
+        for (let i = messages.length - 1; i >= 0 && messages[i].role !== 'assistant'; i--) {
+            if (messages[i].role === 'user' && !messages[i].unsent && (!messages[i].sender || messages[i].sender === handle)) {
+                latest.unshift(messages[i]);
+            }
         }
+        return latest;
     }
 
     shouldContinueConversation(result) {
@@ -632,11 +1071,8 @@ Current time: ${new Date().toLocaleString()}`;
 
 // Factory function for easy initialization
 export function createAIChatHandler(options = {}) {
-    // Setup model name based on environment
-    const modelName = process.env.AI_MODEL || 'gpt-4.1';
-
+    // The model registry picks the chat model (AI_MODEL) unless options name one
     return new AIChatHandler({
-        modelName,
         conversationStore: createConversationStore(),
         ...options,
     });
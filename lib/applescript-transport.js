@@ -0,0 +1,452 @@
+import osa from 'osa2';
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { openDB } from './messages-db.js';
+import { ListenerCheckpoint } from './listener-checkpoint.js';
+import { searchMessageDB } from './message-search.js';
+import { listChatsDB } from './chat-list.js';
+import { getCapabilities, toDBTime, describeCapabilities } from './chat-db-capabilities.js';
+import {
+    buildMessageQuery,
+    buildChangeQuery,
+    buildSentStatusQuery,
+    rowToEvent,
+    rowToSentStatus,
+    rowToChangeEvent,
+    IN_CHAT_CONDITION,
+} from './message-rows.js';
+
+const execFileAsync = promisify(execFile);
+
+// Service types Messages.app accepts in `service type = ...`
+const SERVICE_TYPES = ['iMessage', 'SMS'];
+
+function warn(str) {
+    if (!process.env.SUPPRESS_OSA_IMESSAGE_WARNINGS) {
+        console.error(str);
+    }
+}
+
+// Maximum number of message rows read per poll
+const POLL_BATCH_SIZE = 500;
+
+/**
+ * AppleScript Transport - Talks to Messages.app through osascript and reads
+ * incoming messages from the local chat.db
+ */
+class AppleScriptTransport {
+    constructor(options = {}) {
+        this.name = 'applescript';
+        this.emitter = null;
+        this.checkpoint = options.checkpoint || new ListenerCheckpoint();
+    }
+
+    // Messages.app exposes contacts as `participants` since macOS 11 and as
+    // `buddies` before that; each script tries the former and falls back
+
+    // Gets the proper handle string for a contact with the given name
+    handleForName(name) {
+        return osa((name) => {
+            const Messages = Application('Messages');
+            try {
+                return Messages.participants.whose({ name: name })[0].handle();
+            } catch (e) {
+                return Messages.buddies.whose({ name: name })[0].handle();
+            }
+        })(name);
+    }
+
+    // Gets the display name for a given handle (group chats use nameForChat)
+    nameForHandle(handle) {
+        return osa((handle) => {
+            const Messages = Application('Messages');
+            try {
+                return Messages.participants.whose({ handle: handle })[0].name();
+            } catch (e) {
+                return Messages.buddies.whose({ handle: handle })[0].name();
+            }
+        })(handle);
+    }
+
+    /**
+     * Send a text message to the given handle
+     * With `service` set, the message goes through the explicit service
+     * buddy (keeps iMessage threads blue); otherwise through the existing thread.
+     * `newContact` primes the buddy with an empty message first.
+     */
+    async send(handle, message, options = {}) {
+        const { service = null, newContact = false } = options;
+
+        if (!service) {
+            return this.sendMessageOrFile(handle, message);
+        }
+
+        if (!SERVICE_TYPES.includes(service)) {
+            throw new Error(`Unsupported service '${service}'`);
+        }
+
+        // Handle and text travel as argv, never spliced into the script source,
+        // so quotes, backslashes and newlines arrive untouched.
+        // No "activate" command means it runs in background without switching windows
+        const appleScript = `
+        on run argv
+            set targetHandle to item 1 of argv
+            set messageText to item 2 of argv
+            set primeBuddy to item 3 of argv
+            tell application "Messages"
+                set serviceID to id of 1st service whose service type = ${service}
+                if primeBuddy is "true" then send "" to buddy targetHandle of service id serviceID
+                send messageText to buddy targetHandle of service id serviceID
+            end tell
+        end run
+        `;
+
+        await execFileAsync('osascript', [
+            '-e',
+            appleScript,
+            handle,
+            message,
+            String(Boolean(newContact)),
+        ]);
+    }
+
+    /**
+     * Send a text to a group chat by chat GUID or room name
+     */
+    async sendToChat(chatId, message) {
+        return this.sendToChatGuid(await this.resolveChatGuid(chatId), message, false);
+    }
+
+    // Sends the file at the filepath to a group chat
+    async sendFileToChat(chatId, filepath) {
+        return this.sendToChatGuid(await this.resolveChatGuid(chatId), filepath, true);
+    }
+
+    async sendToChatGuid(chatGuid, messageOrFilepath, isFile) {
+        // Same argv approach as send(): nothing is spliced into the script
+        const appleScript = `
+        on run argv
+            set targetChat to item 1 of argv
+            set payload to item 2 of argv
+            tell application "Messages"
+                if item 3 of argv is "true" then
+                    send (POSIX file payload) to chat id targetChat
+                else
+                    send payload to chat id targetChat
+                end if
+            end tell
+        end run
+        `;
+
+        await execFileAsync('osascript', [
+            '-e',
+            appleScript,
+            chatGuid,
+            messageOrFilepath,
+            String(Boolean(isFile)),
+        ]);
+    }
+
+    /**
+     * Look up the chat.db row for a chat GUID or room name
+     */
+    async findChat(chatId) {
+        const db = await openDB();
+        return db.get(
+            'SELECT ROWID AS rowId, guid, chat_identifier, display_name FROM chat WHERE guid = ? OR chat_identifier = ?',
+            chatId,
+            chatId
+        );
+    }
+
+    // Room names ("chat1234…") are turned into the chat GUID Messages.app expects
+    async resolveChatGuid(chatId) {
+        if (chatId.includes(';')) return chatId;
+
+        const chat = await this.findChat(chatId);
+        if (!chat) {
+            throw new Error(`no chat with id '${chatId}'`);
+        }
+        return chat.guid;
+    }
+
+    /**
+     * Display name of a group chat, falling back to its participants' handles
+     */
+    async nameForChat(chatId) {
+        const chat = await this.findChat(chatId);
+        if (!chat) {
+            throw new Error(`no chat with id '${chatId}'`);
+        }
+        if (chat.display_name) return chat.display_name;
+
+        const participants = await this.getChatParticipants(chatId);
+        return participants.join(', ') || chat.chat_identifier;
+    }
+
+    /**
+     * Handles of everyone in a chat (not including us)
+     */
+    async getChatParticipants(chatId) {
+        const db = await openDB();
+        const rows = await db.all(
+            `
+            SELECT DISTINCT h.id AS handle
+            FROM chat AS c
+            JOIN chat_handle_join AS chj ON chj.chat_id = c.ROWID
+            JOIN handle AS h ON h.ROWID = chj.handle_id
+            WHERE c.guid = ? OR c.chat_identifier = ?
+            ORDER BY h.id
+            `,
+            chatId,
+            chatId
+        );
+        return rows.map((row) => row.handle);
+    }
+
+    // Sends the file at the filepath to the given handle
+    async sendFile(handle, filepath) {
+        return this.sendMessageOrFile(handle, filepath, true);
+    }
+
+    // Sends a message to the given handle
+    sendMessageOrFile(handle, messageOrFilepath, isFile) {
+        return osa((handle, messageOrFilepath, isFile) => {
+            const Messages = Application('Messages');
+
+            let target;
+
+            try {
+                target = Messages.participants.whose({ handle: handle })[0];
+            } catch (e) {
+                try {
+                    target = Messages.buddies.whose({ handle: handle })[0];
+                } catch (e) {}
+            }
+
+            try {
+                target = Messages.textChats.byId('iMessage;+;' + handle)();
+            } catch (e) {}
+
+            let message = messageOrFilepath;
+
+            // If a string filepath was provided, we need to convert it to an
+            // osascript file object.
+            // This must be done in the osa context to have acess to Path
+            if (isFile) {
+                message = Path(messageOrFilepath);
+            }
+
+            try {
+                Messages.send(message, { to: target });
+            } catch (e) {
+                throw new Error(`no thread with handle '${handle}'`);
+            }
+        })(handle, messageOrFilepath, isFile);
+    }
+
+    /**
+     * Start polling chat.db for new message rows
+     * Emits 'message', 'reaction', 'edit', 'unsend' and 'error'.
+     * Rows are tracked by ROWID and the cursor is checkpointed to disk, so a
+     * restart resumes where the last run stopped. A row only counts as done
+     * once the promises its handlers return have settled.
+     * @param {object} options - { backfillSince: Date } re-reads every message
+     *   received since that date, overriding the saved checkpoint
+     */
+    listen(options = {}) {
+        // If listen has already been run, return the existing emitter
+        if (this.emitter != null) {
+            return this.emitter;
+        }
+
+        // Create an EventEmitter
+        const emitter = new EventEmitter();
+        const checkpoint = this.checkpoint;
+        const backfillSince = options.backfillSince || null;
+        this.emitter = emitter;
+
+        let lastRowId = null; // newest row read
+        let lastChangeAt = null;
+        let capabilities = null;
+        const unsettled = new Set(); // rows whose handlers are still running
+
+        // The checkpoint only moves past a row once its handlers have settled,
+        // so a crash mid-handler replays that message on the next start
+        function saveCheckpoint() {
+            const settledThrough = unsettled.size > 0 ? Math.min(...unsettled) - 1 : lastRowId;
+            checkpoint.save(settledThrough, lastChangeAt);
+        }
+
+        // Like emit(), but keeps track of the promises async handlers return
+        function dispatch(rowId, type, payload) {
+            const results = emitter.rawListeners(type).map((listener) => listener.call(emitter, payload));
+            if (!results.some((result) => typeof result?.then === 'function')) return;
+
+            unsettled.add(rowId);
+            Promise.allSettled(results).then(() => {
+                unsettled.delete(rowId);
+                saveCheckpoint();
+            });
+        }
+
+        const dbPromise = openDB();
+
+        // Work out where to start reading: backfill date, saved checkpoint,
+        // or (first run) the newest row so only future messages are emitted
+        async function initCursor(db) {
+            const now = toDBTime(new Date(), capabilities);
+
+            if (backfillSince) {
+                const since = toDBTime(backfillSince, capabilities);
+                const row = await db.get(
+                    'SELECT COALESCE(MAX(ROWID), 0) AS rowId FROM message WHERE date < ?',
+                    since
+                );
+                console.log(`⏪ Backfilling messages received since ${backfillSince.toISOString()}`);
+                lastChangeAt = since;
+                return row.rowId;
+            }
+
+            const saved = checkpoint.load();
+            if (saved !== null) {
+                console.log(`⏯️ Resuming listener from message ROWID ${saved}`);
+                lastChangeAt = checkpoint.lastChangeAt ?? now;
+                return saved;
+            }
+
+            const row = await db.get('SELECT COALESCE(MAX(ROWID), 0) AS rowId FROM message');
+            lastChangeAt = now;
+            return row.rowId;
+        }
+
+        // Edits and unsends rewrite existing rows instead of adding new ones,
+        // so they are found by timestamp rather than by ROWID
+        async function checkChanges(db) {
+            const query = buildChangeQuery(capabilities);
+            if (!query) return;
+
+            const rows = await db.all(query, lastChangeAt, lastChangeAt);
+            rows.forEach((row) => {
+                lastChangeAt = Math.max(lastChangeAt, row.date_edited || 0, row.date_retracted || 0);
+                const { type, payload } = rowToChangeEvent(row);
+                emitter.emit(type, payload);
+            });
+        }
+
+        async function check() {
+            const db = await dbPromise;
+
+            try {
+                if (lastRowId === null) {
+                    capabilities = await getCapabilities(db);
+                    console.log(`🔎 chat.db supports: ${describeCapabilities(capabilities)}`);
+                    lastRowId = await initCursor(db);
+                    saveCheckpoint();
+                }
+
+                const query = buildMessageQuery({
+                    where: 'm.ROWID > ?',
+                    limit: POLL_BATCH_SIZE,
+                    capabilities,
+                });
+
+                const messages = await db.all(query, lastRowId);
+                messages.forEach((msg) => {
+                    // Messages with several attachments come back once per
+                    // attachment; only the first row is emitted
+                    if (msg.rowId <= lastRowId) return;
+                    lastRowId = msg.rowId;
+
+                    // Tapbacks are emitted as 'reaction', everything else as 'message'
+                    const { type, payload } = rowToEvent(msg);
+
+                    // Neither text nor attributedBody had anything readable
+                    if (process.env.DEBUG_MODE === 'true' && type === 'message' && !payload.text && !payload.file) {
+                        console.log(`🐛 DEBUG: No text recovered for message ${payload.guid}`);
+                    }
+
+                    dispatch(msg.rowId, type, payload);
+                });
+                await checkChanges(db);
+                saveCheckpoint();
+
+                // A full batch means we're catching up, so read the next one right away
+                setTimeout(check, messages.length >= POLL_BATCH_SIZE ? 0 : 5000);
+            } catch (err) {
+                emitter.emit('error', err);
+                warn(`sqlite returned an error while polling for new messages!
+                      bailing out of poll routine for safety. new messages will
+                      not be detected`);
+            }
+        }
+
+        check();
+
+        return emitter;
+    }
+
+    /**
+     * Find the chat.db row for a text we sent, for delivery tracking
+     * Once a row has been matched it is looked up by `rowId` directly.
+     * Group chat sends pass `chatId` instead of `handle`.
+     * @returns {object|null} { rowId, guid, isDelivered, isRead, error, dateDelivered, dateRead }
+     */
+    async findSentMessage({ handle, chatId = null, text, since, rowId = null, excludeRowIds = new Set() }) {
+        const db = await openDB();
+        const capabilities = await getCapabilities(db);
+
+        if (rowId !== null) {
+            const row = await db.get(buildSentStatusQuery('m.ROWID = ?', capabilities), rowId);
+            return row ? rowToSentStatus(row) : null;
+        }
+
+        // Allow a little clock skew between us and Messages.app
+        const sinceTime = toDBTime(new Date(since.getTime() - 5000), capabilities);
+        const rows = chatId
+            ? await db.all(
+                buildSentStatusQuery(`m.is_from_me = 1 AND ${IN_CHAT_CONDITION} AND m.date >= ?`, capabilities),
+                chatId,
+                chatId,
+                sinceTime
+            )
+            : await db.all(
+                buildSentStatusQuery('m.is_from_me = 1 AND h.id = ? AND m.date >= ?', capabilities),
+                handle,
+                sinceTime
+            );
+
+        const wanted = text.trim();
+        for (const row of rows) {
+            if (excludeRowIds.has(row.rowId)) continue;
+
+            const status = rowToSentStatus(row);
+            if (status.text.trim() === wanted) {
+                return status;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Full-text search over chat.db, newest first
+     * @param {object} options - { query, handle, chat, from, to, hasAttachment, limit, cursor }
+     * @returns {Promise<{ messages: object[], nextCursor: string|null }>}
+     */
+    async searchMessages(options = {}) {
+        return searchMessageDB(await openDB(), options);
+    }
+
+    /**
+     * One row per chat, most recently active first
+     * @param {object} options - { limit, cursor }
+     * @returns {Promise<{ chats: object[], nextCursor: string|null }>}
+     */
+    async getChats(options = {}) {
+        return listChatsDB(await openDB(), options);
+    }
+}
+
+export { AppleScriptTransport };
@@ -0,0 +1,250 @@
+import { generateText } from 'ai';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+import { access, mkdir, readFile, stat } from 'fs/promises';
+import { constants } from 'fs';
+import { delimiter, extname, join } from 'path';
+import { homedir } from 'os';
+import chalk from 'chalk';
+import { modelRegistry } from './model-registry.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Attachment Pipeline - Turns incoming attachments into text the model can read
+ * Photos are converted (HEIC -> JPEG) and described by a vision model, PDFs
+ * have their text extracted and voice memos (.caf) are transcribed locally
+ * with whisper.cpp. The result is stored as user content, so history keeps
+ * plain text instead of binary blobs.
+ *
+ * Conversions use whichever tool is installed: macOS' built-in sips and
+ * afconvert, else libheif's heif-convert or ffmpeg. Without one, HEIC photos
+ * and voice memos are skipped with a logged reason.
+ */
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const HEIC_TYPES = ['image/heic', 'image/heif'];
+const AUDIO_EXTENSIONS = ['.caf', '.m4a', '.mp3', '.wav', '.amr'];
+
+const KIND_LABELS = { image: 'Photo', heic: 'Photo', pdf: 'PDF', audio: 'Voice memo' };
+
+// Keep long PDFs from swamping the conversation
+const MAX_PDF_CHARS = 8000;
+
+// Command lines per converter, in order of preference
+const HEIC_CONVERTERS = [
+    { command: 'sips', args: (input, output) => ['-s', 'format', 'jpeg', '-Z', '2048', input, '--out', output] },
+    { command: 'heif-convert', args: (input, output) => ['-q', '90', input, output] },
+    {
+        command: 'ffmpeg',
+        args: (input, output) => ['-y', '-loglevel', 'error', '-i', input, '-vf', "scale='min(2048,iw)':-2", '-frames:v', '1', output],
+    },
+];
+const AUDIO_CONVERTERS = [
+    { command: 'afconvert', args: (input, output) => ['-f', 'WAVE', '-d', 'LEI16@16000', '-c', '1', input, output] },
+    {
+        command: 'ffmpeg',
+        args: (input, output) => ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', output],
+    },
+];
+
+class AttachmentPipeline {
+    constructor(options = {}) {
+        this.visionModel = options.visionModel || null; // defaults to the registry's vision model (AI_VISION_MODEL)
+        this.cacheDir =
+            options.cacheDir ||
+            process.env.ATTACHMENT_CACHE_DIR ||
+            join(homedir(), '.flip-message-agent', 'attachments');
+        this.maxBytes = Number(options.maxBytes || process.env.ATTACHMENT_MAX_BYTES || 20 * 1024 * 1024);
+        this.whisperBin = options.whisperBin || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+        this.whisperModel = options.whisperModel || process.env.WHISPER_MODEL_PATH || null;
+        this.commands = new Map(); // command name -> promise of whether it is on PATH
+    }
+
+    /**
+     * Work out what kind of attachment a file is
+     * @returns {'image'|'heic'|'pdf'|'audio'|null}
+     */
+    classify(file, fileType) {
+        const type = (fileType || '').toLowerCase();
+        const extension = extname(file || '').toLowerCase();
+
+        if (HEIC_TYPES.includes(type) || extension === '.heic' || extension === '.heif') return 'heic';
+        if (IMAGE_TYPES.includes(type)) return 'image';
+        if (type === 'application/pdf' || extension === '.pdf') return 'pdf';
+        if (type.startsWith('audio/') || AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+        return null;
+    }
+
+    /**
+     * Process the attachment on an incoming message
+     * Never throws: failures come back as { success: false, error }
+     * @returns {Promise<object>} { success, kind, file, fileType, content, error }
+     */
+    async process({ file, fileType, text = '' }) {
+        const kind = this.classify(file, fileType);
+        const base = { kind, file, fileType };
+
+        if (!kind) {
+            return {
+                ...base,
+                success: false,
+                error: 'unsupported attachment type',
+                content: `[Attachment: ${fileType || extname(file || '') || 'file'}]`,
+            };
+        }
+
+        try {
+            const { size } = await stat(file);
+            if (size > this.maxBytes) {
+                throw new Error(`attachment is ${size} bytes (limit ${this.maxBytes})`);
+            }
+
+            console.log(chalk.blue(`📎 Processing ${kind} attachment ${file}`));
+
+            if (kind === 'image' || kind === 'heic') {
+                const imagePath = kind === 'heic' ? await this.convertHeic(file) : file;
+                const description = await this.describeImage(imagePath, kind === 'heic' ? 'image/jpeg' : fileType, text);
+                return { ...base, success: true, content: `[Photo: ${description}]` };
+            }
+
+            if (kind === 'pdf') {
+                const pdfText = await this.extractPdfText(file);
+                return { ...base, success: true, content: `[PDF contents]\n${pdfText}` };
+            }
+
+            const transcript = await this.transcribe(file);
+            return { ...base, success: true, content: `[Voice memo transcript]: ${transcript}` };
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not process ${kind} attachment ${file}:`), error.message);
+            return {
+                ...base,
+                success: false,
+                error: error.message,
+                content: `[${KIND_LABELS[kind]} that could not be read]`,
+            };
+        }
+    }
+
+    /**
+     * Convert a HEIC photo to a (downscaled) JPEG
+     */
+    async convertHeic(file) {
+        const output = await this.cachePath(file, '.jpg');
+        await this.convert(HEIC_CONVERTERS, file, output, 'HEIC photo');
+        return output;
+    }
+
+    /**
+     * Run the first installed converter of the list
+     */
+    async convert(converters, input, output, what) {
+        for (const converter of converters) {
+            if (await this.hasCommand(converter.command)) {
+                await execFileAsync(converter.command, converter.args(input, output), { timeout: 60 * 1000 });
+                return;
+            }
+        }
+        throw new Error(
+            `no converter for this ${what} on this host (install one of: ${converters.map((c) => c.command).join(', ')})`
+        );
+    }
+
+    // Whether an executable is on PATH; looked up once per command
+    hasCommand(command) {
+        if (!this.commands.has(command)) {
+            const dirs = (process.env.PATH || '').split(delimiter).filter(Boolean);
+            this.commands.set(
+                command,
+                Promise.any(dirs.map((dir) => access(join(dir, command), constants.X_OK))).then(
+                    () => true,
+                    () => false
+                )
+            );
+        }
+        return this.commands.get(command);
+    }
+
+    /**
+     * Ask the vision model for a description detailed enough to answer
+     * questions about the photo later (products, prices, visible text)
+     */
+    async describeImage(imagePath, mimeType, caption) {
+        const image = await readFile(imagePath);
+
+        const result = await generateText({
+            model: this.visionModel || modelRegistry.getModel('vision'),
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Describe this photo someone sent in a text message so an assistant that cannot see it can answer questions about it. Identify products, brands, places and people's actions, and transcribe any visible text or prices.${caption ? ` The sender wrote: "${caption}"` : ''}`,
+                        },
+                        { type: 'image', image, mimeType },
+                    ],
+                },
+            ],
+            maxTokens: 400,
+        });
+
+        return result.text.trim();
+    }
+
+    /**
+     * Extract the text layer of a PDF
+     */
+    async extractPdfText(file) {
+        // pdf-parse's entry point runs a self-test when it has no parent
+        // module (always the case under ESM), so load the parser itself
+        const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+        // Its bundled pdf.js misreads Node Buffers; a plain Uint8Array copy works
+        const data = await pdfParse(new Uint8Array(await readFile(file)));
+        const text = data.text.replace(/\n{3,}/g, '\n\n').trim();
+
+        if (!text) {
+            return '(no extractable text - the PDF may be a scan)';
+        }
+        return text.length > MAX_PDF_CHARS ? `${text.slice(0, MAX_PDF_CHARS)}\n[...truncated]` : text;
+    }
+
+    /**
+     * Transcribe a voice memo on the CPU with whisper.cpp
+     * Voice memos are AAC/Opus in a .caf container; afconvert (built into
+     * macOS) or ffmpeg turns them into the 16 kHz mono WAV whisper.cpp expects
+     */
+    async transcribe(file) {
+        if (!this.whisperModel) {
+            throw new Error('WHISPER_MODEL_PATH is not set');
+        }
+
+        const wavPath = await this.cachePath(file, '.wav');
+        await this.convert(AUDIO_CONVERTERS, file, wavPath, 'voice memo');
+
+        const { stdout } = await execFileAsync(
+            this.whisperBin,
+            ['-m', this.whisperModel, '-f', wavPath, '--no-timestamps', '--no-prints'],
+            { timeout: 5 * 60 * 1000, maxBuffer: 10 * 1024 * 1024 }
+        );
+
+        const transcript = stdout.replace(/\s+/g, ' ').trim();
+        return transcript || '(no speech detected)';
+    }
+
+    // Converted files are named after the source path, so reprocessing a
+    // backfilled message overwrites them instead of piling up copies
+    async cachePath(file, extension) {
+        await mkdir(this.cacheDir, { recursive: true });
+        const hash = createHash('sha1').update(file).digest('hex').slice(0, 16);
+        return join(this.cacheDir, `${hash}${extension}`);
+    }
+}
+
+// Factory function for easy initialization
+export function createAttachmentPipeline(options = {}) {
+    return new AttachmentPipeline(options);
+}
+
+export default AttachmentPipeline;
@@ -0,0 +1,239 @@
+import assert from 'node:assert/strict';
+import { experimental_generateImage as generateImage } from 'ai';
+import { openai } from '@ai-sdk/openai';
+import axios from 'axios';
+import { randomUUID } from 'crypto';
+import { lookup } from 'dns';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { BlockList, isIP } from 'net';
+import { mkdir, realpath, stat, writeFile } from 'fs/promises';
+import { extname, join, sep } from 'path';
+import { homedir } from 'os';
+import { getTransport, isChatId } from './transport.js';
+import { normalizeHandle } from './message-sender.js';
+
+/**
+ * Attachment Sender - Validates and sends files the agent chose to share
+ * Only files inside the allowlisted directories can be sent. Downloaded and
+ * generated images are written to the outbox directory first, so every file
+ * goes through the same path, size and type checks.
+ */
+
+// Extension -> MIME type of everything the agent may send
+const ALLOWED_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.vcf': 'text/vcard',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.m4a': 'audio/mp4',
+};
+
+const EXTENSION_FOR_TYPE = Object.fromEntries(
+    Object.entries(ALLOWED_TYPES).map(([extension, type]) => [type, extension]).reverse()
+);
+
+export function getOutboxDir() {
+    return process.env.ATTACHMENT_OUTBOX_DIR || join(homedir(), '.flip-message-agent', 'outbox');
+}
+
+// The outbox is always allowed; ATTACHMENT_ALLOWED_DIRS adds more
+function getAllowedDirs() {
+    const extra = (process.env.ATTACHMENT_ALLOWED_DIRS || '')
+        .split(',')
+        .map((dir) => dir.trim().replace(/^~(?=$|\/)/, homedir()))
+        .filter(Boolean);
+    return [getOutboxDir(), ...extra];
+}
+
+function getMaxBytes() {
+    return Number(process.env.ATTACHMENT_SEND_MAX_BYTES) || 25 * 1024 * 1024;
+}
+
+// Addresses a download must never reach: loopback, private networks,
+// link-local (incl. cloud metadata at 169.254.169.254), CGNAT, multicast and reserved
+const PRIVATE_RANGES = new BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3], // multicast and reserved, up to 255.255.255.255
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], // unspecified and loopback
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8], // multicast
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = isIP(address);
+    if (family === 4) return PRIVATE_RANGES.check(address, 'ipv4');
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    return family !== 6 || PRIVATE_RANGES.check(address, 'ipv6');
+}
+
+// DNS lookup that refuses private addresses, used when the socket connects,
+// so a name can't resolve to a public address when checked and a private one
+// when fetched
+function publicLookup(hostname, options, callback) {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new Error(`'${hostname}' resolves to a private address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const downloadAgents = {
+    httpAgent: new HttpAgent({ lookup: publicLookup }),
+    httpsAgent: new HttpsAgent({ lookup: publicLookup }),
+};
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Check a local file against the allowlist, size limit and type list
+ * Symlinks and ".." are resolved first, so they can't escape the allowlist
+ * @returns {Promise<{ path: string, size: number, mimeType: string }>}
+ */
+export async function validateAttachment(filepath) {
+    assert(typeof filepath == 'string' && filepath.length > 0, 'filepath must be a non-empty string');
+
+    const resolved = await realpath(filepath.replace(/^~(?=$|\/)/, homedir()));
+
+    const allowedDirs = await Promise.all(
+        getAllowedDirs().map((dir) => realpath(dir).catch(() => null))
+    );
+    const allowed = allowedDirs.some((dir) => dir && resolved.startsWith(dir + sep));
+    if (!allowed) {
+        throw new Error(`'${filepath}' is outside the allowed attachment directories`);
+    }
+
+    const info = await stat(resolved);
+    if (!info.isFile()) {
+        throw new Error(`'${filepath}' is not a file`);
+    }
+    if (info.size === 0 || info.size > getMaxBytes()) {
+        throw new Error(`'${filepath}' is ${info.size} bytes (limit ${getMaxBytes()})`);
+    }
+
+    const mimeType = ALLOWED_TYPES[extname(resolved).toLowerCase()];
+    if (!mimeType) {
+        throw new Error(`'${extname(resolved) || 'extensionless'}' files can't be sent`);
+    }
+
+    return { path: resolved, size: info.size, mimeType };
+}
+
+// Write bytes to a fresh file in the outbox
+async function writeToOutbox(data, extension) {
+    const dir = getOutboxDir();
+    await mkdir(dir, { recursive: true });
+    const path = join(dir, `${randomUUID()}${extension}`);
+    await writeFile(path, data);
+    return path;
+}
+
+// Only public http(s) URLs; names are checked again when the socket connects
+function assertDownloadable(url) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Only http(s) URLs can be downloaded, got ${url.protocol}`);
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (host.toLowerCase() === 'localhost' || (isIP(host) && isPrivateAddress(host))) {
+        throw new Error(`Downloads from ${url.hostname} are not allowed`);
+    }
+}
+
+/**
+ * Download a file (e.g. a product image) into the outbox
+ * The URL comes from the model, so only public addresses are fetched, every
+ * redirect is checked the same way and the body is capped at the send limit
+ * @returns {Promise<string>} Local path of the downloaded file
+ */
+export async function downloadAttachment(url) {
+    let current = new URL(url);
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+        assertDownloadable(current);
+        response = await axios.get(current.href, {
+            ...downloadAgents,
+            responseType: 'arraybuffer',
+            maxContentLength: getMaxBytes(),
+            maxRedirects: 0,
+            validateStatus: (status) => status >= 200 && status < 400,
+            timeout: 30000,
+        });
+
+        if (response.status < 300) break;
+        if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+            throw new Error(`Too many or broken redirects downloading ${url}`);
+        }
+        current = new URL(response.headers.location, current);
+    }
+
+    const data = Buffer.from(response.data);
+    if (data.length === 0 || data.length > getMaxBytes()) {
+        throw new Error(`Downloaded file is ${data.length} bytes (limit ${getMaxBytes()})`);
+    }
+
+    const mimeType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const extension = EXTENSION_FOR_TYPE[mimeType];
+    if (!extension) {
+        throw new Error(`Downloaded file has unsupported type '${mimeType || 'unknown'}'`);
+    }
+
+    return writeToOutbox(data, extension);
+}
+
+/**
+ * Generate an image from a prompt into the outbox
+ * @returns {Promise<string>} Local path of the PNG
+ */
+export async function generateAttachmentImage(prompt) {
+    const { image } = await generateImage({
+        model: openai.image(process.env.AI_IMAGE_MODEL || 'dall-e-3'),
+        prompt,
+        size: '1024x1024',
+    });
+
+    return writeToOutbox(Buffer.from(image.uint8Array), '.png');
+}
+
+/**
+ * Validate a file and send it to a handle or group chat
+ * @returns {Promise<object>} { path, size, mimeType, to }
+ */
+export async function sendAttachment(target, filepath) {
+    const to = normalizeHandle(target);
+    const file = await validateAttachment(filepath);
+
+    if (isChatId(to)) {
+        await getTransport().sendFileToChat(to, file.path);
+    } else {
+        await getTransport().sendFile(to, file.path);
+    }
+
+    return { ...file, to };
+}
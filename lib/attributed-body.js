@@ -0,0 +1,127 @@
+/**
+ * attributedBody Decoder - Recovers message text from chat.db typedstream blobs
+ *
+ * Recent macOS versions often leave `message.text` NULL and store the content
+ * as an NSAttributedString archived with NSArchiver ("typedstream"). The blob
+ * holds the plain string first, followed by attribute runs (mentions, links,
+ * message parts) as archived dictionaries.
+ *
+ * We read the string exactly and scan the attribute strings that follow it.
+ * Attribute keys repeated across runs are stored as back-references, so
+ * mention handles and link URLs are recognised by their shape rather than by
+ * walking the full object graph.
+ */
+
+const STREAM_HEADER = 'streamtyped';
+const STRING_CLASSES = ['NSString', 'NSMutableString'];
+
+// typedstream markers
+const TAG_NEW = 0x84; // start of a new object/type
+const TYPE_CSTRING = 0x2b; // '+' : length-prefixed UTF-8 bytes
+const TAG_INT16 = 0x81;
+const TAG_INT32 = 0x82;
+
+// Attribute key Messages.app uses for @mentions
+const MENTION_KEY = '__kIMMentionConfirmedMention';
+
+// Attachment placeholder character inside attributed text
+const OBJECT_REPLACEMENT = /\uFFFC/g;
+
+const HANDLE_PATTERN = /^(\+?\d{7,15}|[^\s@]+@[^\s@]+\.[^\s@]+)$/;
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+
+/**
+ * Read a typedstream length/integer at `offset`
+ * @returns {{ value: number, next: number } | null}
+ */
+function readLength(buffer, offset) {
+    if (offset >= buffer.length) return null;
+
+    const tag = buffer[offset];
+    if (tag === TAG_INT16) {
+        if (offset + 3 > buffer.length) return null;
+        return { value: buffer.readUInt16LE(offset + 1), next: offset + 3 };
+    }
+    if (tag === TAG_INT32) {
+        if (offset + 5 > buffer.length) return null;
+        return { value: buffer.readUInt32LE(offset + 1), next: offset + 5 };
+    }
+    if (tag < 0x80) {
+        return { value: tag, next: offset + 1 };
+    }
+    return null;
+}
+
+/**
+ * Read every length-prefixed C string ('+' type) from `start` onwards
+ * @returns {Array<{ value: string, offset: number, end: number }>}
+ */
+function readStrings(buffer, start = 0) {
+    const strings = [];
+
+    for (let i = start; i < buffer.length - 2; i++) {
+        if (buffer[i] !== TAG_NEW || buffer[i + 1] !== 0x01 || buffer[i + 2] !== TYPE_CSTRING) {
+            continue;
+        }
+
+        const length = readLength(buffer, i + 3);
+        if (!length || length.next + length.value > buffer.length) continue;
+
+        const end = length.next + length.value;
+        strings.push({
+            value: buffer.toString('utf8', length.next, end),
+            offset: i,
+            end,
+        });
+        i = end - 1;
+    }
+
+    return strings;
+}
+
+/**
+ * Decode an attributedBody blob
+ * @param {Buffer|Uint8Array} blob - Raw `message.attributedBody` value
+ * @returns {{ text: string, mentions: Array<{handle: string}>, links: Array<{url: string}> } | null}
+ */
+export function decodeAttributedBody(blob) {
+    if (!blob || blob.length === 0) return null;
+
+    const buffer = Buffer.isBuffer(blob) ? blob : Buffer.from(blob);
+    if (buffer.indexOf(STREAM_HEADER) === -1) return null;
+
+    // The message string is the first NSString archived after the header
+    let classOffset = -1;
+    for (const className of STRING_CLASSES) {
+        const offset = buffer.indexOf(className);
+        if (offset !== -1 && (classOffset === -1 || offset < classOffset)) {
+            classOffset = offset;
+        }
+    }
+    if (classOffset === -1) return null;
+
+    const [body, ...attributes] = readStrings(buffer, classOffset);
+    if (!body) return null;
+
+    const text = body.value.replace(OBJECT_REPLACEMENT, '').trim();
+    const attributeValues = attributes.map((entry) => entry.value);
+
+    const mentions = [];
+    if (attributeValues.includes(MENTION_KEY)) {
+        for (const value of attributeValues) {
+            if (HANDLE_PATTERN.test(value) && !mentions.some((m) => m.handle === value)) {
+                mentions.push({ handle: value });
+            }
+        }
+    }
+
+    // Link attributes archive an NSURL whose string is the absolute URL
+    const links = [];
+    for (const value of attributeValues) {
+        if (URL_PATTERN.test(value) && !links.some((l) => l.url === value)) {
+            links.push({ url: value });
+        }
+    }
+
+    return { text, mentions, links };
+}
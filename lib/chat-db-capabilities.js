@@ -0,0 +1,76 @@
+import { toAppleTime } from './message-rows.js';
+
+/**
+ * Chat DB Capabilities - What a chat.db supports, read from the database itself
+ * Replaces macOS version lists: the schema and a sample timestamp tell us
+ * which columns exist and how dates are stored, so unlisted macOS versions
+ * and databases copied to Linux work the same way.
+ */
+
+// Seconds since 2001 are ~1e9; nanoseconds since 2001 are ~1e18
+const NANOSECOND_THRESHOLD = 1e12;
+
+const capabilityCache = new WeakMap(); // db -> capabilities
+
+/**
+ * Inspect a chat.db (once per handle)
+ * @returns {Promise<object>} { columns, tables, attributedBody, threadOriginator,
+ *   editsAndUnsends, deliveryStatus, nanosecondTimestamps }
+ */
+export async function getCapabilities(db) {
+    if (!capabilityCache.has(db)) {
+        capabilityCache.set(db, probeCapabilities(db));
+    }
+    return capabilityCache.get(db);
+}
+
+async function probeCapabilities(db) {
+    const columns = new Set((await db.all('PRAGMA table_info(message)')).map((column) => column.name));
+    const tables = new Set(
+        (await db.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map((table) => table.name)
+    );
+
+    if (!tables.has('message')) {
+        throw new Error('Not a Messages database: no message table');
+    }
+
+    // Since macOS 10.13 dates are nanoseconds rather than seconds. An empty
+    // database has nothing to measure, so assume the modern format
+    const sample = await db.get('SELECT MAX(date) AS maxDate FROM message WHERE date > 0');
+    const nanosecondTimestamps = sample?.maxDate ? sample.maxDate > NANOSECOND_THRESHOLD : true;
+
+    return {
+        columns,
+        tables,
+        // Message text moved into the attributedBody blob on newer macOS
+        attributedBody: columns.has('attributedBody'),
+        // Inline thread replies (macOS 11)
+        threadOriginator: columns.has('thread_originator_guid'),
+        // Edit and unsend (macOS 13)
+        editsAndUnsends: columns.has('date_edited') && columns.has('date_retracted'),
+        deliveryStatus: columns.has('is_delivered') && columns.has('date_delivered'),
+        nanosecondTimestamps,
+    };
+}
+
+/**
+ * Convert a Date to the value chat.db stores in its date columns
+ */
+export function toDBTime(date, capabilities) {
+    const ts = toAppleTime(date);
+    return capabilities.nanosecondTimestamps ? ts * Math.pow(10, 9) : ts;
+}
+
+/**
+ * One-line summary for logs
+ */
+export function describeCapabilities(capabilities) {
+    const features = [
+        capabilities.nanosecondTimestamps ? 'nanosecond dates' : 'second dates',
+        capabilities.attributedBody && 'attributedBody',
+        capabilities.threadOriginator && 'threads',
+        capabilities.editsAndUnsends && 'edits/unsends',
+        capabilities.deliveryStatus && 'delivery status',
+    ];
+    return features.filter(Boolean).join(', ');
+}
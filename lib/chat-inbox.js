@@ -0,0 +1,102 @@
+import * as imessage from '../index.js';
+
+/**
+ * Chat Inbox - The chat list as an operator sees it
+ * Adds participant names and whether the AI is answering each chat to the
+ * transport's chat list. Uses the same AI_ENABLED / AI_WHITELIST /
+ * AI_BLACKLIST settings as the smart listener.
+ */
+class ChatInbox {
+    constructor(options = {}) {
+        this.conversationStore = options.conversationStore || null;
+        this.groupPolicy = options.groupPolicy || null;
+        this.aiEnabled = options.aiEnabled ?? (Boolean(this.conversationStore) && process.env.AI_ENABLED !== 'false');
+        this.whitelist = options.whitelist ?? (process.env.AI_WHITELIST ? process.env.AI_WHITELIST.split(',') : null);
+        this.blacklist = options.blacklist ?? (process.env.AI_BLACKLIST ? process.env.AI_BLACKLIST.split(',') : []);
+        this.names = new Map(); // handle -> display name (null when unknown)
+    }
+
+    /**
+     * One page of chats, most recently active first
+     * @param {object} options - { limit, cursor }
+     * @returns {Promise<{ chats: object[], nextCursor: string|null }>}
+     */
+    async list(options = {}) {
+        const { chats, nextCursor } = await imessage.getChats(options);
+
+        const decorated = await Promise.all(
+            chats.map(async (chat) => {
+                const participants = await Promise.all(
+                    chat.participants.map(async (handle) => ({ handle, name: await this.nameFor(handle) }))
+                );
+
+                return {
+                    ...chat,
+                    displayName:
+                        chat.displayName ||
+                        participants.map((p) => p.name || p.handle).join(', ') ||
+                        chat.identifier,
+                    participants,
+                    ai: await this.aiStatus(chat),
+                };
+            })
+        );
+
+        return { chats: decorated, nextCursor };
+    }
+
+    /**
+     * Whether the AI answers this chat, and why
+     * @returns {Promise<{ active: boolean, reason: string, mode: string|null, lastActivity: Date|null }>}
+     */
+    async aiStatus(chat) {
+        // Conversations are keyed by chat GUID for groups, by handle otherwise
+        const key = chat.isGroup ? chat.id : chat.participants[0] || chat.identifier;
+        const status = { active: false, reason: null, mode: null, lastActivity: null };
+
+        if (this.conversationStore) {
+            const conversation = await this.conversationStore.getConversation(key);
+            if (conversation.messages.length > 0) {
+                status.lastActivity = conversation.lastActivity;
+            }
+        }
+
+        if (!this.aiEnabled) {
+            status.reason = 'ai_disabled';
+        } else if (!chat.isGroup && this.blacklist.includes(key)) {
+            status.reason = 'blacklisted';
+        } else if (!chat.isGroup && this.whitelist && !this.whitelist.includes(key)) {
+            status.reason = 'not_whitelisted';
+        } else if (chat.isGroup && this.groupPolicy) {
+            status.mode = await this.groupPolicy.getMode(key);
+            status.active = status.mode !== 'muted';
+            status.reason = status.mode;
+        } else {
+            status.active = true;
+            status.reason = 'enabled';
+        }
+
+        return status;
+    }
+
+    // Unknown handles are remembered as null so they aren't looked up again
+    async nameFor(handle) {
+        if (!this.names.has(handle)) {
+            let name = null;
+            try {
+                name = (await imessage.nameForHandle(handle)) || null;
+            } catch (error) {
+                // Not in contacts
+            }
+            this.names.set(handle, name);
+        }
+        return this.names.get(handle);
+    }
+}
+
+// Factory function for easy initialization
+export function createChatInbox(options = {}) {
+    return new ChatInbox(options);
+}
+
+export default ChatInbox;
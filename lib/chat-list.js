@@ -0,0 +1,98 @@
+import { decodeAttributedBody } from './attributed-body.js';
+import { fromAppleTime } from './message-rows.js';
+import { encodeCursor, decodeCursor } from './message-search.js';
+import { getCapabilities } from './chat-db-capabilities.js';
+
+/**
+ * Chat List - One row per chat.db chat, most recently active first
+ * Activity is the chat's newest message ROWID (ROWIDs grow as messages
+ * arrive), which doubles as the keyset cursor for pagination.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// chat.style for group chats; one-to-one chats are 45
+const GROUP_CHAT_STYLE = 43;
+
+/**
+ * List chats in an open chat.db
+ * @param {object} options - { limit, cursor }
+ * @returns {Promise<{ chats: object[], nextCursor: string|null }>}
+ */
+export async function listChatsDB(db, options = {}) {
+    const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const before = options.cursor ? decodeCursor(options.cursor) : null;
+    const { attributedBody } = await getCapabilities(db);
+
+    const rows = await db.all(
+        `
+        SELECT
+            c.ROWID AS chatRowId,
+            c.guid,
+            c.chat_identifier,
+            c.display_name,
+            c.service_name,
+            c.style,
+            lm.ROWID AS last_rowid,
+            lm.text AS last_text,
+            ${attributedBody ? 'lm.attributedBody' : 'NULL'} AS last_attributed_body,
+            lm.date AS last_date,
+            lm.is_from_me AS last_is_from_me,
+            (
+                SELECT COUNT(*) FROM chat_message_join AS ucmj
+                JOIN message AS um ON um.ROWID = ucmj.message_id
+                WHERE ucmj.chat_id = c.ROWID
+                    AND um.is_from_me = 0
+                    AND um.is_read = 0
+                    AND (um.associated_message_type IS NULL OR um.associated_message_type = 0)
+            ) AS unread_count,
+            (
+                SELECT group_concat(h.id, ',') FROM chat_handle_join AS chj
+                JOIN handle AS h ON h.ROWID = chj.handle_id
+                WHERE chj.chat_id = c.ROWID
+            ) AS participants
+        FROM chat AS c
+        JOIN (
+            SELECT chat_id, MAX(message_id) AS last_message_id
+            FROM chat_message_join
+            GROUP BY chat_id
+        ) AS latest ON latest.chat_id = c.ROWID
+        JOIN message AS lm ON lm.ROWID = latest.last_message_id
+        ${before !== null ? 'WHERE lm.ROWID < ?' : ''}
+        ORDER BY lm.ROWID DESC
+        LIMIT ${limit + 1}
+        `,
+        ...(before !== null ? [before] : [])
+    );
+
+    const chats = rows.slice(0, limit).map(rowToChat);
+
+    return {
+        chats,
+        nextCursor: rows.length > limit ? encodeCursor(chats[chats.length - 1].lastMessage.rowId) : null,
+    };
+}
+
+/**
+ * Map a row from listChatsDB to the chat object
+ */
+export function rowToChat(row) {
+    const decoded = row.last_attributed_body ? decodeAttributedBody(row.last_attributed_body) : null;
+
+    return {
+        id: row.guid,
+        identifier: row.chat_identifier,
+        displayName: row.display_name || null,
+        service: row.service_name,
+        isGroup: row.style === GROUP_CHAT_STYLE,
+        participants: row.participants ? row.participants.split(',') : [],
+        unreadCount: row.unread_count,
+        lastMessage: {
+            rowId: row.last_rowid,
+            text: row.last_text || decoded?.text || '',
+            fromMe: !!row.last_is_from_me,
+            date: fromAppleTime(row.last_date),
+        },
+    };
+}
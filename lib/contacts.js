@@ -0,0 +1,285 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import { join } from 'path';
+import { homedir } from 'os';
+import chalk from 'chalk';
+import { openDB } from './messages-db.js';
+
+/**
+ * Contacts - Resolves handles to names and back without osascript
+ * Reads the macOS AddressBook databases, or a vCard export on Linux, into an
+ * in-memory index that is reloaded when the source files change. Phone numbers
+ * are normalized to E.164 and emails to lowercase, and cards that share a
+ * handle are merged into one person.
+ */
+
+const ADDRESSBOOK_FILE = 'AddressBook-v22.abcddb';
+
+/**
+ * Normalize a phone number to E.164 ("+15551234567") or an email to
+ * lowercase. Returns null for anything that is neither.
+ */
+export function normalizeHandle(handle, defaultCountryCode = process.env.CONTACTS_DEFAULT_COUNTRY_CODE || '1') {
+    if (typeof handle != 'string') return null;
+    const trimmed = handle.trim();
+
+    if (trimmed.includes('@')) {
+        return trimmed.toLowerCase();
+    }
+
+    // Keep a leading + (or the 00 international prefix), drop formatting
+    let digits = trimmed.replace(/[^\d+]/g, '');
+    if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+    const international = digits.startsWith('+');
+    digits = digits.replace(/\+/g, '');
+
+    if (digits.length < 7 || digits.length > 15) return null;
+    if (international) return `+${digits}`;
+
+    // National numbers: NANP numbers are 10 digits (11 with the leading 1),
+    // elsewhere a leading trunk 0 is dropped before the country code
+    if (defaultCountryCode === '1') {
+        if (digits.length === 10) return `+1${digits}`;
+        if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    }
+    return `+${defaultCountryCode}${digits.replace(/^0/, '')}`;
+}
+
+/**
+ * Parse a vCard (.vcf) export into { name, handles } cards
+ */
+export function parseVCards(text) {
+    // Unfold continuation lines (RFC 6350 3.2)
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const cards = [];
+    let card = null;
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const key = line.slice(0, separator).split(';')[0].replace(/^item\d+\./i, '').toUpperCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+            card = { fullName: null, structuredName: null, organization: null, handles: [] };
+        } else if (key === 'END' && card) {
+            const name = card.fullName || card.structuredName || card.organization;
+            if (name && card.handles.length > 0) cards.push({ name, handles: card.handles });
+            card = null;
+        } else if (!card) {
+            continue;
+        } else if (key === 'FN') {
+            card.fullName = value;
+        } else if (key === 'N') {
+            // N:Last;First;Middle;Prefix;Suffix
+            const [last, first] = value.split(';');
+            card.structuredName = [first, last].filter(Boolean).join(' ') || null;
+        } else if (key === 'ORG') {
+            card.organization = value.split(';')[0] || null;
+        } else if (key === 'TEL' || key === 'EMAIL') {
+            card.handles.push(value.replace(/^tel:/i, '').replace(/^mailto:/i, ''));
+        }
+    }
+
+    return cards;
+}
+
+class ContactsService {
+    constructor(options = {}) {
+        this.source =
+            options.source ||
+            process.env.CONTACTS_SOURCE ||
+            (process.platform === 'darwin' ? 'addressbook' : 'vcard');
+        this.vcardPath = options.vcardPath || process.env.CONTACTS_VCF_PATH || null;
+        this.addressBookDir =
+            options.addressBookDir ||
+            process.env.ADDRESSBOOK_DIR ||
+            join(homedir(), 'Library', 'Application Support', 'AddressBook');
+        this.ttlMs = Number(options.ttlMs ?? process.env.CONTACTS_CACHE_TTL_MS ?? 5 * 60 * 1000);
+
+        this.byHandle = new Map(); // normalized handle -> contact
+        this.contacts = []; // { name, handles }
+        this.loadedAt = 0;
+        this.sourceVersion = null; // file mtimes the index was built from
+        this.loading = null;
+    }
+
+    /**
+     * Display name for a phone number or email, or null if unknown
+     */
+    async nameForHandle(handle) {
+        const contact = await this.lookup(handle);
+        return contact ? contact.name : null;
+    }
+
+    /**
+     * Preferred handle (first phone number, else first email) for a name,
+     * or null if no single contact matches
+     */
+    async handleForName(name) {
+        const matches = await this.findByName(name);
+        if (matches.length !== 1) return null;
+
+        const { handles } = matches[0];
+        return handles.find((handle) => handle.startsWith('+')) || handles[0] || null;
+    }
+
+    /**
+     * The merged contact owning a handle, or null
+     */
+    async lookup(handle) {
+        await this.ensureLoaded();
+        const normalized = normalizeHandle(handle);
+        return normalized ? this.byHandle.get(normalized) || null : null;
+    }
+
+    /**
+     * Contacts whose full name matches, falling back to a unique first-name match
+     */
+    async findByName(name) {
+        await this.ensureLoaded();
+        const wanted = String(name).trim().toLowerCase();
+        if (!wanted) return [];
+
+        const exact = this.contacts.filter((contact) => contact.name.toLowerCase() === wanted);
+        if (exact.length > 0) return exact;
+
+        return this.contacts.filter((contact) => contact.name.toLowerCase().split(/\s+/)[0] === wanted);
+    }
+
+    /**
+     * Rebuild the index if it is older than the TTL and the sources changed
+     */
+    async ensureLoaded() {
+        if (this.loading) return this.loading;
+        if (this.loadedAt && Date.now() - this.loadedAt < this.ttlMs) return;
+
+        this.loading = this.refresh().finally(() => {
+            this.loading = null;
+        });
+        return this.loading;
+    }
+
+    async refresh() {
+        try {
+            const files = await this.sourceFiles();
+            const version = JSON.stringify(files);
+            this.loadedAt = Date.now();
+            if (version === this.sourceVersion) return;
+
+            const cards = this.source === 'addressbook'
+                ? await this.readAddressBooks(files.map((file) => file.path))
+                : await this.readVCards(files.map((file) => file.path));
+
+            this.buildIndex(cards);
+            this.sourceVersion = version;
+            console.log(chalk.blue(`📇 Loaded ${this.contacts.length} contacts from ${this.source}`));
+        } catch (error) {
+            // Keep serving the last good index
+            this.loadedAt = Date.now();
+            console.warn(chalk.yellow('⚠️ Could not load contacts:'), error.message);
+        }
+    }
+
+    // Source files with their modification times
+    async sourceFiles() {
+        let paths = [];
+
+        if (this.source === 'addressbook') {
+            // The main database plus one per synced account under Sources/
+            paths.push(join(this.addressBookDir, ADDRESSBOOK_FILE));
+            const sources = await readdir(join(this.addressBookDir, 'Sources')).catch(() => []);
+            paths.push(...sources.map((source) => join(this.addressBookDir, 'Sources', source, ADDRESSBOOK_FILE)));
+        } else if (this.source === 'vcard' && this.vcardPath) {
+            paths = [this.vcardPath];
+        }
+
+        const files = await Promise.all(
+            paths.map(async (path) => {
+                const info = await stat(path).catch(() => null);
+                return info ? { path, mtimeMs: info.mtimeMs } : null;
+            })
+        );
+        return files.filter(Boolean);
+    }
+
+    async readAddressBooks(paths) {
+        const cards = [];
+
+        for (const path of paths) {
+            const db = await openDB(path);
+            const rows = await db.all(`
+                SELECT
+                    r.Z_PK AS id,
+                    TRIM(COALESCE(r.ZFIRSTNAME, '') || ' ' || COALESCE(r.ZLASTNAME, '')) AS fullName,
+                    r.ZORGANIZATION AS organization,
+                    p.ZFULLNUMBER AS phone,
+                    NULL AS email
+                FROM ZABCDRECORD AS r
+                JOIN ZABCDPHONENUMBER AS p ON p.ZOWNER = r.Z_PK
+                UNION ALL
+                SELECT
+                    r.Z_PK,
+                    TRIM(COALESCE(r.ZFIRSTNAME, '') || ' ' || COALESCE(r.ZLASTNAME, '')),
+                    r.ZORGANIZATION,
+                    NULL,
+                    e.ZADDRESS
+                FROM ZABCDRECORD AS r
+                JOIN ZABCDEMAILADDRESS AS e ON e.ZOWNER = r.Z_PK
+            `);
+
+            const byRecord = new Map();
+            for (const row of rows) {
+                const name = row.fullName || row.organization;
+                if (!name) continue;
+                if (!byRecord.has(row.id)) byRecord.set(row.id, { name, handles: [] });
+                byRecord.get(row.id).handles.push(row.phone || row.email);
+            }
+            cards.push(...byRecord.values());
+        }
+
+        return cards;
+    }
+
+    async readVCards(paths) {
+        const cards = [];
+        for (const path of paths) {
+            cards.push(...parseVCards(await readFile(path, 'utf-8')));
+        }
+        return cards;
+    }
+
+    // Cards sharing any normalized handle are the same person
+    buildIndex(cards) {
+        const byHandle = new Map();
+        const contacts = [];
+
+        for (const card of cards) {
+            const handles = [...new Set(card.handles.map((handle) => normalizeHandle(handle)).filter(Boolean))];
+            if (handles.length === 0) continue;
+
+            const existing = [...new Set(handles.map((handle) => byHandle.get(handle)).filter(Boolean))];
+            const contact = existing[0] || { name: card.name, handles: [] };
+            if (!existing[0]) contacts.push(contact);
+
+            // Fold any other people this card links together into the first
+            for (const other of existing.slice(1)) {
+                contact.handles.push(...other.handles);
+                other.handles.forEach((handle) => byHandle.set(handle, contact));
+                contacts.splice(contacts.indexOf(other), 1);
+            }
+
+            for (const handle of handles) {
+                if (!contact.handles.includes(handle)) contact.handles.push(handle);
+                byHandle.set(handle, contact);
+            }
+        }
+
+        this.byHandle = byHandle;
+        this.contacts = contacts;
+    }
+}
+
+export const contacts = new ContactsService();
+
+export default ContactsService;
@@ -0,0 +1,191 @@
+import { generateText } from 'ai';
+import chalk from 'chalk';
+import { modelRegistry } from './model-registry.js';
+
+/**
+ * Context Manager - Fits a conversation into the model's token budget
+ * The newest messages are sent as they are. Once they outgrow the budget,
+ * the oldest are folded into a rolling summary kept in the conversation
+ * context (context.summary), so older turns fade out gradually instead of
+ * disappearing. Long runs of short texts are folded too, by message count,
+ * so they are summarized before the store lets go of them. Facts about
+ * people live in user memory (user-memory.js) and are part of every system
+ * prompt regardless.
+ * Tokens are estimated at about four characters each.
+ */
+
+// Context windows by model name; unknown and local models get the default
+const CONTEXT_WINDOWS = [
+    [/^(gpt-4o|gpt-4\.1|gpt-4-turbo|o\d)/, 128000],
+    [/^gpt-4/, 8192],
+    [/^gpt-3\.5/, 16385],
+    [/^claude/, 200000],
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Fold when unsummarized messages fill this share of the token or message
+// budget, down to the lower share
+const HIGH_WATER = 0.75;
+const LOW_WATER = 0.5;
+
+export function estimateTokens(value) {
+    if (!value) return 0;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return Math.ceil(text.length / 4);
+}
+
+function messageTokens(message) {
+    // A few tokens of overhead per message for the role and framing
+    return 4 + estimateTokens(message.content) + estimateTokens(message.toolCalls) + estimateTokens(message.toolResults);
+}
+
+/**
+ * The smallest context window in a model's fallback chain
+ */
+export function contextWindowFor(model) {
+    const ids = model?.chain ? model.chain.map((entry) => entry.modelId) : [model?.modelId || ''];
+    return Math.min(
+        ...ids.map((id) => (CONTEXT_WINDOWS.find(([pattern]) => pattern.test(id)) || [null, DEFAULT_CONTEXT_WINDOW])[1])
+    );
+}
+
+class ContextManager {
+    constructor(options = {}) {
+        this.conversationStore = options.conversationStore;
+        this.models = options.modelRegistry || modelRegistry;
+        // Cap on prompt tokens, whatever the model could take (cost control)
+        this.maxTokens = options.maxTokens || Number(process.env.AI_CONTEXT_MAX_TOKENS) || 6000;
+        // Cap on unsummarized messages, well under what the store keeps
+        this.maxMessages = options.maxMessages || Number(process.env.AI_CONTEXT_MAX_MESSAGES) || 80;
+        this.replyTokens = options.replyTokens || 1000;
+        // Never fold the very latest exchange
+        this.minRecentMessages = options.minRecentMessages ?? 4;
+        // Conversations being summarized; compact() runs in the background, so
+        // two turns in a row must not fold the same messages twice
+        this.compacting = new Set();
+    }
+
+    /**
+     * Prompt tokens available for a model
+     */
+    budgetFor(model) {
+        return Math.min(contextWindowFor(model) - this.replyTokens, this.maxTokens);
+    }
+
+    /**
+     * Messages not yet covered by the summary (unsent ones never count)
+     */
+    unsummarized(conversation) {
+        const through = conversation.context?.summary?.through;
+        return conversation.messages.filter((msg) => !msg.unsent && (!through || msg.timestamp > through));
+    }
+
+    /**
+     * The system prompt with the summary of older messages
+     */
+    withSummary(systemPrompt, context = {}) {
+        if (!context.summary?.text) return systemPrompt;
+        return `${systemPrompt}\n\nEARLIER IN THIS CONVERSATION (summary of older messages):\n${context.summary.text}`;
+    }
+
+    /**
+     * Choose what to send for one turn
+     * @returns {{ systemPrompt: string, messages: object[], omitted: number }}
+     *   the stored messages that fit, oldest first; `omitted` were left out
+     *   without being summarized yet (compact() catches up after the turn)
+     */
+    prepare(conversation, { model, systemPrompt }) {
+        const fullPrompt = this.withSummary(systemPrompt, conversation.context);
+        const pending = this.unsummarized(conversation);
+
+        let remaining = this.budgetFor(model) - estimateTokens(fullPrompt);
+        let start = pending.length;
+        while (start > 0) {
+            const cost = messageTokens(pending[start - 1]);
+            // The newest message always goes in, even over budget
+            if (start < pending.length && cost > remaining) break;
+            remaining -= cost;
+            start--;
+        }
+
+        if (start > 0) {
+            console.log(chalk.gray(`✂️ ${start} older message(s) over the token budget, not yet summarized`));
+        }
+
+        return { systemPrompt: fullPrompt, messages: pending.slice(start), omitted: start };
+    }
+
+    /**
+     * Fold the oldest unsummarized messages into the summary once they fill
+     * most of the token budget or of maxMessages
+     * @returns {Promise<object|null>} the new summary, or null if nothing was folded
+     */
+    async compact(key, { model }) {
+        if (this.compacting.has(key)) return null;
+        this.compacting.add(key);
+        try {
+            return await this.fold(key, { model });
+        } finally {
+            this.compacting.delete(key);
+        }
+    }
+
+    async fold(key, { model }) {
+        const conversation = await this.conversationStore.getConversation(key);
+        const pending = this.unsummarized(conversation);
+        const budget = this.budgetFor(model);
+
+        let total = pending.reduce((sum, msg) => sum + messageTokens(msg), 0);
+        const overBudget = total > budget * HIGH_WATER || pending.length > this.maxMessages * HIGH_WATER;
+        if (!overBudget || pending.length <= this.minRecentMessages) return null;
+
+        let count = 0;
+        while (
+            (total > budget * LOW_WATER || pending.length - count > this.maxMessages * LOW_WATER) &&
+            count < pending.length - this.minRecentMessages
+        ) {
+            total -= messageTokens(pending[count++]);
+        }
+        // Messages stored in the same millisecond fold together, since the
+        // summary boundary is a timestamp
+        while (count < pending.length && pending[count].timestamp === pending[count - 1].timestamp) count++;
+
+        const folded = pending.slice(0, count);
+        const summary = conversation.context?.summary || null;
+
+        try {
+            const result = await generateText({
+                model: this.models.getModel('summary'),
+                prompt: `You keep the running summary of a text conversation. Fold the new messages into the summary: keep decisions, open questions, promises and anything the assistant may need later; drop small talk. Stay under 200 words. Reply with the updated summary only.
+
+Current summary:
+${summary?.text || '(none yet)'}
+
+New messages:
+${folded.map((msg) => `${msg.role === 'user' ? msg.senderName || 'User' : 'Assistant'}: ${msg.content}`).join('\n')}`,
+                maxTokens: 400,
+            });
+
+            const next = {
+                text: result.text.trim(),
+                through: folded[folded.length - 1].timestamp,
+                messageCount: (summary?.messageCount || 0) + folded.length,
+                updatedAt: new Date().toISOString(),
+            };
+
+            await this.conversationStore.updateContext(key, { summary: next });
+            console.log(chalk.blue(`🗜️ Summarized ${folded.length} older message(s) for ${key}`));
+            return next;
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not summarize older messages for ${key}:`), error.message);
+            return null;
+        }
+    }
+}
+
+// Factory function for easy initialization
+export function createContextManager(options = {}) {
+    return new ContextManager(options);
+}
+
+export default ContextManager;
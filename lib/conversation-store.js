@@ -1,5 +1,6 @@
 import { MongoClient } from 'mongodb';
 import chalk from 'chalk';
+import { createWorkScheduler } from './work-scheduler.js';
 
 /**
  * MongoDB Conversation Store - Manages chat history and context per user
@@ -9,18 +10,37 @@ class ConversationStore {
     constructor(options = {}) {
         this.type = options.type || 'mongodb';
         this.conversations = new Map(); // In-memory fallback/cache
+        this.scheduledMessages = new Map(); // In-memory fallback for scheduled messages
+        this.memories = new Map(); // In-memory fallback for user memories: handle -> Map(key -> fact)
+        this.promptVersions = new Map(); // In-memory fallback for prompt versions: name -> versions
         this.client = null;
         this.db = null;
         this.collection = null;
+        this.scheduledCollection = null;
+        this.memoriesCollection = null;
+        this.promptVersionsCollection = null;
         this.isConnected = false;
+
+        // Read-modify-write updates to one conversation run one at a time, so
+        // concurrent messages for the same handle don't overwrite each other
+        this.writes = createWorkScheduler({ name: 'conversation-writes', maxConcurrency: Infinity });
+
+        // Past keepMessages, the oldest messages are dropped once the rolling
+        // summary (context-manager.js) covers them; maxMessages is only a
+        // backstop for conversations that never get summarized
+        this.keepMessages = options.keepMessages || 100;
+        this.maxMessages = options.maxMessages || 1000;
         
         // MongoDB connection settings
         this.connectionString = options.mongoUrl || process.env.MONGO_URL || 'mongodb://localhost:27017';
         this.databaseName = options.databaseName || 'connectus_chats';
         this.collectionName = options.collectionName || 'chats';
+        this.scheduledCollectionName = options.scheduledCollectionName || 'scheduled_messages';
+        this.memoriesCollectionName = options.memoriesCollectionName || 'memories';
+        this.promptVersionsCollectionName = options.promptVersionsCollectionName || 'prompt_versions';
         
-        // Initialize MongoDB connection
-        this.initMongoDB();
+        // Initialize MongoDB connection (never rejects; falls back to memory)
+        this.ready = this.initMongoDB();
     }
 
     /**
@@ -40,6 +60,16 @@ class ConversationStore {
             
             // Create index on handle for better performance
             await this.collection.createIndex({ handle: 1 }, { unique: true });
+
+            this.scheduledCollection = this.db.collection(this.scheduledCollectionName);
+            await this.scheduledCollection.createIndex({ id: 1 }, { unique: true });
+            await this.scheduledCollection.createIndex({ nextRunAt: 1 });
+
+            this.memoriesCollection = this.db.collection(this.memoriesCollectionName);
+            await this.memoriesCollection.createIndex({ handle: 1, key: 1 }, { unique: true });
+
+            this.promptVersionsCollection = this.db.collection(this.promptVersionsCollectionName);
+            await this.promptVersionsCollection.createIndex({ name: 1, version: 1 }, { unique: true });
             
             console.log(chalk.green('✅ MongoDB connected successfully'));
             console.log(chalk.blue(`📍 Database: ${this.databaseName}, Collection: ${this.collectionName}`));
@@ -111,40 +141,107 @@ class ConversationStore {
 
     /**
      * Add a new message to the conversation
+     * @param {object} metadata - Extra fields stored on the message (e.g. chat.db guid)
      */
-    async addMessage(handle, role, content, toolCalls = null, toolResults = null) {
-        const conversation = await this.getConversation(handle);
+    addMessage(handle, role, content, toolCalls = null, toolResults = null, metadata = {}) {
+        return this.writes.run(handle, async () => {
+            const conversation = await this.getConversation(handle);
         
-        const message = {
-            role,
-            content,
-            timestamp: new Date().toISOString()
-        };
+            const message = {
+                ...metadata,
+                role,
+                content,
+                timestamp: new Date().toISOString()
+            };
 
-        if (toolCalls) message.toolCalls = toolCalls;
-        if (toolResults) message.toolResults = toolResults;
+            if (toolCalls) message.toolCalls = toolCalls;
+            if (toolResults) message.toolResults = toolResults;
 
-        conversation.messages.push(message);
+            conversation.messages.push(message);
 
-        // Keep last 100 messages to prevent unlimited growth
-        if (conversation.messages.length > 100) {
-            conversation.messages = conversation.messages.slice(-100);
-        }
+            this.trimMessages(conversation);
+
+            console.log(chalk.blue(`📨 Adding ${role} message for ${handle}: "${content.substring(0, 50)}..."`));
+
+            await this.saveConversation(handle, conversation.messages, conversation.context);
+            return conversation;
+        });
+    }
+
+    /**
+     * Drop old messages that are already part of the conversation summary,
+     * keeping at least keepMessages (and never more than maxMessages)
+     */
+    trimMessages(conversation) {
+        const through = conversation.context?.summary?.through;
+        const { messages } = conversation;
+
+        let drop = 0;
+        while (through && messages.length - drop > this.keepMessages && messages[drop].timestamp <= through) drop++;
+        drop = Math.max(drop, messages.length - this.maxMessages);
+
+        if (drop > 0) conversation.messages = messages.slice(drop);
+    }
+
+    /**
+     * Apply a change to the message with the given chat.db guid
+     * Assistant replies are split into several texts, so they match on any of
+     * their `guids` as well as on `guid`
+     * @param {function} updater - Receives the message and mutates it
+     * @returns {boolean} Whether a matching message was found
+     */
+    updateMessageByGuid(handle, guid, updater) {
+        return this.writes.run(handle, async () => {
+            const conversation = await this.getConversation(handle);
+            const message = conversation.messages.find(
+                msg => msg.guid === guid || (msg.guids && msg.guids.includes(guid))
+            );
 
-        console.log(chalk.blue(`📨 Adding ${role} message for ${handle}: "${content.substring(0, 50)}..."`));
+            if (!message) return false;
 
-        await this.saveConversation(handle, conversation.messages, conversation.context);
-        return conversation;
+            updater(message);
+            await this.saveConversation(handle, conversation.messages, conversation.context);
+            return true;
+        });
+    }
+
+    /**
+     * Record the chat.db guid of a text we sent, on the latest assistant
+     * message containing it, so later reactions/edits can find it
+     */
+    linkSentMessage(handle, text, guid) {
+        return this.writes.run(handle, async () => {
+            const conversation = await this.getConversation(handle);
+            const trimmed = text.trim();
+
+            for (let i = conversation.messages.length - 1; i >= 0; i--) {
+                const message = conversation.messages[i];
+                if (message.role !== 'assistant' || !trimmed || !message.content?.includes(trimmed)) {
+                    continue;
+                }
+
+                message.guids = message.guids || [];
+                if (!message.guids.includes(guid)) {
+                    message.guids.push(guid);
+                    await this.saveConversation(handle, conversation.messages, conversation.context);
+                }
+                return true;
+            }
+
+            return false;
+        });
     }
 
     /**
      * Update context for a user (preferences, state, etc.)
      */
-    async updateContext(handle, newContext) {
-        const conversation = await this.getConversation(handle);
-        conversation.context = { ...conversation.context, ...newContext };
-        await this.saveConversation(handle, conversation.messages, conversation.context);
-        return conversation;
+    updateContext(handle, newContext) {
+        return this.writes.run(handle, async () => {
+            const conversation = await this.getConversation(handle);
+            conversation.context = { ...conversation.context, ...newContext };
+            await this.saveConversation(handle, conversation.messages, conversation.context);
+            return conversation;
+        });
     }
 
     /**
@@ -237,6 +334,200 @@ class ConversationStore {
         };
     }
 
+    /**
+     * Create or replace a scheduled message (matched on `id`)
+     */
+    async saveScheduledMessage(scheduled) {
+        this.scheduledMessages.set(scheduled.id, { ...scheduled });
+
+        if (this.isConnected) {
+            try {
+                await this.scheduledCollection.replaceOne({ id: scheduled.id }, scheduled, { upsert: true });
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB scheduled message save error:'), error.message);
+            }
+        }
+
+        return scheduled;
+    }
+
+    /**
+     * Scheduled messages, soonest first
+     * @param {object} filter - { target } to only return one conversation's
+     */
+    async getScheduledMessages(filter = {}) {
+        const query = filter.target ? { $or: [{ handle: filter.target }, { chatId: filter.target }] } : {};
+
+        if (this.isConnected) {
+            try {
+                return await this.scheduledCollection
+                    .find(query)
+                    .sort({ nextRunAt: 1 })
+                    .project({ _id: 0 })
+                    .toArray();
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB scheduled message query error:'), error.message);
+            }
+        }
+
+        return Array.from(this.scheduledMessages.values())
+            .filter(s => !filter.target || s.handle === filter.target || s.chatId === filter.target)
+            .sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)))
+            .map(s => ({ ...s }));
+    }
+
+    /**
+     * Delete a scheduled message
+     * @returns {boolean} Whether it existed
+     */
+    async deleteScheduledMessage(id) {
+        const existed = this.scheduledMessages.delete(id);
+
+        if (this.isConnected) {
+            try {
+                const result = await this.scheduledCollection.deleteOne({ id });
+                return result.deletedCount > 0;
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB scheduled message delete error:'), error.message);
+            }
+        }
+
+        return existed;
+    }
+
+    /**
+     * Apply `changes` to a scheduled message only if it is still due at
+     * `runAt`, so when several processes share the database exactly one of
+     * them sends each run
+     * @returns {boolean} Whether this caller claimed the run
+     */
+    async claimScheduledMessage(id, runAt, changes) {
+        if (this.isConnected) {
+            try {
+                const result = await this.scheduledCollection.updateOne(
+                    { id, nextRunAt: runAt },
+                    { $set: changes }
+                );
+                if (result.modifiedCount === 0) return false;
+
+                const cached = this.scheduledMessages.get(id);
+                if (cached) Object.assign(cached, changes);
+                return true;
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB scheduled message claim error:'), error.message);
+                return false;
+            }
+        }
+
+        const scheduled = this.scheduledMessages.get(id);
+        if (!scheduled || scheduled.nextRunAt !== runAt) return false;
+        Object.assign(scheduled, changes);
+        return true;
+    }
+
+    /**
+     * Long-term facts remembered about a handle, sorted by key
+     */
+    async getMemories(handle) {
+        if (this.isConnected) {
+            try {
+                return await this.memoriesCollection
+                    .find({ handle })
+                    .sort({ key: 1 })
+                    .project({ _id: 0 })
+                    .toArray();
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB memory query error:'), error.message);
+            }
+        }
+
+        return Array.from(this.memories.get(handle)?.values() || [])
+            .sort((a, b) => a.key.localeCompare(b.key))
+            .map(fact => ({ ...fact }));
+    }
+
+    /**
+     * Insert or replace the fact with the same handle and key
+     */
+    async saveMemory(fact) {
+        if (!this.memories.has(fact.handle)) {
+            this.memories.set(fact.handle, new Map());
+        }
+        this.memories.get(fact.handle).set(fact.key, { ...fact });
+
+        if (this.isConnected) {
+            try {
+                await this.memoriesCollection.replaceOne({ handle: fact.handle, key: fact.key }, fact, { upsert: true });
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB memory save error:'), error.message);
+            }
+        }
+
+        return fact;
+    }
+
+    /**
+     * Delete one remembered fact
+     * @returns {boolean} Whether it existed
+     */
+    async deleteMemory(handle, key) {
+        const existed = Boolean(this.memories.get(handle)?.delete(key));
+
+        if (this.isConnected) {
+            try {
+                const result = await this.memoriesCollection.deleteOne({ handle, key });
+                return result.deletedCount > 0;
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB memory delete error:'), error.message);
+            }
+        }
+
+        return existed;
+    }
+
+    /**
+     * Stored versions of a prompt, oldest first
+     */
+    async getPromptVersions(name) {
+        if (this.isConnected) {
+            try {
+                return await this.promptVersionsCollection
+                    .find({ name })
+                    .sort({ version: 1 })
+                    .project({ _id: 0 })
+                    .toArray();
+            } catch (error) {
+                console.warn(chalk.yellow('⚠️ MongoDB prompt version query error:'), error.message);
+            }
+        }
+
+        return (this.promptVersions.get(name) || []).map(version => ({ ...version }));
+    }
+
+    /**
+     * Add a prompt version unless that version number is already taken
+     * (another process recorded the same change first)
+     * @returns {boolean} Whether it was added
+     */
+    async addPromptVersion(version) {
+        const versions = this.promptVersions.get(version.name) || [];
+
+        if (this.isConnected) {
+            try {
+                await this.promptVersionsCollection.insertOne({ ...version });
+            } catch (error) {
+                if (error.code === 11000) return false;
+                console.warn(chalk.yellow('⚠️ MongoDB prompt version save error:'), error.message);
+            }
+        } else if (versions.some(existing => existing.version === version.version)) {
+            return false;
+        }
+
+        this.promptVersions.set(version.name, [...versions.filter(existing => existing.version !== version.version), { ...version }]
+            .sort((a, b) => a.version - b.version));
+        return true;
+    }
+
     /**
      * Cleanup and close connections
      */
@@ -262,6 +553,17 @@ class ConversationStore {
     }
 }
 
+/**
+ * Which conversation an incoming message, reaction or edit belongs to
+ * Group chats share one history keyed by the chat (GUID when the row had one,
+ * else the room name); direct messages are keyed by handle
+ * @returns {{ key: string, chatId: string|null }}
+ */
+export function conversationTarget(event) {
+    const chatId = event.group ? event.chatGuid || event.group : null;
+    return { key: chatId || event.handle, chatId };
+}
+
 // Factory function to create store with environment-based config
 export function createConversationStore(options = {}) {
     const config = {
@@ -269,6 +571,9 @@ export function createConversationStore(options = {}) {
         mongoUrl: process.env.MONGO_URL || 'mongodb://localhost:27017',
         databaseName: process.env.MONGO_DB_NAME || 'connectus_chats',
         collectionName: process.env.MONGO_COLLECTION_NAME || 'chats',
+        scheduledCollectionName: process.env.MONGO_SCHEDULED_COLLECTION_NAME || 'scheduled_messages',
+        memoriesCollectionName: process.env.MONGO_MEMORIES_COLLECTION_NAME || 'memories',
+        promptVersionsCollectionName: process.env.MONGO_PROMPT_VERSIONS_COLLECTION_NAME || 'prompt_versions',
         ...options
     };
 
@@ -0,0 +1,232 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import chalk from 'chalk';
+import { getTransport } from './transport.js';
+
+/**
+ * Delivery Tracker - Follows outbound texts until they are delivered, read or failed
+ * Matches each send to its chat.db row (through the transport) and emits
+ * 'delivered', 'read' and 'failed'. Failed sends are retried, then resent
+ * over SMS when the first attempt went through iMessage. Resends go through
+ * the outbound queue, so they keep its per-recipient order and rate limit.
+ */
+class DeliveryTracker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.pollIntervalMs = options.pollIntervalMs || 3000;
+        this.timeoutMs = options.timeoutMs || Number(process.env.DELIVERY_TIMEOUT_MS) || 10 * 60 * 1000;
+        this.maxRetries = options.maxRetries ?? Number(process.env.DELIVERY_MAX_RETRIES ?? 1);
+        this.smsFallback = options.smsFallback ?? process.env.DELIVERY_SMS_FALLBACK !== 'false';
+        this.maxRecords = options.maxRecords || 1000;
+
+        this.records = new Map(); // messageId -> record
+        this.claimedRowIds = new Set(); // chat.db rows already matched to a record
+        this.pollTimer = null;
+    }
+
+    /**
+     * Start tracking a text that was just handed to the transport
+     * @returns {string} messageId to look the status up later
+     */
+    track({ handle = null, chatId = null, text, service = null, newContact = false, idempotencyKey = null }) {
+        const record = {
+            id: randomUUID(),
+            idempotencyKey, // of the outbound queue job, if it came through the queue
+            handle,
+            chatId, // Set for group chat sends instead of handle
+            text,
+            service,
+            newContact,
+            status: 'pending',
+            tracking: true, // false once read, failed or timed out
+            attempts: 1,
+            sentAt: new Date(),
+            rowId: null,
+            guid: null,
+            deliveredAt: null,
+            readAt: null,
+            error: null,
+            history: [{ status: 'sent', service, at: new Date().toISOString() }],
+        };
+
+        this.records.set(record.id, record);
+        this.pruneRecords();
+        this.startPolling();
+
+        return record.id;
+    }
+
+    /**
+     * Current status of a tracked message, or null if unknown
+     */
+    getStatus(messageId) {
+        const record = this.records.get(messageId);
+        if (!record) return null;
+
+        const { id, handle, chatId, status, service, attempts, guid, sentAt, deliveredAt, readAt, error, history } = record;
+        return { id, handle, chatId, status, service, attempts, guid, sentAt, deliveredAt, readAt, error, history };
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => {
+            this.checkPending().catch((error) =>
+                console.warn('⚠️ Delivery status check failed:', error.message)
+            );
+        }, this.pollIntervalMs);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    async checkPending() {
+        const transport = getTransport();
+        const pending = [...this.records.values()].filter((record) => record.tracking);
+
+        if (pending.length === 0) {
+            this.stopPolling();
+            return;
+        }
+
+        // Transports without a message database can't report status
+        if (typeof transport.findSentMessage !== 'function') {
+            return;
+        }
+
+        for (const record of pending) {
+            if (Date.now() - record.sentAt.getTime() > this.timeoutMs) {
+                // Delivered-but-unread keeps its status; never-seen becomes unknown
+                record.tracking = false;
+                if (record.status === 'pending') this.setStatus(record, 'unknown');
+                continue;
+            }
+
+            const row = await transport.findSentMessage({
+                handle: record.handle,
+                chatId: record.chatId,
+                text: record.text,
+                since: record.sentAt,
+                rowId: record.rowId,
+                excludeRowIds: this.claimedRowIds,
+            });
+            if (!row) continue;
+
+            if (record.rowId === null) {
+                record.rowId = row.rowId;
+                record.guid = row.guid;
+                this.claimedRowIds.add(row.rowId);
+            }
+
+            if (row.error) {
+                record.error = row.error;
+                await this.handleFailure(record);
+            } else if (row.isRead) {
+                record.deliveredAt = record.deliveredAt || row.dateDelivered || row.dateRead;
+                record.readAt = row.dateRead;
+                this.setStatus(record, 'read');
+            } else if (row.isDelivered && record.status !== 'delivered') {
+                record.deliveredAt = row.dateDelivered || new Date();
+                this.setStatus(record, 'delivered');
+            }
+        }
+    }
+
+    /**
+     * Retry on the same service, then fall back to SMS, then give up
+     */
+    async handleFailure(record) {
+        let service = record.service;
+
+        if (record.attempts > this.maxRetries) {
+            // Group chats can't switch service, so they only get retries
+            if (this.smsFallback && record.service !== 'SMS' && !record.chatId) {
+                service = 'SMS';
+            } else {
+                this.setStatus(record, 'failed');
+                return;
+            }
+        }
+
+        console.log(
+            chalk.yellow(
+                `🔁 Resending ${record.id} to ${record.chatId || record.handle} via ${service || 'existing thread'} (attempt ${record.attempts + 1})`
+            )
+        );
+
+        record.attempts++;
+        record.service = service;
+        record.rowId = null;
+        record.guid = null;
+        record.error = null;
+        // Not polled while the resend waits in the queue
+        record.tracking = false;
+        record.history.push({ status: 'retrying', service, at: new Date().toISOString() });
+
+        try {
+            // Imported here: the queue sends through message-sender, which imports this tracker
+            const { outboundQueue } = await import('./outbound-queue.js');
+            const job = outboundQueue.enqueue({
+                ...(record.chatId ? { chatId: record.chatId } : { handle: record.handle }),
+                text: record.text,
+                service,
+                newContact: record.newContact,
+                // Derived from the original key, so each resend is queued at most once
+                idempotencyKey: `${record.idempotencyKey || record.id}:resend:${record.attempts}`,
+                typingDelayMs: 0,
+                track: false, // this record keeps following it
+            });
+
+            outboundQueue.waitFor(job.id).then(
+                () => {
+                    record.sentAt = new Date();
+                    record.tracking = true;
+                    this.startPolling();
+                },
+                (error) => {
+                    record.error = error.message;
+                    this.setStatus(record, 'failed');
+                }
+            );
+        } catch (error) {
+            record.error = error.message;
+            this.setStatus(record, 'failed');
+        }
+    }
+
+    setStatus(record, status) {
+        record.status = status;
+        if (status === 'read' || status === 'failed' || status === 'unknown') {
+            record.tracking = false;
+        }
+        record.history.push({ status, service: record.service, at: new Date().toISOString() });
+
+        if (status === 'delivered' || status === 'read' || status === 'failed') {
+            this.emit(status, this.getStatus(record.id));
+        }
+
+        if (status === 'failed') {
+            console.warn(chalk.red(`❌ Message ${record.id} to ${record.chatId || record.handle} failed (error ${record.error})`));
+        }
+    }
+
+    // Drop the oldest finished records once the map grows past maxRecords
+    pruneRecords() {
+        if (this.records.size <= this.maxRecords) return;
+
+        for (const [id, record] of this.records) {
+            if (this.records.size <= this.maxRecords) break;
+            if (record.tracking) continue;
+            this.records.delete(id);
+            this.claimedRowIds.delete(record.rowId);
+        }
+    }
+}
+
+export const deliveryTracker = new DeliveryTracker();
+
+export default DeliveryTracker;
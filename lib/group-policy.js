@@ -0,0 +1,138 @@
+import chalk from 'chalk';
+import { conversationTarget } from './conversation-store.js';
+
+/**
+ * Group Policy - Decides whether the agent speaks up in a group chat
+ * Each group is 'always' (answer everything), 'mention' (only when
+ * @-mentioned, addressed by name or replied to in a thread) or 'muted'. The
+ * mode is kept in the group's conversation context, so the listener and the
+ * API server share it.
+ */
+
+export const GROUP_MODES = ['always', 'mention', 'muted'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Emails compare case-insensitively, phone numbers by their digits
+function handleKey(handle) {
+    if (typeof handle !== 'string') return '';
+    const trimmed = handle.trim().toLowerCase();
+    return trimmed.includes('@') ? trimmed : trimmed.replace(/\D/g, '');
+}
+
+class GroupPolicy {
+    constructor(options = {}) {
+        this.conversationStore = options.conversationStore;
+        this.defaultMode = options.defaultMode || process.env.GROUP_DEFAULT_MODE || 'mention';
+        this.names = options.names || (process.env.AGENT_NAMES || 'flip').split(',');
+        // The agent's own iMessage addresses, which real @-mentions point at
+        this.handles = new Set(
+            (options.handles || (process.env.AGENT_HANDLES || '').split(',')).map(handleKey).filter(Boolean)
+        );
+
+        if (!GROUP_MODES.includes(this.defaultMode)) {
+            throw new Error(`Unknown group mode '${this.defaultMode}'. Options: ${GROUP_MODES.join(', ')}`);
+        }
+
+        const names = this.names
+            .map((name) => name.trim())
+            .filter(Boolean)
+            .map(escapeRegExp)
+            .join('|');
+
+        // "flip, ...", "hey flip ...", "... @flip ...", "what do you think, flip?"
+        // (an empty AGENT_NAMES leaves only @-mentions and thread replies)
+        this.namePatterns = names
+            ? [
+                  new RegExp(`^\\s*(?:(?:hey|hi|hello|yo|ok|okay)[\\s,]+)?@?(?:${names})\\b`, 'i'),
+                  new RegExp(`@(?:${names})\\b`, 'i'),
+                  new RegExp(`,\\s*@?(?:${names})\\s*[?!.]*\\s*$`, 'i'),
+              ]
+            : [];
+    }
+
+    /**
+     * Current mode for a group chat
+     */
+    async getMode(chatId) {
+        const conversation = await this.conversationStore.getConversation(chatId);
+        return conversation.context?.groupPolicy?.mode || this.defaultMode;
+    }
+
+    /**
+     * Set a group chat to 'always', 'mention' or 'muted'
+     */
+    async setMode(chatId, mode) {
+        if (!GROUP_MODES.includes(mode)) {
+            throw new Error(`Unknown group mode '${mode}'. Options: ${GROUP_MODES.join(', ')}`);
+        }
+
+        await this.conversationStore.updateContext(chatId, {
+            groupPolicy: { mode, updatedAt: new Date().toISOString() },
+        });
+
+        console.log(chalk.blue(`👥 Group ${chatId} set to '${mode}'`));
+        return { chatId, mode };
+    }
+
+    /**
+     * Whether the message @-mentions the agent (mentions decoded from
+     * attributedBody carry the handle they point at)
+     */
+    isMentioned(message) {
+        return (message.mentions || []).some((mention) => this.handles.has(handleKey(mention.handle)));
+    }
+
+    /**
+     * Whether the text calls the agent by name
+     */
+    isAddressedByName(text) {
+        return typeof text === 'string' && this.namePatterns.some((pattern) => pattern.test(text));
+    }
+
+    /**
+     * Whether the message is a thread reply to one of the agent's own texts
+     */
+    isThreadReplyToAgent(message, conversation) {
+        const originator = message.threadOriginatorGuid;
+        if (!originator) return false;
+
+        return conversation.messages.some(
+            (msg) => msg.role === 'assistant' && (msg.guid === originator || msg.guids?.includes(originator))
+        );
+    }
+
+    /**
+     * Decide whether the agent should answer a group message
+     * @returns {Promise<{ respond: boolean, mode: string, reason: string }>}
+     */
+    async evaluate(message) {
+        const { key } = conversationTarget(message);
+        const conversation = await this.conversationStore.getConversation(key);
+        const mode = conversation.context?.groupPolicy?.mode || this.defaultMode;
+
+        if (mode === 'muted') {
+            return { respond: false, mode, reason: 'muted' };
+        }
+        if (mode === 'always') {
+            return { respond: true, mode, reason: 'always' };
+        }
+        if (this.isMentioned(message) || this.isAddressedByName(message.text)) {
+            return { respond: true, mode, reason: 'mentioned' };
+        }
+        if (this.isThreadReplyToAgent(message, conversation)) {
+            return { respond: true, mode, reason: 'thread_reply' };
+        }
+
+        return { respond: false, mode, reason: 'not_addressed' };
+    }
+}
+
+// Factory function for easy initialization
+export function createGroupPolicy(options = {}) {
+    return new GroupPolicy(options);
+}
+
+export default GroupPolicy;
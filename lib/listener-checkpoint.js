@@ -0,0 +1,62 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+
+/**
+ * Listener Checkpoint - Remembers the last chat.db message ROWID we handled
+ * (and the newest edit/unsend timestamp)
+ * Lets the listener resume where it stopped instead of losing messages that
+ * arrived while the process was down
+ */
+class ListenerCheckpoint {
+    constructor(options = {}) {
+        this.path =
+            options.path ||
+            process.env.LISTENER_CHECKPOINT_PATH ||
+            join(homedir(), '.flip-message-agent', 'listener-checkpoint.json');
+        this.lastRowId = null;
+        this.lastChangeAt = null; // Raw chat.db timestamp of the newest edit/unsend seen
+    }
+
+    /**
+     * Read the saved ROWID, or null if there is no usable checkpoint
+     */
+    load() {
+        try {
+            const data = JSON.parse(readFileSync(this.path, 'utf-8'));
+            this.lastRowId = Number.isInteger(data.lastRowId) ? data.lastRowId : null;
+            this.lastChangeAt = Number.isFinite(data.lastChangeAt) ? data.lastChangeAt : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Ignoring unreadable listener checkpoint ${this.path}:`, error.message);
+            }
+            this.lastRowId = null;
+            this.lastChangeAt = null;
+        }
+        return this.lastRowId;
+    }
+
+    /**
+     * Persist the ROWID (write to a temp file then rename, so a crash never
+     * leaves a half-written checkpoint)
+     */
+    save(lastRowId, lastChangeAt = this.lastChangeAt) {
+        if (lastRowId === this.lastRowId && lastChangeAt === this.lastChangeAt) return;
+
+        try {
+            mkdirSync(dirname(this.path), { recursive: true });
+            const tmpPath = `${this.path}.tmp`;
+            writeFileSync(
+                tmpPath,
+                JSON.stringify({ lastRowId, lastChangeAt, updatedAt: new Date().toISOString() })
+            );
+            renameSync(tmpPath, this.path);
+            this.lastRowId = lastRowId;
+            this.lastChangeAt = lastChangeAt;
+        } catch (error) {
+            console.warn(`⚠️ Failed to save listener checkpoint ${this.path}:`, error.message);
+        }
+    }
+}
+
+export { ListenerCheckpoint };
@@ -1,20 +1,26 @@
-import { tool } from 'ai';
+import { generateObject } from 'ai';
 import { z } from 'zod';
 import * as imessage from '../index.js';
+import { outboundQueue } from './outbound-queue.js';
+import { validateAttachment, downloadAttachment, generateAttachmentImage } from './attachment-sender.js';
 import { createGroupChat } from '../createGroupChat.js';
-import { execSync } from 'child_process';
 import { ethers } from 'ethers';
 import axios from 'axios';
 import { privateKeyToAccount } from 'viem/accounts';
 import { wrapFetchWithPayment } from 'x402-fetch';
 import { priceMonitor } from './price-monitor.js';
+import { messageScheduler } from './message-scheduler.js';
+import { contextTool, requirePermission } from './tool-context.js';
+import { normalizeHandle as normalizeContactHandle } from './contacts.js';
+import { modelRegistry } from './model-registry.js';
+import { userMemory } from './user-memory.js';
 
 /**
  * LLM Tools - Function calling capabilities for the AI assistant
  * Uses AI SDK's tool helper for type-safe tool definitions
  */
 
-export const checkTokenPrice = tool({
+export const checkTokenPrice = contextTool({
     description: 'Check the current price of a cryptocurrency token. Use this when a user asks for the price of a token like BTC, ETH, SOL, etc.',
     parameters: z.object({
         symbol: z.enum([
@@ -64,7 +70,7 @@ export const checkTokenPrice = tool({
     }
 });
 
-export const monitorTokenAndBuy = tool({
+export const monitorTokenAndBuy = contextTool({
     description: 'Start monitoring a token price and automatically buy a Shopify product when it drops below a threshold. Use this when a user says "buy X when Y hits Z price" or similar conditional purchase requests.',
     parameters: z.object({
         symbol: z.enum([
@@ -78,7 +84,7 @@ export const monitorTokenAndBuy = tool({
         size: z.string().default('Any').describe('The size/variant to buy (e.g., "Medium", "Large", "US 10")'),
         reasoning: z.string().describe('Why you are setting up this monitor')
     }),
-    execute: async ({ symbol, threshold, productUrl, size, reasoning }) => {
+    execute: async ({ symbol, threshold, productUrl, size, reasoning }, context) => {
         try {
             // Ensure symbol has /USD if not present
             if (!symbol.includes('/')) {
@@ -87,9 +93,18 @@ export const monitorTokenAndBuy = tool({
                 symbol = symbol.toUpperCase();
             }
 
-            const userHandle = global.currentMessageHandle || 'unknown';
+            // The purchase happens later, unattended, so it needs payment rights now
+            requirePermission(context, 'pay');
+            const userHandle = context.handle;
+            if (!userHandle) {
+                throw new Error('No current user to buy for');
+            }
             console.log(`🛡️ AI setting up monitor for ${userHandle}: Buy ${productUrl} when ${symbol} < ${threshold} (Reason: ${reasoning})`);
 
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'monitor_started', symbol, threshold, productUrl, size, reasoning };
+            }
+
             const result = await priceMonitor.startMonitoring(symbol, threshold, userHandle, productUrl, size);
 
             return {
@@ -117,37 +132,33 @@ export const monitorTokenAndBuy = tool({
     }
 });
 
-export const sendMessage = tool({
+export const sendMessage = contextTool({
     description: 'Send a reply message to the person who just messaged you. Use this when you want to respond to someone.',
     parameters: z.object({
         message: z.string().describe('The message content to send back to the user'),
         reasoning: z.string().describe('Why you decided to send this message now (for logging)')
     }),
-    execute: async ({ message, reasoning }) => {
+    execute: async ({ message, reasoning }, context) => {
         try {
-            // MESSAGE DELAY - Add 2 second delay to make responses feel smooth
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // The handle will be injected by the AI handler from the current conversation context
-            const handle = global.currentMessageHandle || 'unknown';
-            console.log(`🤖 AI sending reply to ${handle}: "${message}" (Reason: ${reasoning})`);
-            
-            // Use AppleScript with explicit iMessage service to ensure blue messages
-            // No "activate" command means it runs in background without switching windows
-            const appleScript = `
-            tell application "Messages"
-                set serviceID to id of 1st service whose service type = iMessage
-                send "${message.replace(/"/g, '\\"')}" to buddy "${handle}" of service id serviceID
-            end tell
-            `;
+            // Replies go to the conversation this generation is for
+            requirePermission(context, 'message');
+            const { handle, chatId } = context;
+            console.log(`🤖 AI sending reply to ${chatId || handle}: "${message}" (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, content: message, action: 'message_sent', to: chatId || handle, reasoning };
+            }
             
-            execSync(`osascript -e '${appleScript}'`);
+            // Group messages are answered in the group, DMs via the explicit iMessage service.
+            // The queue paces it after anything already queued for this conversation
+            const job = outboundQueue.enqueue({ handle, chatId, text: message });
             
             return {
                 success: true,
                 content: message,
                 action: 'message_sent',
-                to: handle,
+                to: chatId || handle,
+                messageId: job.id,
                 reasoning
             };
         } catch (error) {
@@ -161,51 +172,50 @@ export const sendMessage = tool({
     }
 });
 
-export const sendToSpecificContact = tool({
-    description: 'Send a message to a specific phone number (use this if you need to message someone other than the current conversation partner).',
+export const sendToSpecificContact = contextTool({
+    description: 'Send a message to a specific phone number or contact name (use this if you need to message someone other than the current conversation partner).',
     parameters: z.object({
-        phoneNumber: z.string().describe('The phone number to send to (must include country code like +1)'),
+        phoneNumber: z.string().optional().describe('The phone number to send to (must include country code like +1)'),
+        contactName: z.string().optional().describe('Name of someone in the contacts, used when you don\'t know their number'),
         message: z.string().describe('The message content to send'),
         reasoning: z.string().describe('Why you decided to message this specific person'),
         isNewContact: z.boolean().default(false).describe('True if this is a new contact, false for existing')
     }),
-    execute: async ({ phoneNumber, message, reasoning, isNewContact }) => {
+    execute: async ({ phoneNumber, contactName, message, reasoning, isNewContact }, context) => {
         try {
-            // MESSAGE DELAY - Add 2 second delay to make responses feel more natural
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            console.log(`🤖 AI sending to ${isNewContact ? 'NEW' : 'existing'} contact ${phoneNumber}: "${message}" (Reason: ${reasoning})`);
-            
-            // Always use AppleScript with explicit iMessage service for consistent blue messages
-            // No "activate" command means it runs in background without switching windows
-            if (isNewContact) {
-                // Use the empty string workaround method for new contacts
-                const appleScript = `
-                tell application "Messages"
-                    set serviceID to id of 1st service whose service type = iMessage
-                    send "" to buddy "${phoneNumber}" of service id serviceID
-                    send "${message.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-                end tell
-                `;
-                
-                execSync(`osascript -e '${appleScript}'`);
+            requirePermission(context, 'contact_others');
+
+            // Numbers are normalized to E.164; names are looked up in the contacts
+            if (phoneNumber) {
+                phoneNumber = normalizeContactHandle(phoneNumber) || phoneNumber;
+            } else if (contactName) {
+                phoneNumber = await imessage.handleForName(contactName);
             } else {
-                // Use same AppleScript method for existing contacts to ensure iMessage
-                const appleScript = `
-                tell application "Messages"
-                    set serviceID to id of 1st service whose service type = iMessage
-                    send "${message.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-                end tell
-                `;
-                
-                execSync(`osascript -e '${appleScript}'`);
+                throw new Error('Either phoneNumber or contactName is required');
+            }
+            const name = contactName || (await imessage.contacts.nameForHandle(phoneNumber));
+            
+            console.log(`🤖 AI sending to ${isNewContact ? 'NEW' : 'existing'} contact ${name ? `${name} ` : ''}${phoneNumber}: "${message}" (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: isNewContact ? 'new_contact_messaged' : 'message_sent', to: phoneNumber, name: name || null, content: message, reasoning };
             }
             
+            // Always use the explicit iMessage service for consistent blue messages
+            // New contacts get the empty string workaround first
+            const job = outboundQueue.enqueue({
+                handle: phoneNumber,
+                text: message,
+                newContact: isNewContact
+            });
+            
             return {
                 success: true,
                 action: isNewContact ? 'new_contact_messaged' : 'message_sent',
                 to: phoneNumber,
+                name: name || null,
                 content: message,
+                messageId: job.id,
                 reasoning
             };
         } catch (error) {
@@ -219,7 +229,85 @@ export const sendToSpecificContact = tool({
     }
 });
 
-export const createGroupChatTool = tool({
+export const sendAttachment = contextTool({
+    description: 'Send a file or image (receipt, QR code, chart, product photo) to the current user or a named contact. Provide exactly one of: filepath (a local file in the allowed attachment folders), url (an image/PDF to download and send) or imagePrompt (generate an image and send it).',
+    parameters: z.object({
+        filepath: z.string().optional().describe('Local path of the file to send'),
+        url: z.string().optional().describe('http(s) URL of an image or PDF to download and send, e.g. a product image'),
+        imagePrompt: z.string().optional().describe('Description of an image to generate and send'),
+        recipient: z.string().optional().describe('Phone number, email or contact name; leave empty to send to the current conversation'),
+        caption: z.string().optional().describe('Optional text message sent right after the file'),
+        reasoning: z.string().describe('Why you are sending this file')
+    }),
+    execute: async ({ filepath, url, imagePrompt, recipient, caption, reasoning }, context) => {
+        try {
+            const sources = [filepath, url, imagePrompt].filter(Boolean);
+            if (sources.length !== 1) {
+                throw new Error('Provide exactly one of filepath, url or imagePrompt');
+            }
+
+            // Anyone other than the current conversation needs contact_others
+            requirePermission(context, recipient ? 'contact_others' : 'message');
+
+            // Names are resolved through Messages; numbers, emails and chats are used as-is
+            let target = context.target;
+            if (recipient && /^[+\d][\d\s().-]*$/.test(recipient)) {
+                target = recipient.replace(/[\s().-]/g, '');
+            } else if (recipient && (recipient.includes('@') || imessage.isChatId(recipient))) {
+                target = recipient;
+            } else if (recipient) {
+                target = await imessage.handleForName(recipient);
+            }
+            if (!target) {
+                throw new Error('No recipient - pass a phone number, email or contact name');
+            }
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'attachment_sent', to: target, file: filepath || url || null, caption: caption || null, reasoning };
+            }
+
+            let localPath = filepath;
+            if (url) {
+                localPath = await downloadAttachment(url);
+            } else if (imagePrompt) {
+                localPath = await generateAttachmentImage(imagePrompt);
+            }
+
+            console.log(`🤖 AI sending attachment ${localPath} to ${target} (Reason: ${reasoning})`);
+
+            // Checked now so the model hears about a bad file; sent through the
+            // queue so it stays in order with texts already queued for them
+            const sent = await validateAttachment(localPath);
+            const recipientField = imessage.isChatId(target) ? { chatId: target } : { handle: target };
+            const job = outboundQueue.enqueue({ ...recipientField, file: sent.path });
+
+            if (caption) {
+                outboundQueue.enqueue({ ...recipientField, text: caption });
+            }
+
+            return {
+                success: true,
+                action: 'attachment_sent',
+                messageId: job.id,
+                to: target,
+                file: sent.path,
+                mimeType: sent.mimeType,
+                size: sent.size,
+                caption: caption || null,
+                reasoning
+            };
+        } catch (error) {
+            console.error('Error sending attachment:', error);
+            return {
+                success: false,
+                error: error.message,
+                action: 'attachment_failed'
+            };
+        }
+    }
+});
+
+export const createGroupChatTool = contextTool({
     description: 'Create a new group chat with 2 other people (3 total including you). Only use this when explicitly asked to create a group.',
     parameters: z.object({
         phoneNumber1: z.string().describe('First person\'s phone number'),
@@ -227,16 +315,18 @@ export const createGroupChatTool = tool({
         message: z.string().describe('Initial message to send to the group'),
         reasoning: z.string().describe('Why you decided to create this group chat')
     }),
-    execute: async ({ phoneNumber1, phoneNumber2, message, reasoning }) => {
+    execute: async ({ phoneNumber1, phoneNumber2, message, reasoning }, context) => {
         try {
-            // MESSAGE DELAY - Add 2 second delay to make responses feel more natural
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
+            requirePermission(context, 'contact_others');
             console.log(`🤖 AI creating group chat with ${phoneNumber1} and ${phoneNumber2}: "${message}" (Reason: ${reasoning})`);
             
             if (phoneNumber1 === phoneNumber2) {
                 throw new Error('Phone numbers must be different');
             }
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'group_chat_created', phoneNumber1, phoneNumber2, message, reasoning };
+            }
             
             const result = await createGroupChat(phoneNumber1, phoneNumber2, message);
             
@@ -260,24 +350,62 @@ export const createGroupChatTool = tool({
     }
 });
 
-export const getConversationHistory = tool({
-    description: 'Get recent message history with a specific contact. Use this to understand context of ongoing conversations.',
+export const getConversationHistory = contextTool({
+    description: 'Search or read past messages from the Messages history. Use this to understand context of ongoing conversations, or to find something said earlier (an address, a price, a link). Leave handle and chat empty to use the current conversation.',
     parameters: z.object({
-        handle: z.string().describe('The phone number or handle to get history for'),
-        limit: z.number().default(10).describe('Number of recent messages to retrieve')
+        handle: z.string().optional().describe('The phone number or handle to get history for'),
+        chat: z.string().optional().describe('Group chat GUID or room name to get history for'),
+        query: z.string().optional().describe('Only return messages containing this text'),
+        from: z.string().optional().describe('Only messages after this ISO date'),
+        to: z.string().optional().describe('Only messages before this ISO date'),
+        hasAttachment: z.boolean().optional().describe('Only messages with (true) or without (false) attachments'),
+        limit: z.number().default(10).describe('Number of recent messages to retrieve'),
+        cursor: z.string().optional().describe('nextCursor from a previous call, to read older messages')
     }),
-    execute: async ({ handle, limit }) => {
+    execute: async ({ handle, chat, query, from, to, hasAttachment, limit, cursor }, context) => {
         try {
-            // This would integrate with your conversation store
-            // For now, returning a placeholder that indicates the capability
-            console.log(`🤖 AI checking history for ${handle} (last ${limit} messages)`);
-            
+            // Default to the conversation the AI is currently in
+            if (!handle && !chat) {
+                chat = context.chatId || undefined;
+                handle = chat ? undefined : context.handle || undefined;
+            }
+
+            // Other people's history (or everyone's) is off limits without
+            // read_history. In a group only the group itself is the current
+            // conversation, not the sender's own chats with the agent
+            const ownConversation = context.chatId
+                ? chat === context.chatId
+                : !chat && Boolean(handle) && handle === context.handle;
+            if (!ownConversation) {
+                requirePermission(context, 'read_history');
+            }
+
+            console.log(`🤖 AI checking history for ${chat || handle || 'all chats'}${query ? ` matching "${query}"` : ''} (last ${limit} messages)`);
+
+            const { messages, nextCursor } = await imessage.searchMessages({
+                handle,
+                chat,
+                query,
+                from,
+                to,
+                hasAttachment,
+                limit,
+                cursor
+            });
+
             return {
                 success: true,
                 action: 'history_retrieved',
-                handle,
-                messages: [], // This would be populated from conversation store
-                note: 'History retrieval capability - would integrate with conversation store'
+                handle: handle || null,
+                chat: chat || null,
+                // Oldest first reads naturally as a transcript
+                messages: messages.reverse().map(msg => ({
+                    from: msg.fromMe ? 'me' : msg.handle,
+                    text: msg.text,
+                    date: msg.date,
+                    file: msg.file || undefined
+                })),
+                nextCursor
             };
         } catch (error) {
             console.error('Error getting conversation history:', error);
@@ -290,7 +418,7 @@ export const getConversationHistory = tool({
     }
 });
 
-export const skipResponse = tool({
+export const skipResponse = contextTool({
     description: 'Skip sending a response to the user. Use this ONLY when you genuinely should not respond (e.g., waiting for more context, user said something that doesn\'t need a reply). By default, your text response will be sent automatically.',
     parameters: z.object({
         reasoning: z.string().describe('Why you decided not to respond to this message')
@@ -307,7 +435,210 @@ export const skipResponse = tool({
     }
 });
 
-export const waitForMoreInput = tool({
+export const scheduleMessage = contextTool({
+    description: 'Send a message to the current conversation later: a one-off reminder at a specific time (sendAt) or a recurring message (cron). Use this when someone says "remind me to ... tomorrow at 9am" or "every Monday send me ...".',
+    parameters: z.object({
+        message: z.string().describe('The text to send when the time comes, written as the reminder itself (e.g. "Reminder: check ETH")'),
+        sendAt: z.string().optional().describe('When to send it once, as an ISO 8601 date-time with the user\'s UTC offset, e.g. 2024-05-01T09:00:00-07:00'),
+        cron: z.string().optional().describe('Recurring schedule as a 5-field cron expression in server time (minute hour day month weekday), e.g. "0 9 * * 1" for Mondays at 9am'),
+        reasoning: z.string().describe('Why you are scheduling this message')
+    }),
+    execute: async ({ message, sendAt, cron, reasoning }, context) => {
+        try {
+            requirePermission(context, 'schedule');
+            const { handle, chatId } = context;
+            if (!handle && !chatId) {
+                throw new Error('No current conversation to schedule a message for');
+            }
+
+            console.log(`⏰ AI scheduling message to ${chatId || handle} ${cron ? `on "${cron}"` : `at ${sendAt}`}: "${message}" (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'message_scheduled', to: chatId || handle, content: message, sendAt: sendAt || null, cron: cron || null, reasoning };
+            }
+
+            const scheduled = await messageScheduler.schedule({
+                handle,
+                chatId,
+                text: message,
+                sendAt,
+                cron,
+                createdBy: 'ai',
+                reason: reasoning
+            });
+
+            return {
+                success: true,
+                action: 'message_scheduled',
+                id: scheduled.id,
+                to: chatId || handle,
+                content: message,
+                nextRunAt: scheduled.nextRunAt,
+                cron: scheduled.cron,
+                reasoning
+            };
+        } catch (error) {
+            console.error('Error scheduling message:', error);
+            return {
+                success: false,
+                error: error.message,
+                action: 'schedule_failed'
+            };
+        }
+    }
+});
+
+export const cancelScheduledMessage = contextTool({
+    description: 'Cancel a message scheduled for the current conversation. Call without an id first to list what is scheduled, then again with the id to cancel.',
+    parameters: z.object({
+        id: z.string().optional().describe('Id of the scheduled message to cancel; leave empty to list scheduled messages'),
+        reasoning: z.string().describe('Why you are cancelling or listing scheduled messages')
+    }),
+    execute: async ({ id, reasoning }, context) => {
+        try {
+            // Only the current conversation's scheduled messages can be seen or cancelled
+            requirePermission(context, 'schedule');
+            const { target } = context;
+            if (!target) {
+                throw new Error('No current conversation');
+            }
+
+            if (!id) {
+                const scheduled = await messageScheduler.list(target);
+                return {
+                    success: true,
+                    action: 'scheduled_messages_listed',
+                    scheduled: scheduled.map(({ id, text, nextRunAt, cron }) => ({ id, text, nextRunAt, cron })),
+                    reasoning
+                };
+            }
+
+            console.log(`⏰ AI cancelling scheduled message ${id} for ${target} (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'scheduled_message_cancelled', id, reasoning };
+            }
+
+            const cancelled = await messageScheduler.cancel(id, target);
+            if (!cancelled) {
+                throw new Error(`No scheduled message ${id} in this conversation`);
+            }
+
+            return {
+                success: true,
+                action: 'scheduled_message_cancelled',
+                id,
+                reasoning
+            };
+        } catch (error) {
+            console.error('Error cancelling scheduled message:', error);
+            return {
+                success: false,
+                error: error.message,
+                action: 'cancel_schedule_failed'
+            };
+        }
+    }
+});
+
+export const rememberFact = contextTool({
+    description: 'Remember a lasting fact about the person you are talking to (name, wallet address, shoe or clothing size, shipping city, a token or product for their watchlist, preferences) for future conversations. Remembering an existing label replaces its value; watchlist items are added.',
+    parameters: z.object({
+        label: z.string().describe('What the fact is, e.g. "wallet_address", "shoe_size", "watchlist" or "favorite coffee"'),
+        value: z.string().describe('The fact itself, e.g. "0x12ab...", "US 10" or "ETH"')
+    }),
+    execute: async ({ label, value }, context) => {
+        try {
+            if (!context.handle) {
+                throw new Error('No current person to remember things about');
+            }
+
+            console.log(`🧠 AI remembering "${label}" for ${context.handle}`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'fact_remembered', label, value };
+            }
+
+            const fact = await userMemory.remember(context.handle, label, value, { type: 'tool', conversation: context.target });
+            return {
+                success: true,
+                action: 'fact_remembered',
+                label: fact.label,
+                value: fact.value
+            };
+        } catch (error) {
+            console.error('Error remembering fact:', error);
+            return {
+                success: false,
+                error: error.message,
+                action: 'remember_failed'
+            };
+        }
+    }
+});
+
+export const forgetFact = contextTool({
+    description: 'Forget a remembered fact that is no longer true or that the person asked you to forget. Give a value to drop just one watchlist item.',
+    parameters: z.object({
+        label: z.string().describe('Label of the fact to forget'),
+        value: z.string().optional().describe('For the watchlist: the single item to remove')
+    }),
+    execute: async ({ label, value }, context) => {
+        try {
+            if (!context.handle) {
+                throw new Error('No current person to forget things about');
+            }
+
+            console.log(`🧠 AI forgetting "${label}" for ${context.handle}`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'fact_forgotten', label };
+            }
+
+            const forgotten = await userMemory.forget(context.handle, label, value || null);
+            return {
+                success: forgotten,
+                action: forgotten ? 'fact_forgotten' : 'fact_not_found',
+                label
+            };
+        } catch (error) {
+            console.error('Error forgetting fact:', error);
+            return {
+                success: false,
+                error: error.message,
+                action: 'forget_failed'
+            };
+        }
+    }
+});
+
+export const listMemories = contextTool({
+    description: 'List everything remembered about the person you are talking to, with when and where each fact was learned.',
+    parameters: z.object({}),
+    execute: async (args, context) => {
+        try {
+            if (!context.handle) {
+                throw new Error('No current person');
+            }
+
+            const memories = await userMemory.list(context.handle);
+            return {
+                success: true,
+                action: 'memories_listed',
+                memories: memories.map(({ label, value, source, updatedAt }) => ({ label, value, source: source?.type, updatedAt }))
+            };
+        } catch (error) {
+            console.error('Error listing memories:', error);
+            return {
+                success: false,
+                error: error.message,
+                action: 'list_memories_failed'
+            };
+        }
+    }
+});
+
+export const waitForMoreInput = contextTool({
     description: 'Wait for more input from the user before responding. This will skip the automatic response. Use when you need more information.',
     parameters: z.object({
         reasoning: z.string().describe('Why you decided to wait instead of responding immediately'),
@@ -326,7 +657,7 @@ export const waitForMoreInput = tool({
     }
 });
 
-export const analyzeMessage = tool({
+export const analyzeMessage = contextTool({
     description: 'Analyze an incoming message for sentiment, intent, urgency, and decide on appropriate response strategy.',
     parameters: z.object({
         messageContent: z.string().describe('The message content to analyze'),
@@ -345,6 +676,31 @@ export const analyzeMessage = tool({
         };
 
         console.log(`🤖 AI analyzing message from ${senderHandle}: "${messageContent}"`);
+
+        let recommendation = analysis.hasUrgentWords ? 'respond_immediately' : 
+                          analysis.hasQuestion ? 'respond_soon' : 
+                          analysis.isGreeting ? 'respond_politely' : 'consider_waiting';
+
+        // Triage with the cheap model (AI_TRIAGE_MODEL); the keyword checks
+        // above stand in when it is unavailable
+        let triage = null;
+        try {
+            const { object } = await generateObject({
+                model: modelRegistry.getModel('triage'),
+                schema: z.object({
+                    intent: z.string().describe('What the sender wants, in a few words'),
+                    sentiment: z.enum(['positive', 'neutral', 'negative']),
+                    urgency: z.enum(['low', 'normal', 'high']),
+                    recommendation: z.enum(['respond_immediately', 'respond_soon', 'respond_politely', 'consider_waiting'])
+                }),
+                prompt: `Triage this text message${isGroupMessage ? ' sent in a group chat' : ''} from ${senderHandle}:\n\n"${messageContent}"`,
+                maxTokens: 200
+            });
+            triage = object;
+            recommendation = object.recommendation;
+        } catch (error) {
+            console.warn(`⚠️ Triage model unavailable, using keyword analysis: ${error.message}`);
+        }
         
         return {
             success: true,
@@ -352,14 +708,13 @@ export const analyzeMessage = tool({
             sender: senderHandle,
             isGroup: isGroupMessage,
             analysis,
-            recommendation: analysis.hasUrgentWords ? 'respond_immediately' : 
-                          analysis.hasQuestion ? 'respond_soon' : 
-                          analysis.isGreeting ? 'respond_politely' : 'consider_waiting'
+            triage,
+            recommendation
         };
     }
 });
 
-export const searchTalent = tool({
+export const searchTalent = contextTool({
     description: 'Search for experts, professionals, and business partners based on user requirements. Use this when someone asks for connections, introductions, or help finding specific types of professionals.',
     parameters: z.object({
         query: z.string().describe('A search query describing the type of expert or professional needed (e.g., "Chinese manufacturing partners", "supply chain experts", "web3 developers")'),
@@ -441,7 +796,7 @@ export const searchTalent = tool({
     }
 });
 
-export const sendLink = tool({
+export const sendLink = contextTool({
     description: 'Send a scheduling link to someone. Use this when someone asks to schedule a meeting, find a time to meet, book a consultation, or set up a call. The link defaults to the alpha-me scheduling platform.',
     parameters: z.object({
         url: z.string().url().default('https://www.alpha-me.xyz').describe('The URL to send (defaults to alpha-me scheduling link)'),
@@ -450,61 +805,40 @@ export const sendLink = tool({
         reasoning: z.string().describe('Why you decided to send this scheduling link'),
         isNewContact: z.boolean().default(false).describe('True if sending to a new contact, false for existing (only relevant if phoneNumber is provided)')
     }),
-    execute: async ({ url = 'https://www.alpha-me.xyz', contextMessage, phoneNumber, reasoning, isNewContact }) => {
+    execute: async ({ url = 'https://www.alpha-me.xyz', contextMessage, phoneNumber, reasoning, isNewContact }, context) => {
         try {
-            // MESSAGE DELAY - Add 2 second delay to make responses feel more natural
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
             // Determine the target handle (use phoneNumber if provided, otherwise use current conversation)
-            const targetHandle = phoneNumber || global.currentMessageHandle || 'unknown';
+            requirePermission(context, phoneNumber ? 'contact_others' : 'message');
+            const targetHandle = phoneNumber || context.handle;
+            if (!targetHandle) {
+                throw new Error('No recipient - pass a phoneNumber');
+            }
             
             console.log(`🔗 AI sending scheduling link to ${targetHandle}: ${url} (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'scheduling_link_sent', to: targetHandle, url, contextMessage: contextMessage || null, reasoning };
+            }
             
             // If a context message is provided, send it first
+            // Use empty string workaround for new contacts (only before the first message)
+            const primeNewContact = Boolean(phoneNumber && isNewContact);
+            
+            // The queue keeps the context message ahead of the link
             if (contextMessage) {
-                if (phoneNumber && isNewContact) {
-                    // Use empty string workaround for new contacts
-                    const appleScript = `
-                    tell application "Messages"
-                        set serviceID to id of 1st service whose service type = iMessage
-                        send "" to buddy "${phoneNumber}" of service id serviceID
-                        send "${contextMessage.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-                    end tell
-                    `;
-                    execSync(`osascript -e '${appleScript}'`);
-                } else {
-                    // Always use AppleScript for consistent iMessage delivery
-                    const appleScript = `
-                    tell application "Messages"
-                        set serviceID to id of 1st service whose service type = iMessage
-                        send "${contextMessage.replace(/"/g, '\\"')}" to buddy "${targetHandle}" of service id serviceID
-                    end tell
-                    `;
-                    execSync(`osascript -e '${appleScript}'`);
-                }
-                // Small delay between context and link
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                outboundQueue.enqueue({
+                    handle: targetHandle,
+                    text: contextMessage,
+                    newContact: primeNewContact
+                });
             }
             
             // Send the actual link
-            if (phoneNumber && isNewContact) {
-                const appleScript = `
-                tell application "Messages"
-                    set serviceID to id of 1st service whose service type = iMessage
-                    send "${url.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-                end tell
-                `;
-                execSync(`osascript -e '${appleScript}'`);
-            } else {
-                // Always use AppleScript for consistent iMessage delivery
-                const appleScript = `
-                tell application "Messages"
-                    set serviceID to id of 1st service whose service type = iMessage
-                    send "${url.replace(/"/g, '\\"')}" to buddy "${targetHandle}" of service id serviceID
-                end tell
-                `;
-                execSync(`osascript -e '${appleScript}'`);
-            }
+            outboundQueue.enqueue({
+                handle: targetHandle,
+                text: url,
+                newContact: primeNewContact && !contextMessage
+            });
             
             return {
                 success: true,
@@ -527,7 +861,7 @@ export const sendLink = tool({
     }
 });
 
-export const checkWalletBalance = tool({
+export const checkWalletBalance = contextTool({
     description: 'Check ETH and USDC balance for a wallet address on Base Sepolia testnet. Use this when the user asks about their wallet balance or wants to check how much funds they have.',
     parameters: z.object({
         walletAddress: z.string().describe('The Ethereum wallet address to check (0x...)'),
@@ -598,7 +932,7 @@ export const checkWalletBalance = tool({
     }
 });
 
-export const topUpAccount = tool({
+export const topUpAccount = contextTool({
     description: 'Generate a Coinbase onramp link for the user to top up their crypto wallet with fiat currency. Use this when the user wants to buy crypto, add funds via card/bank, or convert USD to USDC.',
     parameters: z.object({
         destinationAddress: z.string().describe('The wallet address to receive the funds (0x...)'),
@@ -712,7 +1046,7 @@ export const topUpAccount = tool({
     }
 });
 
-export const searchShopifyProducts = tool({
+export const searchShopifyProducts = contextTool({
     description: 'Search for Shopify products using AI-powered search. Use this when the user is looking for specific products to buy.',
     parameters: z.object({
         query: z.string().describe('Search query for the product (e.g., "black leather jacket")'),
@@ -777,7 +1111,7 @@ export const searchShopifyProducts = tool({
     }
 });
 
-export const payAndAccessService = tool({
+export const payAndAccessService = contextTool({
     description: 'Access an x402-gated premium service or API by making a crypto payment. Use this when you need to perform an action that requires payment (like buying a product, accessing premium content, or running a paid automation task). IMPORTANT: For buying products, you must use the specific "shopify_order" task structure.',
     parameters: z.object({
         url: z.string().url().default('https://undecorously-uncongestive-cindy.ngrok-free.dev/tasks/create').describe('The full URL of the x402-gated service endpoint. Defaults to the main automation endpoint.'),
@@ -785,9 +1119,14 @@ export const payAndAccessService = tool({
         data: z.any().optional().describe('JSON data to send in the request body. For buying products, use: { "task_type": "shopify_order", "input_data": { "product_url": "URL", "size": "Size" } }'),
         reasoning: z.string().describe('Why you are paying for this service')
     }),
-    execute: async ({ url = 'https://undecorously-uncongestive-cindy.ngrok-free.dev/tasks/create', method = 'POST', data = {}, reasoning }) => {
+    execute: async ({ url = 'https://undecorously-uncongestive-cindy.ngrok-free.dev/tasks/create', method = 'POST', data = {}, reasoning }, context) => {
         try {
+            requirePermission(context, 'pay');
             console.log(`💸 AI attempting x402 payment for service: ${url} (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'x402_payment_completed', url, method, data, reasoning };
+            }
             
             // Check for private key
             const privateKey = process.env.WALLET_PRIVATE_KEY;
@@ -849,18 +1188,10 @@ export const payAndAccessService = tool({
                 
                 console.log(`⏳ Task started (ID: ${taskId}). Polling for completion at ${statusUrl}...`);
                 
-                // Send initial update to user (Payment confirmed)
-                // We need to find the current user handle. It's stored in global.currentMessageHandle
-                const userHandle = global.currentMessageHandle;
-                if (userHandle) {
+                // Send initial update to user (Payment confirmed), in the conversation that asked
+                if (context.target) {
                     try {
-                        const appleScript = `
-                        tell application "Messages"
-                            set serviceID to id of 1st service whose service type = iMessage
-                            send "Payment confirmed with x402! Starting the purchase process now..." to buddy "${userHandle}" of service id serviceID
-                        end tell
-                        `;
-                        execSync(`osascript -e '${appleScript}'`);
+                        outboundQueue.enqueue({ handle: context.handle, chatId: context.chatId, text: 'Payment confirmed with x402! Starting the purchase process now...' });
                     } catch (e) {
                         console.warn('Failed to send progress update:', e.message);
                     }
@@ -895,7 +1226,7 @@ export const payAndAccessService = tool({
                                     
                                     // Send updates for key milestones to the user
                                     // Key milestones: "Adding product to cart", "Starting checkout", "Submitting order"
-                                    if (userHandle) {
+                                    if (context.target) {
                                         let updateMsg = null;
                                         const msgLower = step.message.toLowerCase();
                                         
@@ -909,14 +1240,10 @@ export const payAndAccessService = tool({
                                         
                                         if (updateMsg) {
                                             try {
-                                                const appleScript = `
-                                                tell application "Messages"
-                                                    set serviceID to id of 1st service whose service type = iMessage
-                                                    send "${updateMsg}" to buddy "${userHandle}" of service id serviceID
-                                                end tell
-                                                `;
-                                                execSync(`osascript -e '${appleScript}'`);
-                                            } catch (e) { console.warn('Failed to send progress update'); }
+                                                outboundQueue.enqueue({ handle: context.handle, chatId: context.chatId, text: updateMsg });
+                                            } catch (e) {
+                                                console.warn('Failed to send progress update');
+                                            }
                                         }
                                     }
                                 });
@@ -978,16 +1305,21 @@ export const payAndAccessService = tool({
     }
 });
 
-export const bookUberRide = tool({
+export const bookUberRide = contextTool({
     description: 'Book an Uber ride for the user. Use this when the user wants to request a ride from one location to another. This handles the crypto payment automatically.',
     parameters: z.object({
         origin: z.string().describe('The pickup location/address'),
         destination: z.string().describe('The dropoff location/address'),
         reasoning: z.string().describe('Why you are booking this ride')
     }),
-    execute: async ({ origin, destination, reasoning }) => {
+    execute: async ({ origin, destination, reasoning }, context) => {
         try {
+            requirePermission(context, 'pay');
             console.log(`🚗 AI booking Uber ride: ${origin} -> ${destination} (Reason: ${reasoning})`);
+
+            if (context.dryRun) {
+                return { success: true, dryRun: true, action: 'uber_booked', origin, destination, reasoning };
+            }
             
             // Re-use the payment logic by creating a task
             const url = 'https://undecorously-uncongestive-cindy.ngrok-free.dev/tasks/create';
@@ -1039,16 +1371,9 @@ export const bookUberRide = tool({
                 console.log(`⏳ Uber task started (ID: ${taskId}). Polling...`);
                 
                 // Notify user
-                const userHandle = global.currentMessageHandle;
-                if (userHandle) {
+                if (context.target) {
                     try {
-                        const appleScript = `
-                        tell application "Messages"
-                            set serviceID to id of 1st service whose service type = iMessage
-                            send "Uber requested with x402! Confirming payment and finding a driver..." to buddy "${userHandle}" of service id serviceID
-                        end tell
-                        `;
-                        execSync(`osascript -e '${appleScript}'`);
+                        outboundQueue.enqueue({ handle: context.handle, chatId: context.chatId, text: 'Uber requested with x402! Confirming payment and finding a driver...' });
                     } catch (e) {}
                 }
                 
@@ -1106,8 +1431,14 @@ export const llmTools = {
     payAndAccessService,
     skipResponse,
     sendToSpecificContact,
+    sendAttachment,
     createGroupChat: createGroupChatTool,
     getConversationHistory,
+    scheduleMessage,
+    cancelScheduledMessage,
+    rememberFact,
+    forgetFact,
+    listMemories,
     waitForMoreInput,
     analyzeMessage,
     searchTalent,
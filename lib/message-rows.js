@@ -0,0 +1,284 @@
+import { decodeAttributedBody } from './attributed-body.js';
+
+/**
+ * Message Rows - Shared chat.db query and row mapping
+ * Used by the live listener and by replay so both emit identical messages
+ */
+
+// Instead of doing something reasonable, Apple stores dates as the number of
+// seconds since 01-01-2001 00:00:00 GMT. DATE_OFFSET is the offset in seconds
+// between their epoch and unix time
+const DATE_OFFSET = 978307200;
+
+// Gets the Apple-style timestamp for a Date
+function toAppleTime(date) {
+    return Math.floor(date.getTime() / 1000) - DATE_OFFSET;
+}
+
+// Transforms an Apple-style timestamp to a proper unix timestamp
+function fromAppleTime(ts) {
+    if (ts == 0 || ts == null) {
+        return null;
+    }
+
+    // unpackTime returns 0 if the timestamp wasn't packed. Rows don't carry
+    // their database's capabilities, so this goes by magnitude
+    if (unpackTime(ts) != 0) {
+        ts = unpackTime(ts);
+    }
+
+    return new Date((ts + DATE_OFFSET) * 1000);
+}
+
+// Since macOS 10.13 High Sierra, some timestamps appear to have extra data
+// packed. Dividing by 10^9 seems to get an Apple-style timestamp back.
+// According to a StackOverflow user, timestamps now have nanosecond precision
+function unpackTime(ts) {
+    return Math.floor(ts / Math.pow(10, 9));
+}
+
+// Columns older databases lack are selected as NULL so every query returns
+// the same shape
+function attributedBodyColumn(capabilities) {
+    return capabilities.attributedBody ? 'm.attributedBody' : 'NULL';
+}
+
+/**
+ * Build the message SELECT with a caller-supplied WHERE clause
+ * @param {object} options - { where, orderBy, limit, capabilities } where
+ *   `capabilities` comes from getCapabilities(db)
+ */
+function buildMessageQuery({ where = '1 = 1', orderBy = 'm.ROWID ASC', limit = null, capabilities } = {}) {
+    const threadOriginator = capabilities.threadOriginator ? 'm.thread_originator_guid' : 'NULL';
+
+    return `
+        SELECT
+            m.ROWID AS rowId,
+            m.guid,
+            id as handle,
+            text,
+            ${attributedBodyColumn(capabilities)} AS attributed_body,
+            date,
+            date_read,
+            is_from_me,
+            cache_roomnames,
+            c.guid AS chat_guid,
+            c.display_name AS chat_name,
+            associated_message_type,
+            associated_message_guid,
+            ${threadOriginator} AS thread_originator_guid,
+            CASE cache_has_attachments
+                WHEN 0 THEN Null
+                WHEN 1 THEN filename
+            END AS attachment,
+            CASE cache_has_attachments
+                WHEN 0 THEN Null
+                WHEN 1 THEN mime_type
+            END AS mime_type
+        FROM message AS m
+        LEFT JOIN message_attachment_join AS maj ON maj.message_id = m.ROWID
+        LEFT JOIN attachment AS a ON a.ROWID = maj.attachment_id
+        LEFT JOIN handle AS h ON h.ROWID = m.handle_id
+        LEFT JOIN chat_message_join AS cmj ON cmj.message_id = m.ROWID
+        LEFT JOIN chat AS c ON c.ROWID = cmj.chat_id
+        WHERE ${where}
+        ORDER BY ${orderBy}
+        ${limit ? `LIMIT ${limit}` : ''}
+    `;
+}
+
+// Tapback codes in message.associated_message_type; 3000-range removes the
+// matching 2000-range reaction
+const REACTIONS = {
+    2000: 'loved',
+    2001: 'liked',
+    2002: 'disliked',
+    2003: 'laughed',
+    2004: 'emphasized',
+    2005: 'questioned',
+    2006: 'emoji',
+};
+const REACTION_REMOVAL_OFFSET = 1000;
+
+// associated_message_guid looks like "p:0/<guid>" (part 0 of a message) or
+// "bp:<guid>" (balloon plugin); strip the prefix to get the target guid
+function parseAssociatedGuid(value) {
+    if (!value) return null;
+    const match = value.match(/^(?:p:\d+\/|bp:)?(.+)$/);
+    return match ? match[1] : value;
+}
+
+/**
+ * Build the query for messages edited or unsent after a raw chat.db timestamp
+ * Returns null on databases that predate edit/unsend support (macOS < 13)
+ */
+function buildChangeQuery(capabilities) {
+    if (!capabilities.editsAndUnsends) {
+        return null;
+    }
+
+    return `
+        SELECT
+            m.ROWID AS rowId,
+            m.guid,
+            id as handle,
+            text,
+            ${attributedBodyColumn(capabilities)} AS attributed_body,
+            is_from_me,
+            cache_roomnames,
+            c.guid AS chat_guid,
+            c.display_name AS chat_name,
+            date_edited,
+            date_retracted
+        FROM message AS m
+        LEFT JOIN handle AS h ON h.ROWID = m.handle_id
+        LEFT JOIN chat_message_join AS cmj ON cmj.message_id = m.ROWID
+        LEFT JOIN chat AS c ON c.ROWID = cmj.chat_id
+        WHERE date_edited > ? OR date_retracted > ?
+        ORDER BY MAX(date_edited, date_retracted) ASC
+    `;
+}
+
+/**
+ * Build the delivery-status query for our own outbound messages
+ */
+function buildSentStatusQuery(where, capabilities) {
+    return `
+        SELECT
+            m.ROWID AS rowId,
+            m.guid,
+            text,
+            ${attributedBodyColumn(capabilities)} AS attributed_body,
+            is_delivered,
+            is_read,
+            error,
+            date_delivered,
+            date_read,
+            m.service
+        FROM message AS m
+        LEFT JOIN handle AS h ON h.ROWID = m.handle_id
+        WHERE ${where}
+        ORDER BY m.ROWID ASC
+    `;
+}
+
+// WHERE fragment matching messages in a chat given by GUID or room name
+const IN_CHAT_CONDITION = `m.ROWID IN (
+    SELECT cmj.message_id FROM chat_message_join AS cmj
+    JOIN chat AS c ON c.ROWID = cmj.chat_id
+    WHERE c.guid = ? OR c.chat_identifier = ?
+)`;
+
+/**
+ * Map a row from buildSentStatusQuery to the shape the delivery tracker reads
+ */
+function rowToSentStatus(row) {
+    const decoded = row.attributed_body ? decodeAttributedBody(row.attributed_body) : null;
+
+    return {
+        rowId: row.rowId,
+        guid: row.guid,
+        text: row.text || decoded?.text || '',
+        service: row.service,
+        isDelivered: !!row.is_delivered,
+        isRead: !!row.is_read,
+        error: row.error || 0,
+        dateDelivered: fromAppleTime(row.date_delivered),
+        dateRead: fromAppleTime(row.date_read),
+    };
+}
+
+/**
+ * Classify a row from buildMessageQuery as a 'message' or 'reaction' event
+ * @returns {{ type: string, payload: object }}
+ */
+function rowToEvent(msg) {
+    const code = msg.associated_message_type || 0;
+    const removed = code >= 2000 + REACTION_REMOVAL_OFFSET;
+    const reaction = REACTIONS[removed ? code - REACTION_REMOVAL_OFFSET : code];
+
+    if (!reaction) {
+        return { type: 'message', payload: rowToMessage(msg) };
+    }
+
+    const message = rowToMessage(msg);
+    return {
+        type: 'reaction',
+        payload: {
+            guid: message.guid,
+            targetGuid: parseAssociatedGuid(msg.associated_message_guid),
+            reaction,
+            removed,
+            text: message.text, // e.g. 'Loved "hey"'
+            handle: message.handle,
+            group: message.group,
+            chatGuid: message.chatGuid,
+            fromMe: message.fromMe,
+            date: message.date,
+        },
+    };
+}
+
+/**
+ * Classify a row from buildChangeQuery as an 'edit' or 'unsend' event
+ * @returns {{ type: string, payload: object }}
+ */
+function rowToChangeEvent(msg) {
+    const message = rowToMessage({ ...msg, attachment: null });
+    const unsent = msg.date_retracted > 0;
+
+    return {
+        type: unsent ? 'unsend' : 'edit',
+        payload: {
+            targetGuid: msg.guid,
+            text: unsent ? null : message.text,
+            handle: message.handle,
+            group: message.group,
+            chatGuid: message.chatGuid,
+            fromMe: message.fromMe,
+            date: fromAppleTime(unsent ? msg.date_retracted : msg.date_edited),
+        },
+    };
+}
+
+/**
+ * Map a row from buildMessageQuery to the object emitted on 'message'
+ */
+function rowToMessage(msg) {
+    // Newer macOS leaves `text` NULL and keeps the content in attributedBody
+    const decoded = msg.attributed_body ? decodeAttributedBody(msg.attributed_body) : null;
+
+    return {
+        guid: msg.guid,
+        text: msg.text || decoded?.text || '', // Ensure text is never null
+        mentions: decoded?.mentions || [],
+        links: decoded?.links || [],
+        handle: msg.handle,
+        group: msg.cache_roomnames, // Room name, set only for group chats
+        chatGuid: msg.chat_guid || null,
+        chatName: msg.chat_name || null,
+        threadOriginatorGuid: msg.thread_originator_guid || null, // Set on inline thread replies
+        fromMe: !!msg.is_from_me,
+        date: fromAppleTime(msg.date),
+        dateRead: fromAppleTime(msg.date_read),
+        file:
+            msg.attachment !== null
+                ? msg.attachment.replace('~', process.env.HOME)
+                : null,
+        fileType: msg.mime_type,
+    };
+}
+
+export {
+    DATE_OFFSET,
+    IN_CHAT_CONDITION,
+    toAppleTime,
+    fromAppleTime,
+    buildMessageQuery,
+    buildChangeQuery,
+    buildSentStatusQuery,
+    rowToMessage,
+    rowToSentStatus,
+    rowToEvent,
+    rowToChangeEvent,
+};
@@ -0,0 +1,286 @@
+import { randomUUID } from 'crypto';
+import chalk from 'chalk';
+import { outboundQueue } from './outbound-queue.js';
+import { normalizeHandle, normalizeMessage } from './message-sender.js';
+import { isChatId } from './transport.js';
+
+/**
+ * Message Scheduler - Sends texts later, once or on a cron schedule
+ * Scheduled messages are kept in the conversation store backend, so they
+ * survive restarts. When one falls due it is handed to the outbound queue;
+ * runs are claimed atomically in the store, so the server and the listener
+ * can both run a scheduler against the same database without sending twice.
+ * Cron expressions use the server's local time zone.
+ */
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 6 },
+];
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+};
+
+// Give up looking for the next run after this many years
+const CRON_SEARCH_YEARS = 5;
+
+/**
+ * Parse a five-field cron expression ("0 9 * * 1-5") into sets of allowed
+ * values. Supports *, lists, ranges, steps and the @daily-style aliases.
+ */
+export function parseCron(expression) {
+    const fields = (CRON_ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields: minute hour day month weekday`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => {
+        const { name, min, max } = CRON_FIELDS[i];
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+            if (!match) throw new Error(`Invalid cron ${name} "${part}"`);
+
+            // "*" is the whole range, "5/15" runs from 5 to the end of it
+            let [from, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+            if (end === undefined) end = match[2] ? max : from;
+            const step = match[2] ? Number(match[2]) : 1;
+            // Sunday may be written as 7
+            const limit = i === 4 ? 7 : max;
+            if (from < min || end > limit || from > end || step < 1) {
+                throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+            }
+
+            for (let value = from; value <= end; value += step) values.add(i === 4 ? value % 7 : value);
+        }
+
+        return values;
+    });
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Standard cron: when both day fields are restricted, either may match
+        anyDay: fields[2] !== '*' && fields[4] !== '*',
+    };
+}
+
+/**
+ * The first time strictly after `after` that matches the cron expression
+ */
+export function nextCronRun(expression, after = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + CRON_SEARCH_YEARS);
+
+    while (date <= limit) {
+        const dayOfMonth = cron.days.has(date.getDate());
+        const dayOfWeek = cron.weekdays.has(date.getDay());
+        const dayMatches = cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!dayMatches) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+class MessageScheduler {
+    constructor(options = {}) {
+        this.conversationStore = options.conversationStore || null;
+        this.pollIntervalMs = options.pollIntervalMs || Number(process.env.SCHEDULER_POLL_MS) || 15 * 1000;
+        this.timer = null;
+    }
+
+    /**
+     * Begin sending due messages from the given store (once per process)
+     */
+    start(conversationStore) {
+        if (this.timer) return;
+        this.conversationStore = conversationStore || this.conversationStore;
+        if (!this.conversationStore) {
+            throw new Error('MessageScheduler needs a conversation store');
+        }
+
+        this.timer = setInterval(() => {
+            this.runDue().catch((error) => console.warn('⚠️ Scheduled message check failed:', error.message));
+        }, this.pollIntervalMs);
+        this.runDue().catch((error) => console.warn('⚠️ Scheduled message check failed:', error.message));
+
+        console.log(chalk.blue(`⏰ Message scheduler started (checking every ${Math.round(this.pollIntervalMs / 1000)}s)`));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Schedule a text for a handle or group chat
+     * @param {object} options - { handle, chatId, text, sendAt (one-off Date or
+     *   ISO string), cron (recurring), createdBy, reason }
+     * @returns {Promise<object>} the scheduled message
+     */
+    async schedule({ handle = null, chatId = null, text, sendAt = null, cron = null, createdBy = 'api', reason = null }) {
+        const store = this.requireStore();
+        await store.ready;
+
+        if (Boolean(sendAt) === Boolean(cron)) {
+            throw new Error('Provide exactly one of sendAt or cron');
+        }
+
+        const recipient = normalizeHandle(chatId || handle);
+        if (chatId && !isChatId(recipient)) {
+            throw new Error('chatId must be a chat GUID or room name');
+        }
+        const message = normalizeMessage(text);
+        if (!message.trim()) {
+            throw new Error('message must not be empty');
+        }
+
+        let nextRunAt;
+        if (cron) {
+            nextRunAt = nextCronRun(cron);
+        } else {
+            nextRunAt = new Date(sendAt);
+            if (isNaN(nextRunAt.getTime())) {
+                throw new Error('sendAt must be a valid date');
+            }
+            // Allow a little slack for "now"-ish times
+            if (nextRunAt.getTime() < Date.now() - 60 * 1000) {
+                throw new Error('sendAt is in the past');
+            }
+        }
+
+        const scheduled = {
+            id: randomUUID(),
+            handle: chatId ? null : recipient,
+            chatId: chatId ? recipient : null,
+            text: message,
+            cron: cron || null,
+            nextRunAt: nextRunAt.toISOString(),
+            lastRunAt: null,
+            runCount: 0,
+            createdBy,
+            reason,
+            createdAt: new Date().toISOString(),
+        };
+
+        await store.saveScheduledMessage(scheduled);
+        console.log(
+            chalk.blue(`⏰ Scheduled message ${scheduled.id} to ${recipient} ${cron ? `on "${cron}", next` : 'for'} ${scheduled.nextRunAt}`)
+        );
+
+        return scheduled;
+    }
+
+    /**
+     * Scheduled messages, soonest first, optionally for one handle or chat
+     */
+    async list(target = null) {
+        const store = this.requireStore();
+        await store.ready;
+        return store.getScheduledMessages(target ? { target } : {});
+    }
+
+    /**
+     * Cancel a scheduled message
+     * @param {string|null} target - only cancel if it belongs to this handle/chat
+     * @returns {Promise<boolean>} whether a message was cancelled
+     */
+    async cancel(id, target = null) {
+        const store = this.requireStore();
+        await store.ready;
+
+        if (target) {
+            const owned = await store.getScheduledMessages({ target });
+            if (!owned.some((scheduled) => scheduled.id === id)) return false;
+        }
+
+        const cancelled = await store.deleteScheduledMessage(id);
+        if (cancelled) console.log(chalk.yellow(`🗑️ Cancelled scheduled message ${id}`));
+        return cancelled;
+    }
+
+    /**
+     * Queue every message whose time has come
+     * Runs missed while the process was down are sent once, late; recurring
+     * messages then move on to their next future time
+     */
+    async runDue() {
+        const store = this.requireStore();
+        await store.ready;
+
+        const now = new Date();
+        const due = (await store.getScheduledMessages()).filter((scheduled) => new Date(scheduled.nextRunAt) <= now);
+
+        for (const scheduled of due) {
+            const runAt = scheduled.nextRunAt;
+            const claimed = await store.claimScheduledMessage(scheduled.id, runAt, {
+                nextRunAt: scheduled.cron ? nextCronRun(scheduled.cron, now).toISOString() : null,
+                lastRunAt: now.toISOString(),
+                runCount: (scheduled.runCount || 0) + 1,
+            });
+            if (!claimed) continue; // Another process got it
+
+            try {
+                outboundQueue.enqueue({
+                    handle: scheduled.handle,
+                    chatId: scheduled.chatId,
+                    text: scheduled.text,
+                    idempotencyKey: `scheduled:${scheduled.id}:${runAt}`,
+                    typingDelayMs: 0,
+                });
+                console.log(chalk.green(`⏰ Sending scheduled message ${scheduled.id} to ${scheduled.chatId || scheduled.handle}`));
+            } catch (error) {
+                console.warn(chalk.red(`❌ Could not queue scheduled message ${scheduled.id}:`), error.message);
+            }
+
+            if (!scheduled.cron) {
+                await store.deleteScheduledMessage(scheduled.id);
+            }
+        }
+    }
+
+    requireStore() {
+        if (!this.conversationStore) {
+            throw new Error('Message scheduler is not started');
+        }
+        return this.conversationStore;
+    }
+}
+
+// Shared by the HTTP routes and the LLM tools in the same process
+export const messageScheduler = new MessageScheduler();
+
+export default MessageScheduler;
@@ -0,0 +1,144 @@
+import { IN_CHAT_CONDITION, buildMessageQuery, rowToMessage } from './message-rows.js';
+import { getCapabilities, toDBTime } from './chat-db-capabilities.js';
+
+/**
+ * Message Search - Paginated full-text search over a chat.db
+ * Results come newest first. `cursor` is opaque to callers: pass back the
+ * `nextCursor` of the previous page to continue.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+export function encodeCursor(rowId) {
+    return Buffer.from(JSON.stringify({ before: rowId })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+    try {
+        const { before } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        if (Number.isInteger(before)) return before;
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+}
+
+// LIKE treats % and _ as wildcards; escape them so they match literally
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Normalize and validate search options
+ */
+export function parseSearchOptions(options = {}) {
+    const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        throw new Error('from/to must be valid dates');
+    }
+
+    return {
+        query: options.query ? String(options.query) : null,
+        handle: options.handle || null,
+        chat: options.chat || null,
+        from,
+        to,
+        hasAttachment:
+            options.hasAttachment === undefined || options.hasAttachment === null
+                ? null
+                : options.hasAttachment === true || options.hasAttachment === 'true',
+        limit,
+        before: options.cursor ? decodeCursor(options.cursor) : null,
+    };
+}
+
+/**
+ * Search messages in an open chat.db
+ * @param {object} options - { query, handle, chat, from, to, hasAttachment, limit, cursor }
+ * @returns {Promise<{ messages: object[], nextCursor: string|null }>}
+ */
+export async function searchMessageDB(db, options = {}) {
+    const search = parseSearchOptions(options);
+    const capabilities = await getCapabilities(db);
+    const conditions = [
+        // Tapbacks are stored as messages too; leave them out of search
+        '(m.associated_message_type IS NULL OR m.associated_message_type = 0)',
+    ];
+    const params = [];
+
+    if (search.query && capabilities.attributedBody) {
+        // Newer macOS leaves `text` NULL, so also look inside attributedBody.
+        // The blob match is byte-wise and therefore case-sensitive
+        conditions.push(`(m.text LIKE ? ESCAPE '\\' OR (m.text IS NULL AND instr(m.attributedBody, CAST(? AS BLOB)) > 0))`);
+        params.push(`%${escapeLike(search.query)}%`, search.query);
+    } else if (search.query) {
+        conditions.push(`m.text LIKE ? ESCAPE '\\'`);
+        params.push(`%${escapeLike(search.query)}%`);
+    }
+    if (search.handle) {
+        conditions.push('h.id = ?');
+        params.push(search.handle);
+    }
+    if (search.chat) {
+        conditions.push(IN_CHAT_CONDITION);
+        params.push(search.chat, search.chat);
+    }
+    if (search.from) {
+        conditions.push('m.date >= ?');
+        params.push(toDBTime(search.from, capabilities));
+    }
+    if (search.to) {
+        conditions.push('m.date < ?');
+        params.push(toDBTime(search.to, capabilities));
+    }
+    if (search.hasAttachment !== null) {
+        conditions.push(`m.cache_has_attachments = ${search.hasAttachment ? 1 : 0}`);
+    }
+    if (search.before !== null) {
+        conditions.push('m.ROWID < ?');
+        params.push(search.before);
+    }
+
+    // Page by ROWID in a subquery so messages with several attachments (one
+    // row per attachment in the outer join) still count once
+    const where = `m.ROWID IN (
+        SELECT m.ROWID FROM message AS m
+        LEFT JOIN handle AS h ON h.ROWID = m.handle_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY m.ROWID DESC
+        LIMIT ${search.limit + 1}
+    )`;
+
+    const rows = await db.all(
+        buildMessageQuery({ where, orderBy: 'm.ROWID DESC', capabilities }),
+        ...params
+    );
+
+    const messages = [];
+    let lastRowId = null;
+    for (const row of rows) {
+        if (row.rowId === lastRowId) continue;
+        lastRowId = row.rowId;
+        messages.push({ rowId: row.rowId, ...rowToMessage(row) });
+    }
+
+    return pageResults(messages, search.limit);
+}
+
+/**
+ * Cut a newest-first list (fetched with one extra item) down to a page
+ * @returns {{ messages: object[], nextCursor: string|null }}
+ */
+export function pageResults(messages, limit) {
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+
+    return {
+        messages: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].rowId) : null,
+    };
+}
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { getTransport, isChatId } from './transport.js';
+import { deliveryTracker } from './delivery-tracker.js';
+
+/**
+ * Message Sender - The one place outbound texts leave the agent
+ * Validates handle and text before handing them to the active transport.
+ * The AppleScript transport passes both as osascript argv, so no caller ever
+ * has to quote or escape message content itself.
+ */
+
+// Characters that cannot be carried in a process argument at all
+const NUL_PATTERN = /\u0000/g;
+
+/**
+ * Validate and normalize a recipient handle (phone number, email or chat id)
+ */
+export function normalizeHandle(handle) {
+    assert(typeof handle == 'string', 'handle must be a string');
+
+    const normalized = handle.trim();
+    assert(normalized.length > 0, 'handle must not be empty');
+    // A leading dash would be parsed as an osascript option
+    assert(!normalized.startsWith('-'), 'handle must not start with "-"');
+    assert(!/[\u0000-\u001f\u007f]/.test(normalized), 'handle must not contain control characters');
+
+    return normalized;
+}
+
+/**
+ * Validate and normalize message text, keeping quotes, backslashes and
+ * newlines exactly as written
+ */
+export function normalizeMessage(message) {
+    assert(typeof message == 'string', 'message must be a string');
+    return message.replace(NUL_PATTERN, '');
+}
+
+/**
+ * Send a text to a handle through the explicit iMessage service
+ * @param {string} handle - Recipient phone number or email
+ * @param {string} message - Text to send, any characters allowed
+ * @param {object} options - { newContact, service (null = existing thread), track,
+ *   idempotencyKey (of the outbound queue job, reused for resends) }
+ * @returns {Promise<{ messageId: string|null }>} id for deliveryTracker.getStatus()
+ */
+export async function sendText(handle, message, options = {}) {
+    const { newContact = false, service = 'iMessage', track = true, idempotencyKey = null } = options;
+    const to = normalizeHandle(handle);
+    const text = normalizeMessage(message);
+
+    await getTransport().send(to, text, { service, newContact });
+
+    const messageId = track
+        ? deliveryTracker.track({ handle: to, text, service, newContact, idempotencyKey })
+        : null;
+
+    return { messageId };
+}
+
+/**
+ * Send a text to a group chat
+ * @param {string} chatId - Chat GUID or room name (the message's `group`)
+ * @param {string} message - Text to send, any characters allowed
+ * @param {object} options - { track, idempotencyKey }
+ * @returns {Promise<{ messageId: string|null }>} id for deliveryTracker.getStatus()
+ */
+export async function sendToChat(chatId, message, options = {}) {
+    const { track = true, idempotencyKey = null } = options;
+    const to = normalizeHandle(chatId);
+    assert(isChatId(to), 'chatId must be a chat GUID or room name');
+    const text = normalizeMessage(message);
+
+    await getTransport().sendToChat(to, text);
+
+    const messageId = track
+        ? deliveryTracker.track({ chatId: to, text, idempotencyKey })
+        : null;
+
+    return { messageId };
+}
+
+/**
+ * Send a reply to wherever a conversation lives: the group chat when there
+ * is one, otherwise the individual handle
+ */
+export function sendReply({ handle, chatId = null }, message, options = {}) {
+    return chatId ? sendToChat(chatId, message, options) : sendText(handle, message, options);
+}
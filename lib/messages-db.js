@@ -1,28 +1,47 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 
-const dbPath = `${process.env.HOME}/Library/Messages/chat.db`;
+const DEFAULT_DB_PATH = `${process.env.HOME}/Library/Messages/chat.db`;
 const OPEN_READONLY = sqlite3.OPEN_READONLY;
 
-let db;
-async function openDB() {
-    if (db) return db;
-    db = open({
-        filename: dbPath,
+// MESSAGES_DB_PATH points the agent at a copied or exported chat.db
+let dbPath = process.env.MESSAGES_DB_PATH || DEFAULT_DB_PATH;
+
+const dbs = new Map(); // filename -> Promise<Database>
+const openHandles = new Set();
+
+function getDBPath() {
+    return dbPath;
+}
+
+// Changes the default database for subsequent openDB() calls
+function setDBPath(filename) {
+    dbPath = filename;
+}
+
+async function openDB(filename = dbPath) {
+    if (dbs.has(filename)) return dbs.get(filename);
+    const db = open({
+        filename,
         mode: OPEN_READONLY,
         driver: sqlite3.Database,
+    }).then((handle) => {
+        openHandles.add(handle);
+        return handle;
     });
+    dbs.set(filename, db);
     return db;
 }
 
 let isClosing;
 function cleanUp() {
-    if (db && db.driver.open && !isClosing) {
-        isClosing = true;
-        db.close();
+    if (isClosing) return;
+    isClosing = true;
+    for (const db of openHandles) {
+        if (db.driver.open) db.close();
     }
 }
 process.on('exit', cleanUp);
 // process.on('uncaughtException', cleanUp);
 
-export { openDB };
+export { openDB, getDBPath, setDBPath };
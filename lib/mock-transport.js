@@ -0,0 +1,242 @@
+import { EventEmitter } from 'events';
+import chalk from 'chalk';
+import { parseSearchOptions, pageResults, encodeCursor, decodeCursor } from './message-search.js';
+
+/**
+ * Mock Transport - In-process stand-in for Messages.app
+ * Records outbound messages in memory and lets callers inject incoming ones,
+ * so the agent can run on Linux CI and laptops without a Mac
+ */
+class MockTransport {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.emitter = new EventEmitter();
+        this.sent = []; // Outbound messages and files, oldest first
+        this.history = []; // Received and sent messages as listen() emits them, for search and getChats
+        this.contacts = new Map(Object.entries(options.contacts || {})); // handle -> name
+        this.chats = new Map(); // chat id -> { name, participants }
+        this.silent = options.silent || false;
+        this.guidCounter = 0;
+    }
+
+    async send(handle, message, options = {}) {
+        return this._record({ type: 'text', handle, content: message, options });
+    }
+
+    async sendFile(handle, filepath) {
+        return this._record({ type: 'file', handle, content: filepath, options: {} });
+    }
+
+    async sendToChat(chatId, message) {
+        return this._record({ type: 'text', chatId, content: message, options: {} });
+    }
+
+    async sendFileToChat(chatId, filepath) {
+        return this._record({ type: 'file', chatId, content: filepath, options: {} });
+    }
+
+    listen(options = {}) {
+        return this.emitter;
+    }
+
+    async handleForName(name) {
+        for (const [handle, contactName] of this.contacts) {
+            if (contactName === name) return handle;
+        }
+        throw new Error(`no participant named '${name}'`);
+    }
+
+    async nameForHandle(handle) {
+        if (!this.contacts.has(handle)) {
+            throw new Error(`no participant with handle '${handle}'`);
+        }
+        return this.contacts.get(handle);
+    }
+
+    async nameForChat(chatId) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            throw new Error(`no chat with id '${chatId}'`);
+        }
+        return chat.name || chat.participants.join(', ');
+    }
+
+    async getChatParticipants(chatId) {
+        return this.chats.get(chatId)?.participants || [];
+    }
+
+    /**
+     * Mock sends are delivered instantly, so delivery tracking works offline
+     */
+    async findSentMessage({ handle, chatId = null, text, rowId = null, excludeRowIds = new Set() }) {
+        const entry = rowId !== null
+            ? this.sent[rowId - 1]
+            : this.sent.find((sent, index) =>
+                sent.type === 'text' &&
+                (chatId ? sent.chatId === chatId : sent.handle === handle) &&
+                sent.content === text &&
+                !excludeRowIds.has(index + 1)
+            );
+
+        if (!entry) return null;
+
+        return {
+            rowId: this.sent.indexOf(entry) + 1,
+            guid: entry.guid,
+            isDelivered: true,
+            isRead: false,
+            error: 0,
+            dateDelivered: entry.date,
+            dateRead: null,
+        };
+    }
+
+    /**
+     * Search received and sent messages, newest first, like the chat.db search
+     */
+    async searchMessages(options = {}) {
+        const search = parseSearchOptions(options);
+        const query = search.query?.toLowerCase();
+
+        const matches = this.history
+            .filter((msg) =>
+                (!query || msg.text.toLowerCase().includes(query)) &&
+                (!search.handle || msg.handle === search.handle) &&
+                (!search.chat || msg.chatGuid === search.chat || msg.group === search.chat) &&
+                (!search.from || msg.date >= search.from) &&
+                (!search.to || msg.date < search.to) &&
+                (search.hasAttachment === null || Boolean(msg.file) === search.hasAttachment) &&
+                (search.before === null || msg.rowId < search.before)
+            )
+            .reverse()
+            .slice(0, search.limit + 1);
+
+        return pageResults(matches, search.limit);
+    }
+
+    /**
+     * One row per conversation in the in-memory history, newest first
+     */
+    async getChats(options = {}) {
+        const limit = Math.min(Math.max(Number(options.limit) || 20, 1), 100);
+        const before = options.cursor ? decodeCursor(options.cursor) : null;
+        const chats = new Map(); // chat id -> chat, first seen = most recent
+
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            const msg = this.history[i];
+            const id = msg.chatGuid || `iMessage;-;${msg.handle}`;
+
+            if (!chats.has(id)) {
+                const group = msg.chatGuid ? this.chats.get(msg.chatGuid) : null;
+                chats.set(id, {
+                    id,
+                    identifier: msg.chatGuid || msg.handle,
+                    displayName: msg.chatGuid ? group?.name || null : this.contacts.get(msg.handle) || null,
+                    service: 'iMessage',
+                    isGroup: Boolean(msg.chatGuid),
+                    participants: msg.chatGuid ? group?.participants || [] : [msg.handle],
+                    unreadCount: 0,
+                    lastMessage: { rowId: msg.rowId, text: msg.text, fromMe: msg.fromMe, date: msg.date },
+                });
+            }
+
+            // Mock messages are unread until we reply
+            const chat = chats.get(id);
+            if (!msg.fromMe && !chat.repliedTo) chat.unreadCount++;
+            if (msg.fromMe) chat.repliedTo = true;
+        }
+
+        const sorted = [...chats.values()]
+            .map(({ repliedTo, ...chat }) => chat)
+            .filter((chat) => before === null || chat.lastMessage.rowId < before);
+        const page = sorted.slice(0, limit);
+
+        return {
+            chats: page,
+            nextCursor: sorted.length > limit ? encodeCursor(page[page.length - 1].lastMessage.rowId) : null,
+        };
+    }
+
+    /**
+     * Simulate an incoming message, emitted the same way the chat.db
+     * listener emits rows (pass { group, chatGuid } in extra for a group chat)
+     */
+    receive(handle, text, extra = {}) {
+        const message = {
+            guid: `mock-${++this.guidCounter}`,
+            text,
+            handle,
+            group: null,
+            chatGuid: null,
+            chatName: null,
+            threadOriginatorGuid: null,
+            fromMe: false,
+            date: new Date(),
+            dateRead: null,
+            file: null,
+            fileType: null,
+            ...extra,
+        };
+
+        this.history.push({ rowId: this.history.length + 1, ...message });
+        this.emitter.emit('message', message);
+        return message;
+    }
+
+    /**
+     * Register a display name for a handle
+     */
+    addContact(handle, name) {
+        this.contacts.set(handle, name);
+    }
+
+    /**
+     * Register a group chat with its display name and participant handles
+     */
+    addChat(chatId, { name = null, participants = [] } = {}) {
+        this.chats.set(chatId, { name, participants });
+    }
+
+    /**
+     * Forget everything that was sent (between test cases)
+     */
+    reset() {
+        this.sent = [];
+        this.history = [];
+    }
+
+    // Private methods
+    _record({ type, handle = null, chatId = null, content, options }) {
+        const entry = {
+            guid: `mock-sent-${this.sent.length + 1}`,
+            type,
+            handle,
+            chatId,
+            content,
+            options,
+            date: new Date(),
+        };
+
+        this.sent.push(entry);
+        this.history.push({
+            rowId: this.history.length + 1,
+            guid: entry.guid,
+            text: type === 'text' ? content : '',
+            handle,
+            group: chatId,
+            chatGuid: chatId,
+            fromMe: true,
+            date: entry.date,
+            file: type === 'file' ? content : null,
+        });
+        this.emitter.emit('sent', entry);
+
+        if (!this.silent) {
+            console.log(chalk.dim(`📪 [mock] ${type} to ${chatId || handle}: ${content}`));
+        }
+
+        return entry;
+    }
+}
+
+export { MockTransport };
@@ -0,0 +1,243 @@
+import { createOpenAI } from '@ai-sdk/openai';
+import chalk from 'chalk';
+
+/**
+ * Model Registry - Picks the language model for each task, from any provider
+ * A model is written "provider:model" (a bare name means OpenAI), and a task
+ * can list several, comma-separated, to form a fallback chain:
+ *
+ *   AI_MODEL=openai:gpt-4o, anthropic:claude-3-5-sonnet-latest, local:llama3.1
+ *
+ * Providers are openai, anthropic and local (any OpenAI-compatible server such
+ * as Ollama or llama.cpp). Models whose provider has no credentials are left
+ * out of the chain; when a model errors, the call moves on to the next one and
+ * the failed model is skipped for a cooldown.
+ */
+
+// What each task is used for, and the env var naming its models
+export const MODEL_TASKS = {
+    chat: 'AI_MODEL', // replies and other tool-heavy turns
+    triage: 'AI_TRIAGE_MODEL', // cheap classification of incoming messages
+    vision: 'AI_VISION_MODEL', // describing incoming photos
+    summary: 'AI_SUMMARY_MODEL', // folding old messages into a conversation summary
+    memory: 'AI_MEMORY_MODEL', // extracting long-term facts about people after each turn
+};
+
+const DEFAULT_CHAT_MODEL = 'openai:gpt-4o-mini';
+
+const PROVIDERS = {
+    openai: {
+        configured: (env) => Boolean(env.OPENAI_API_KEY),
+        hint: 'OPENAI_API_KEY',
+        load: async (env) =>
+            createOpenAI({
+                apiKey: env.OPENAI_API_KEY,
+                ...(env.OPENAI_BASE_URL ? { baseURL: env.OPENAI_BASE_URL } : {}),
+            }),
+    },
+    anthropic: {
+        configured: (env) => Boolean(env.ANTHROPIC_API_KEY),
+        hint: 'ANTHROPIC_API_KEY',
+        // Optional dependency, only needed when an Anthropic model is configured
+        load: async (env) => {
+            const { createAnthropic } = await import('@ai-sdk/anthropic');
+            return createAnthropic({ apiKey: env.ANTHROPIC_API_KEY });
+        },
+    },
+    local: {
+        configured: () => true,
+        hint: 'LOCAL_MODEL_BASE_URL',
+        load: async (env) =>
+            createOpenAI({
+                name: 'local',
+                baseURL: env.LOCAL_MODEL_BASE_URL || 'http://localhost:11434/v1',
+                // Ollama and llama.cpp ignore the key, but the client requires one
+                apiKey: env.LOCAL_MODEL_API_KEY || 'local',
+                compatibility: 'compatible',
+            }),
+    },
+};
+
+/**
+ * Parse "openai:gpt-4o, local:llama3.1" into [{ provider, modelId, label }]
+ */
+export function parseModelChain(spec) {
+    return String(spec)
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            const provider = separator === -1 ? 'openai' : entry.slice(0, separator).trim().toLowerCase();
+            const modelId = separator === -1 ? entry : entry.slice(separator + 1).trim();
+
+            if (!PROVIDERS[provider]) {
+                throw new Error(`Unknown model provider "${provider}" in "${entry}" (use ${Object.keys(PROVIDERS).join(', ')})`);
+            }
+            if (!modelId) {
+                throw new Error(`Missing model name in "${entry}"`);
+            }
+
+            return { provider, modelId, label: `${provider}:${modelId}` };
+        });
+}
+
+/**
+ * A language model that tries each model of a chain in turn
+ * Implements the AI SDK's model interface, so it can be passed anywhere a
+ * model is expected (generateText, streamText, generateObject)
+ */
+class FallbackModel {
+    constructor(registry, chain) {
+        this.registry = registry;
+        this.chain = chain;
+
+        this.specificationVersion = 'v1';
+        this.provider = chain.length === 1 ? chain[0].provider : 'fallback';
+        this.modelId = chain.map((entry) => entry.label).join(' → ');
+        // Understood by every provider here, unlike OpenAI's json mode
+        this.defaultObjectGenerationMode = 'tool';
+        // Let the SDK download image URLs, since local servers can't
+        this.supportsImageUrls = false;
+    }
+
+    doGenerate(options) {
+        return this.attempt((model) => model.doGenerate(options), options.abortSignal);
+    }
+
+    // Falls back only while opening the stream; a stream that fails halfway
+    // has already produced output
+    doStream(options) {
+        return this.attempt((model) => model.doStream(options), options.abortSignal);
+    }
+
+    async attempt(call, abortSignal) {
+        let lastError = null;
+
+        for (const entry of this.registry.available(this.chain)) {
+            try {
+                const model = await this.registry.load(entry);
+                const result = await call(model);
+                this.registry.markHealthy(entry);
+                return result;
+            } catch (error) {
+                // A cancelled call is not the model's fault
+                if (abortSignal?.aborted) throw error;
+
+                lastError = error;
+                this.registry.markFailed(entry);
+                console.warn(chalk.yellow(`⚠️ Model ${entry.label} failed:`), error.message);
+            }
+        }
+
+        throw lastError || new Error(`No configured model in ${this.modelId}`);
+    }
+}
+
+class ModelRegistry {
+    constructor(options = {}) {
+        this.env = options.env || process.env;
+        this.tasks = options.tasks || {}; // task -> chain spec, overrides the env
+        this.cooldownMs = options.cooldownMs ?? null; // defaults to AI_MODEL_COOLDOWN_MS
+
+        this.providers = new Map(); // provider name -> promise of provider factory
+        this.models = new Map(); // chain spec -> FallbackModel
+        this.failedUntil = new Map(); // model label -> time to retry it
+    }
+
+    /**
+     * The chain spec configured for a task (summary and memory default to
+     * triage's, everything else to chat's)
+     */
+    specFor(task) {
+        if (!MODEL_TASKS[task]) {
+            throw new Error(`Unknown model task "${task}" (use ${Object.keys(MODEL_TASKS).join(', ')})`);
+        }
+
+        const configured = this.tasks[task] || this.env[MODEL_TASKS[task]];
+        if (configured) return configured;
+        if (task === 'summary' || task === 'memory') return this.specFor('triage');
+        return task === 'chat' ? DEFAULT_CHAT_MODEL : this.specFor('chat');
+    }
+
+    /**
+     * The model for a task
+     * @param {string|null} spec - use this chain instead of the configured one
+     */
+    getModel(task = 'chat', spec = null) {
+        const chainSpec = spec || this.specFor(task);
+        if (!this.models.has(chainSpec)) {
+            const chain = parseModelChain(chainSpec);
+            const configured = chain.filter((entry) => this.isConfigured(entry));
+
+            if (configured.length === 0) {
+                const hints = [...new Set(chain.map((entry) => PROVIDERS[entry.provider].hint))];
+                throw new Error(`No usable model for ${task} ("${chainSpec}"): set ${hints.join(' or ')}`);
+            }
+            if (configured.length < chain.length) {
+                const skipped = chain.filter((entry) => !configured.includes(entry)).map((entry) => entry.label);
+                console.warn(chalk.yellow(`⚠️ Skipping models without credentials: ${skipped.join(', ')}`));
+            }
+
+            this.models.set(chainSpec, new FallbackModel(this, configured));
+        }
+
+        return this.models.get(chainSpec);
+    }
+
+    /**
+     * Human-readable chain for a task, e.g. "openai:gpt-4o → local:llama3.1"
+     */
+    describe(task = 'chat') {
+        try {
+            return this.getModel(task).modelId;
+        } catch (error) {
+            return `unavailable (${error.message})`;
+        }
+    }
+
+    isConfigured(entry) {
+        return PROVIDERS[entry.provider].configured(this.env);
+    }
+
+    async load(entry) {
+        if (!this.providers.has(entry.provider)) {
+            const loading = PROVIDERS[entry.provider].load(this.env);
+            // Let a failed import (e.g. package not installed) be retried later
+            loading.catch(() => this.providers.delete(entry.provider));
+            this.providers.set(entry.provider, loading);
+        }
+
+        const provider = await this.providers.get(entry.provider);
+        return provider(entry.modelId);
+    }
+
+    /**
+     * The chain without models cooling down after a failure; if every model
+     * is cooling down, all of them are tried anyway
+     */
+    available(chain) {
+        const now = Date.now();
+        const ready = chain.filter((entry) => (this.failedUntil.get(entry.label) || 0) <= now);
+        return ready.length > 0 ? ready : chain;
+    }
+
+    markFailed(entry) {
+        const cooldownMs = this.cooldownMs ?? (Number(this.env.AI_MODEL_COOLDOWN_MS) || 60 * 1000);
+        this.failedUntil.set(entry.label, Date.now() + cooldownMs);
+    }
+
+    markHealthy(entry) {
+        this.failedUntil.delete(entry.label);
+    }
+}
+
+// Shared by the chat handler, the attachment pipeline and the tools
+export const modelRegistry = new ModelRegistry();
+
+// Factory function for easy initialization
+export function createModelRegistry(options = {}) {
+    return new ModelRegistry(options);
+}
+
+export default ModelRegistry;
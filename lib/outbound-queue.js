@@ -0,0 +1,349 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { mkdir, rename, writeFile } from 'fs/promises';
+import { basename, dirname, extname, join } from 'path';
+import { homedir } from 'os';
+import chalk from 'chalk';
+import { normalizeHandle, normalizeMessage, sendText, sendToChat } from './message-sender.js';
+import { isChatId } from './transport.js';
+import { sendAttachment } from './attachment-sender.js';
+
+/**
+ * Outbound Queue - Every automated text and attachment goes out through here
+ * Texts are sent one at a time per recipient, in the order they were queued,
+ * after a typing delay that grows with their length. Failed sends are retried
+ * with exponential backoff, a global per-minute limit keeps bursts in check,
+ * and an idempotency key makes re-enqueuing the same text a no-op. The queue
+ * is written to disk, a moment after each burst of changes, so pending texts
+ * survive a restart.
+ *
+ * Emits 'sent' and 'failed' with the job.
+ */
+
+/**
+ * The queue file of this process: server.js and smart_listener.js run side
+ * by side and each rewrites its whole file, so each gets its own
+ * (~/.flip-message-agent/outbound-queue.json -> outbound-queue-server.json)
+ */
+export function queuePathFor(path, script = process.argv[1]) {
+    const name = script ? basename(script, extname(script)) : 'node';
+    const extension = extname(path);
+    return `${path.slice(0, path.length - extension.length)}-${name}${extension || '.json'}`;
+}
+
+class OutboundQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.path =
+            options.path ||
+            queuePathFor(process.env.OUTBOUND_QUEUE_PATH || join(homedir(), '.flip-message-agent', 'outbound-queue.json'));
+        this.maxAttempts = options.maxAttempts ?? Number(process.env.OUTBOUND_MAX_ATTEMPTS ?? 4);
+        this.backoffMs = options.backoffMs ?? Number(process.env.OUTBOUND_BACKOFF_MS ?? 2000);
+        this.maxBackoffMs = options.maxBackoffMs ?? 60 * 1000;
+        this.ratePerMinute = options.ratePerMinute ?? Number(process.env.OUTBOUND_RATE_PER_MINUTE ?? 30);
+        this.typing = {
+            minMs: options.typingMinMs ?? Number(process.env.OUTBOUND_TYPING_MIN_MS ?? 800),
+            perCharMs: options.typingPerCharMs ?? Number(process.env.OUTBOUND_TYPING_MS_PER_CHAR ?? 40),
+            maxMs: options.typingMaxMs ?? Number(process.env.OUTBOUND_TYPING_MAX_MS ?? 6000),
+        };
+        // Finished jobs are kept this long so their idempotency keys still match
+        this.retentionMs = options.retentionMs ?? Number(process.env.OUTBOUND_RETENTION_MS ?? 60 * 60 * 1000);
+        this.saveDelayMs = options.saveDelayMs ?? 500;
+
+        this.jobs = new Map(); // id -> job, in enqueue order
+        this.byKey = new Map(); // idempotency key -> job id
+        this.busy = new Set(); // recipients with a send in flight
+        this.sentAt = []; // send timestamps inside the rate window
+        this.waiters = new Map(); // id -> [{ resolve, reject }]
+        this.timer = null;
+        this.loaded = false;
+        this.dirty = false; // changes not yet written to disk
+        this.saveTimer = null;
+        this.writing = Promise.resolve(); // the write in progress, if any
+    }
+
+    /**
+     * Queue a text, or a file, for a handle or group chat
+     * @param {object} job - { handle, chatId, text or file (a path, checked
+     *   again by the attachment sender when it is sent), newContact, service,
+     *   idempotencyKey, typingDelayMs (defaults to the human-like delay, 0 for none),
+     *   track (false when the delivery tracker already follows the text, i.e. resends) }
+     * @returns {object} the job; an existing job when the idempotency key was seen before
+     */
+    enqueue({ handle = null, chatId = null, text = null, file = null, newContact = false, service = 'iMessage', idempotencyKey = null, typingDelayMs = null, track = true }) {
+        this.load();
+
+        if (idempotencyKey && this.byKey.has(idempotencyKey)) {
+            return this.getJob(this.byKey.get(idempotencyKey));
+        }
+
+        const recipient = normalizeHandle(chatId || handle);
+        if (chatId && !isChatId(recipient)) {
+            throw new Error('chatId must be a chat GUID or room name');
+        }
+        const message = file ? null : normalizeMessage(text);
+
+        const job = {
+            id: randomUUID(),
+            idempotencyKey,
+            handle: chatId ? null : recipient,
+            chatId: chatId ? recipient : null,
+            text: message,
+            file,
+            newContact,
+            service,
+            typingDelayMs: typingDelayMs ?? this.typingDelayFor(message || ''),
+            track,
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            createdAt: new Date().toISOString(),
+            sentAt: null,
+            deliveryId: null, // deliveryTracker id once sent
+            error: null,
+        };
+
+        this.jobs.set(job.id, job);
+        if (idempotencyKey) this.byKey.set(idempotencyKey, job.id);
+        this.save();
+        this.schedule(0);
+
+        return this.getJob(job.id);
+    }
+
+    /**
+     * Resolve with the job once sent, reject once it has failed for good
+     */
+    waitFor(id) {
+        const job = this.jobs.get(id);
+        if (!job) return Promise.reject(new Error(`Unknown job ${id}`));
+        if (job.status === 'sent') return Promise.resolve(this.getJob(id));
+        if (job.status === 'failed') return Promise.reject(new Error(job.error));
+
+        return new Promise((resolve, reject) => {
+            if (!this.waiters.has(id)) this.waiters.set(id, []);
+            this.waiters.get(id).push({ resolve, reject });
+        });
+    }
+
+    /**
+     * A copy of the job, or null if unknown
+     */
+    getJob(id) {
+        this.load();
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Jobs that are still waiting or being sent
+     */
+    pending() {
+        this.load();
+        return [...this.jobs.values()].filter((job) => job.status === 'queued' || job.status === 'sending').map((job) => ({ ...job }));
+    }
+
+    // Reading takes a moment per character, up to a ceiling, with some jitter
+    typingDelayFor(text) {
+        const { minMs, perCharMs, maxMs } = this.typing;
+        const delay = Math.min(minMs + text.length * perCharMs, maxMs);
+        return Math.round(delay * (0.85 + Math.random() * 0.3));
+    }
+
+    // Wait this long before another send is allowed under the rate limit
+    rateLimitWaitMs(now) {
+        this.sentAt = this.sentAt.filter((at) => now - at < 60 * 1000);
+        if (!this.ratePerMinute || this.sentAt.length < this.ratePerMinute) return 0;
+        return this.sentAt[0] + 60 * 1000 - now;
+    }
+
+    schedule(delayMs) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, Math.max(delayMs, 0));
+    }
+
+    /**
+     * Start the next job of every idle recipient, then sleep until the
+     * earliest job that is still waiting on backoff or the rate limit
+     */
+    pump() {
+        const now = Date.now();
+        const heads = new Map(); // recipient -> oldest unfinished job
+        for (const job of this.jobs.values()) {
+            const recipient = job.chatId || job.handle;
+            if (job.status === 'queued' && !heads.has(recipient)) heads.set(recipient, job);
+            if (job.status === 'sending') heads.set(recipient, null);
+        }
+
+        let wakeAt = Infinity;
+        for (const [recipient, job] of heads) {
+            if (!job || this.busy.has(recipient)) continue;
+
+            if (job.nextAttemptAt > now) {
+                wakeAt = Math.min(wakeAt, job.nextAttemptAt);
+                continue;
+            }
+
+            const rateWait = this.rateLimitWaitMs(now);
+            if (rateWait > 0) {
+                wakeAt = Math.min(wakeAt, now + rateWait);
+                break;
+            }
+
+            this.sentAt.push(now);
+            this.run(job);
+        }
+
+        if (wakeAt !== Infinity) this.schedule(wakeAt - now);
+        this.prune();
+    }
+
+    async run(job) {
+        const recipient = job.chatId || job.handle;
+        this.busy.add(recipient);
+        job.status = 'sending';
+        job.attempts++;
+        this.save();
+
+        try {
+            // Only the first attempt looks like someone typing
+            if (job.attempts === 1 && job.typingDelayMs > 0) {
+                await new Promise((resolve) => setTimeout(resolve, job.typingDelayMs));
+            }
+
+            const { messageId } = job.file
+                ? await sendAttachment(recipient, job.file).then(() => ({ messageId: null }))
+                : job.chatId
+                  ? await sendToChat(job.chatId, job.text, { track: job.track !== false, idempotencyKey: job.idempotencyKey })
+                  : await sendText(job.handle, job.text, {
+                        newContact: job.newContact,
+                        service: job.service,
+                        track: job.track !== false,
+                        idempotencyKey: job.idempotencyKey,
+                    });
+
+            job.status = 'sent';
+            job.sentAt = new Date().toISOString();
+            job.deliveryId = messageId;
+            job.error = null;
+            this.settle(job, 'sent');
+        } catch (error) {
+            job.error = error.message;
+
+            if (job.attempts >= this.maxAttempts) {
+                job.status = 'failed';
+                console.warn(chalk.red(`❌ Giving up on queued message ${job.id} to ${recipient}: ${error.message}`));
+                this.settle(job, 'failed');
+            } else {
+                const backoff = Math.min(this.backoffMs * Math.pow(2, job.attempts - 1), this.maxBackoffMs);
+                job.status = 'queued';
+                job.nextAttemptAt = Date.now() + backoff;
+                console.warn(
+                    chalk.yellow(`🔁 Send to ${recipient} failed (${error.message}), retrying in ${Math.round(backoff / 1000)}s`)
+                );
+            }
+        } finally {
+            this.busy.delete(recipient);
+            this.save();
+            this.schedule(0);
+        }
+    }
+
+    settle(job, status) {
+        const waiters = this.waiters.get(job.id) || [];
+        this.waiters.delete(job.id);
+        waiters.forEach(({ resolve, reject }) =>
+            status === 'sent' ? resolve({ ...job }) : reject(new Error(job.error))
+        );
+        this.emit(status, { ...job });
+    }
+
+    // Forget finished jobs once their idempotency window has passed
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        let removed = false;
+
+        for (const [id, job] of this.jobs) {
+            const finishedAt = Date.parse(job.sentAt || job.createdAt);
+            if ((job.status === 'sent' || job.status === 'failed') && finishedAt < cutoff) {
+                this.jobs.delete(id);
+                if (job.idempotencyKey) this.byKey.delete(job.idempotencyKey);
+                removed = true;
+            }
+        }
+
+        if (removed) this.save();
+    }
+
+    /**
+     * Read the saved queue once and resume whatever was still pending
+     * A job that was mid-send when the process stopped is sent again, since
+     * there is no telling whether Messages.app got it
+     */
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        try {
+            const data = JSON.parse(readFileSync(this.path, 'utf-8'));
+            for (const job of data.jobs || []) {
+                if (job.status === 'sending') job.status = 'queued';
+                this.jobs.set(job.id, job);
+                if (job.idempotencyKey) this.byKey.set(job.idempotencyKey, job.id);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Ignoring unreadable outbound queue ${this.path}:`, error.message);
+            }
+        }
+
+        const pending = this.pending().length;
+        if (pending > 0) {
+            console.log(chalk.blue(`📬 Resuming ${pending} queued outbound message(s)`));
+            this.schedule(0);
+        }
+    }
+
+    // Changes within saveDelayMs of each other are written together
+    save() {
+        this.dirty = true;
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+        }
+    }
+
+    /**
+     * Write pending changes now
+     * @returns {Promise} settles once the queue file is up to date
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        // One write at a time, so an older snapshot never lands last
+        this.writing = this.writing.then(() => (this.dirty ? this.write() : null));
+        return this.writing;
+    }
+
+    // Write to a temp file then rename, like the listener checkpoint
+    async write() {
+        this.dirty = false;
+        const data = JSON.stringify({ jobs: [...this.jobs.values()] });
+
+        try {
+            await mkdir(dirname(this.path), { recursive: true });
+            const tmpPath = `${this.path}.tmp`;
+            await writeFile(tmpPath, data);
+            await rename(tmpPath, this.path);
+        } catch (error) {
+            console.warn(`⚠️ Failed to save outbound queue ${this.path}:`, error.message);
+        }
+    }
+}
+
+export const outboundQueue = new OutboundQueue();
+
+export default OutboundQueue;
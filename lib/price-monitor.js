@@ -1,6 +1,6 @@
 import axios from 'axios';
 import { shopifyAgent } from './shopify-agent.js';
-import { execSync } from 'child_process';
+import { outboundQueue } from './outbound-queue.js';
 
 /**
  * Price Monitor - Handles background monitoring of token prices and triggers actions
@@ -138,13 +138,7 @@ class PriceMonitor {
 
     sendNotification(handle, message) {
         try {
-            const appleScript = `
-            tell application "Messages"
-                set serviceID to id of 1st service whose service type = iMessage
-                send "${message.replace(/"/g, '\\"')}" to buddy "${handle}" of service id serviceID
-            end tell
-            `;
-            execSync(`osascript -e '${appleScript}'`);
+            outboundQueue.enqueue({ handle, text: message });
         } catch (e) {
             console.warn('Failed to send notification:', e.message);
         }
@@ -0,0 +1,234 @@
+import { readFileSync, statSync, readdirSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import chalk from 'chalk';
+
+/**
+ * Prompt Manager - System prompts as template files, with personas and versions
+ * The default prompt is lib/system_prompt.md; personas are other .md files in
+ * the prompts folder (lib/prompts/<name>.md). Files are re-read when they
+ * change on disk, and every distinct text is stored as a numbered version in
+ * the conversation store backend, whether it came from an edit on disk, the
+ * API or a rollback. A persona can be assigned to a contact or group; the
+ * assignment lives in that conversation's context.
+ *
+ * Templates use {{variable}} placeholders, e.g. {{now}}, {{name}}, {{memory}}
+ * or {{tools}}; the chat handler supplies the values.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const PROMPT_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Used only when the default prompt file can't be read
+const FALLBACK_PROMPT = `You are Flip, a friendly crypto assistant. You help users with blockchain and cryptocurrency questions.
+Your text responses are sent to the user automatically; keep them short and text-message style.
+
+Available tools: {{tools}}
+
+Current time: {{now}}`;
+
+/**
+ * Fill {{variable}} placeholders; unknown ones are left in place
+ * @returns {{ text: string, used: Set<string> }} the variables the template uses
+ */
+export function renderTemplate(template, variables = {}) {
+    const used = new Set();
+    const text = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+        used.add(name);
+        return name in variables ? String(variables[name] ?? '') : placeholder;
+    });
+    return { text, used };
+}
+
+function hashText(text) {
+    return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+class PromptManager {
+    constructor(options = {}) {
+        this.conversationStore = options.conversationStore || null;
+        this.defaultPath = options.defaultPath || process.env.AI_SYSTEM_PROMPT_PATH || join(__dirname, 'system_prompt.md');
+        this.directory = options.directory || process.env.AI_PROMPTS_DIR || join(__dirname, 'prompts');
+        this.cache = new Map(); // name -> { text, mtimeMs, hash }
+    }
+
+    /**
+     * File a prompt is kept in
+     */
+    pathFor(name) {
+        if (!PROMPT_NAME.test(name)) {
+            throw new Error(`Invalid prompt name "${name}" (letters, digits, - and _ only)`);
+        }
+        return name === 'default' ? this.defaultPath : join(this.directory, `${name}.md`);
+    }
+
+    /**
+     * Names of all prompts: default plus every persona file
+     */
+    list() {
+        let personas = [];
+        try {
+            personas = readdirSync(this.directory)
+                .filter((file) => file.endsWith('.md'))
+                .map((file) => file.slice(0, -3))
+                .filter((name) => PROMPT_NAME.test(name) && name !== 'default');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return ['default', ...personas.sort()];
+    }
+
+    exists(name) {
+        return this.list().includes(name);
+    }
+
+    /**
+     * The current template text of a prompt, re-read if the file changed
+     */
+    get(name = 'default') {
+        const path = this.pathFor(name);
+        const cached = this.cache.get(name);
+
+        let mtimeMs;
+        try {
+            mtimeMs = statSync(path).mtimeMs;
+        } catch (error) {
+            if (name !== 'default') throw new Error(`Unknown prompt "${name}"`);
+            if (!cached?.fallback) {
+                console.error(chalk.red(`❌ Can't read the system prompt at ${path}, using a minimal fallback:`), error.message);
+                this.cache.set(name, { text: FALLBACK_PROMPT, fallback: true });
+            }
+            return FALLBACK_PROMPT;
+        }
+
+        if (cached && cached.mtimeMs === mtimeMs) return cached.text;
+
+        const text = readFileSync(path, 'utf-8');
+        const hash = hashText(text);
+        if (cached && !cached.fallback && cached.hash !== hash) {
+            console.log(chalk.blue(`🔄 Reloaded prompt "${name}" from ${path}`));
+        }
+        this.cache.set(name, { text, mtimeMs, hash });
+
+        this.recordVersion(name, text, { source: 'file' }).catch((error) =>
+            console.warn(chalk.yellow(`⚠️ Could not record a version of prompt "${name}":`), error.message)
+        );
+        return text;
+    }
+
+    /**
+     * Render a prompt with the given variables
+     * @returns {{ name: string, text: string, used: Set<string> }}
+     */
+    render(name, variables = {}) {
+        return { name, ...renderTemplate(this.get(name), variables) };
+    }
+
+    /**
+     * Replace a prompt's text on disk and store it as a new version
+     * @returns {Promise<object>} the version
+     */
+    async save(name, text, { source = 'api', note = null } = {}) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('A prompt needs some text');
+        }
+
+        const path = this.pathFor(name);
+        mkdirSync(dirname(path), { recursive: true });
+
+        // Write to a temp file and rename, so a reader never sees half a prompt
+        const tempPath = `${path}.${process.pid}.tmp`;
+        writeFileSync(tempPath, text);
+        renameSync(tempPath, path);
+        this.cache.set(name, { text, mtimeMs: statSync(path).mtimeMs, hash: hashText(text) });
+
+        const version = await this.recordVersion(name, text, { source, note, force: source === 'rollback' });
+        console.log(chalk.blue(`📝 Saved prompt "${name}"${version ? ` as version ${version.version}` : ''}`));
+        return version;
+    }
+
+    /**
+     * Stored versions of a prompt, oldest first
+     */
+    async versions(name) {
+        this.pathFor(name);
+        const store = this.requireStore();
+        await store.ready;
+        return store.getPromptVersions(name);
+    }
+
+    /**
+     * Make an earlier version current again (stored as a new version)
+     */
+    async rollback(name, versionNumber) {
+        const target = (await this.versions(name)).find((version) => version.version === Number(versionNumber));
+        if (!target) {
+            throw new Error(`Prompt "${name}" has no version ${versionNumber}`);
+        }
+        return this.save(name, target.text, { source: 'rollback', note: `Rollback to version ${target.version}` });
+    }
+
+    /**
+     * Store `text` as the next version unless it matches the latest one
+     * (force stores a rollback even then, so it shows up in the history)
+     */
+    async recordVersion(name, text, { source, note = null, force = false }) {
+        const store = this.requireStore();
+        await store.ready;
+
+        const hash = hashText(text);
+        const versions = await store.getPromptVersions(name);
+        const latest = versions[versions.length - 1];
+        if (latest && latest.hash === hash && !force) return latest;
+
+        const version = {
+            name,
+            version: (latest?.version || 0) + 1,
+            text,
+            hash,
+            source,
+            note,
+            createdAt: new Date().toISOString(),
+        };
+        return (await store.addPromptVersion(version)) ? version : null;
+    }
+
+    /**
+     * The prompt assigned to a contact or group ('default' when none)
+     */
+    async getAssignment(key) {
+        const conversation = await this.requireStore().getConversation(key);
+        return conversation.context?.prompt?.name || 'default';
+    }
+
+    /**
+     * Assign a persona to a contact or group; null or 'default' clears it
+     */
+    async assign(key, name) {
+        if (name && !this.exists(name)) {
+            throw new Error(`Unknown prompt "${name}" (available: ${this.list().join(', ')})`);
+        }
+
+        await this.requireStore().updateContext(key, {
+            prompt: name && name !== 'default' ? { name, updatedAt: new Date().toISOString() } : null,
+        });
+        console.log(chalk.blue(`🎭 ${key} now uses prompt "${name || 'default'}"`));
+        return { key, prompt: name || 'default' };
+    }
+
+    requireStore() {
+        if (!this.conversationStore) {
+            throw new Error('Prompt manager has no conversation store');
+        }
+        return this.conversationStore;
+    }
+}
+
+// Factory function for easy initialization
+export function createPromptManager(options = {}) {
+    return new PromptManager(options);
+}
+
+export default PromptManager;
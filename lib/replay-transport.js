@@ -0,0 +1,108 @@
+import { MockTransport } from './mock-transport.js';
+import { openDB, getDBPath } from './messages-db.js';
+import { buildMessageQuery, rowToEvent } from './message-rows.js';
+import { getCapabilities, toDBTime, describeCapabilities } from './chat-db-capabilities.js';
+import { searchMessageDB } from './message-search.js';
+import { listChatsDB } from './chat-list.js';
+import chalk from 'chalk';
+
+/**
+ * Replay Transport - Plays back a recorded chat.db through listen()
+ * Reads a copied or synthetic database and emits its rows as 'message'
+ * events at real or accelerated speed. Outbound sends are recorded in memory
+ * like the mock transport, so the full pipeline can run on Linux.
+ */
+class ReplayTransport extends MockTransport {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'replay';
+        this.dbPath = options.dbPath || process.env.REPLAY_DB_PATH || getDBPath();
+        // 1 = real time, 10 = ten times faster, 0 = no delay at all
+        this.speed = Number(options.speed ?? process.env.REPLAY_SPEED ?? 1);
+        // Long silences in a recording are capped so a replay never stalls for hours
+        this.maxGapMs = Number(options.maxGapMs ?? process.env.REPLAY_MAX_GAP_MS ?? 5000);
+        this.since = options.since || (process.env.REPLAY_SINCE ? new Date(process.env.REPLAY_SINCE) : null);
+        this.includeFromMe = options.includeFromMe !== false;
+        this.isReplaying = false;
+    }
+
+    /**
+     * Start the replay (once) and return the emitter
+     * Emits 'message' (or 'reaction') per row, then 'end' with the number replayed
+     */
+    listen(options = {}) {
+        if (!this.isReplaying) {
+            this.isReplaying = true;
+            // Defer so callers can attach handlers before the first message
+            setImmediate(() => {
+                this.replay().catch((error) => this.emitter.emit('error', error));
+            });
+        }
+        return this.emitter;
+    }
+
+    // Search the recorded database rather than the in-memory log
+    async searchMessages(options = {}) {
+        return searchMessageDB(await openDB(this.dbPath), options);
+    }
+
+    async getChats(options = {}) {
+        return listChatsDB(await openDB(this.dbPath), options);
+    }
+
+    async replay() {
+        const db = await openDB(this.dbPath);
+        const capabilities = await getCapabilities(db);
+
+        const conditions = [];
+        const params = [];
+        if (this.since) {
+            conditions.push('m.date >= ?');
+            params.push(toDBTime(this.since, capabilities));
+        }
+        if (!this.includeFromMe) {
+            conditions.push('m.is_from_me = 0');
+        }
+
+        const rows = await db.all(
+            buildMessageQuery({
+                where: conditions.length > 0 ? conditions.join(' AND ') : undefined,
+                orderBy: 'm.date ASC, m.ROWID ASC',
+                capabilities,
+            }),
+            ...params
+        );
+
+        console.log(chalk.blue(`⏯️ Replaying ${this.dbPath} at ${this.speed || 'max'}x (${describeCapabilities(capabilities)})`));
+
+        let emitted = 0;
+        let lastRowId = null;
+        let previousDate = null;
+
+        for (const row of rows) {
+            // Messages with several attachments come back once per attachment
+            if (row.rowId === lastRowId) continue;
+            lastRowId = row.rowId;
+
+            const { type, payload } = rowToEvent(row);
+
+            if (this.speed > 0 && previousDate && payload.date) {
+                const gap = (payload.date - previousDate) / this.speed;
+                await sleep(Math.min(Math.max(gap, 0), this.maxGapMs));
+            }
+            previousDate = payload.date || previousDate;
+
+            this.emitter.emit(type, payload);
+            emitted++;
+        }
+
+        console.log(chalk.blue(`⏹️ Replay finished (${emitted} messages)`));
+        this.emitter.emit('end', { count: emitted });
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export { ReplayTransport };
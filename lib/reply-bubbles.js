@@ -0,0 +1,81 @@
+/**
+ * Reply Bubbles - Cuts a streamed reply into separate texts as it arrives
+ * Replies are written one text per line (see system_prompt.md), so a line
+ * break (or a blank line between paragraphs) ends a bubble. Within a line,
+ * every finished sentence that brings the bubble past minChars ends it too,
+ * so a chatty reply goes out sentence by sentence while very short ones
+ * ("Sure! On it.") stay together. A line that passes maxChars without any
+ * sentence end is cut at a space.
+ */
+
+// Sentence end: punctuation, optional closing quotes/brackets, then whitespace
+// (so "2.5" or "flip.xyz" don't count)
+const SENTENCE_END = /[.!?…]["')\]]*\s+/g;
+
+// Words whose trailing dot doesn't end a sentence
+const ABBREVIATION = /(?:^|\s)(?:e\.g|i\.e|etc|vs|approx|mr|mrs|ms|dr|st|no)\.["')\]]*\s+$/i;
+
+class BubbleSplitter {
+    constructor(options = {}) {
+        this.minChars = options.minChars ?? 40;
+        this.maxChars = options.maxChars || 320;
+        this.buffer = '';
+    }
+
+    /**
+     * Add streamed text
+     * @returns {string[]} bubbles completed by it, in order
+     */
+    push(delta) {
+        this.buffer += delta;
+        const bubbles = [];
+
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            bubbles.push(this.buffer.slice(0, newline));
+            this.buffer = this.buffer.slice(newline + 1);
+        }
+
+        let cut;
+        while ((cut = this.sentenceCut()) > 0) {
+            bubbles.push(this.buffer.slice(0, cut));
+            this.buffer = this.buffer.slice(cut);
+        }
+
+        if (this.buffer.length > this.maxChars) {
+            const space = this.buffer.lastIndexOf(' ', this.maxChars);
+            if (space > 0) {
+                bubbles.push(this.buffer.slice(0, space));
+                this.buffer = this.buffer.slice(space + 1);
+            }
+        }
+
+        return bubbles.map((bubble) => bubble.trim()).filter(Boolean);
+    }
+
+    // End of the first finished sentence at or past minChars, or 0
+    sentenceCut() {
+        for (const match of this.buffer.matchAll(SENTENCE_END)) {
+            const cut = match.index + match[0].length;
+            if (cut < this.minChars || ABBREVIATION.test(this.buffer.slice(0, cut))) continue;
+            return cut;
+        }
+        return 0;
+    }
+
+    /**
+     * Whatever is left once the text (or a generation step) is finished
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest ? [rest] : [];
+    }
+}
+
+// Factory function for easy initialization
+export function createBubbleSplitter(options = {}) {
+    return new BubbleSplitter(options);
+}
+
+export default BubbleSplitter;
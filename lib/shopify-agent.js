@@ -1,6 +1,6 @@
 import { privateKeyToAccount } from 'viem/accounts';
 import { wrapFetchWithPayment } from 'x402-fetch';
-import { execSync } from 'child_process';
+import { outboundQueue } from './outbound-queue.js';
 import axios from 'axios';
 
 /**
@@ -145,13 +145,7 @@ export class ShopifyAgent {
 
     sendUpdate(handle, message) {
         try {
-            const appleScript = `
-            tell application "Messages"
-                set serviceID to id of 1st service whose service type = iMessage
-                send "${message.replace(/"/g, '\\"')}" to buddy "${handle}" of service id serviceID
-            end tell
-            `;
-            execSync(`osascript -e '${appleScript}'`);
+            outboundQueue.enqueue({ handle, text: message });
         } catch (e) {
             console.warn('Failed to send iMessage update:', e.message);
         }
@@ -0,0 +1,96 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { tool } from 'ai';
+
+/**
+ * Tool Context - Who the AI is acting for while it runs one generation
+ * The context (handle, group chat, sender profile, permissions, dry-run flag)
+ * lives in AsyncLocalStorage for the duration of the generateText call, so
+ * tools executed for two conversations at once each see only their own.
+ * Contexts are frozen; a tool can never redirect a later call.
+ */
+
+// What tools may do on someone's behalf
+export const TOOL_PERMISSIONS = [
+    'message', // reply in the current conversation
+    'contact_others', // text other people, create group chats
+    'schedule', // schedule messages for later
+    'pay', // spend from the wallet (x402 services, purchases, rides)
+    'read_history', // search message history beyond the current conversation
+];
+
+// Anyone in a group can address the agent, so groups can't spend or reach out
+const DEFAULT_GROUP_PERMISSIONS = ['message', 'schedule'];
+
+const storage = new AsyncLocalStorage();
+
+function permissionsFromEnv(value, fallback) {
+    if (!value) return fallback;
+    return value
+        .split(',')
+        .map((permission) => permission.trim())
+        .filter((permission) => TOOL_PERMISSIONS.includes(permission));
+}
+
+/**
+ * Build a frozen tool context
+ * @param {object} options - { handle, chatId, profile ({ name, chatName, ... }),
+ *   permissions (defaults from AI_TOOL_PERMISSIONS / AI_GROUP_TOOL_PERMISSIONS),
+ *   dryRun (defaults to AI_DRY_RUN) }
+ */
+export function createToolContext({ handle = null, chatId = null, profile = {}, permissions = null, dryRun = null } = {}) {
+    const granted =
+        permissions ||
+        (chatId
+            ? permissionsFromEnv(process.env.AI_GROUP_TOOL_PERMISSIONS, DEFAULT_GROUP_PERMISSIONS)
+            : permissionsFromEnv(process.env.AI_TOOL_PERMISSIONS, TOOL_PERMISSIONS));
+
+    return Object.freeze({
+        handle,
+        chatId,
+        // Where replies go: the group when there is one, else the handle
+        target: chatId || handle,
+        profile: Object.freeze({ ...profile }),
+        permissions: Object.freeze([...granted]),
+        dryRun: dryRun ?? process.env.AI_DRY_RUN === 'true',
+    });
+}
+
+/**
+ * Run `fn` with `context` as the tool context of everything it awaits
+ */
+export function runWithToolContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * The tool context of the current generation, or null outside of one
+ */
+export function getToolContext() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Define a tool whose execute gets the tool context of the generation that
+ * called it as its second argument: execute(args, context, options)
+ */
+export function contextTool({ execute, ...definition }) {
+    return tool({
+        ...definition,
+        execute: (args, options) => {
+            const context = getToolContext();
+            if (!context) {
+                return { success: false, error: 'Tools can only run inside a conversation', action: 'no_tool_context' };
+            }
+            return execute(args, context, options);
+        },
+    });
+}
+
+/**
+ * Throw unless the context grants `permission`
+ */
+export function requirePermission(context, permission) {
+    if (!context.permissions.includes(permission)) {
+        throw new Error(`Not allowed in this conversation (needs "${permission}" permission)`);
+    }
+}
@@ -0,0 +1,76 @@
+import { AppleScriptTransport } from './applescript-transport.js';
+import { MockTransport } from './mock-transport.js';
+import { ReplayTransport } from './replay-transport.js';
+
+/**
+ * Messaging Transport - Single entry point for talking to a messaging backend
+ *
+ * Every transport implements:
+ *   send(handle, message, options)  - send a text ({ service, newContact })
+ *   sendFile(handle, filepath)      - send a file
+ *   sendToChat(chatId, message)     - send a text to a group chat
+ *   sendFileToChat(chatId, path)    - send a file to a group chat
+ *   listen(options)                 - EventEmitter emitting 'message', 'reaction',
+ *                                     'edit', 'unsend' and 'error'
+ *   handleForName(name)             - resolve a display name to a handle
+ *   nameForHandle(handle)           - resolve a handle to a display name
+ *   nameForChat(chatId)             - resolve a chat to its display name
+ *   getChatParticipants(chatId)     - handles of everyone in a chat
+ *   getChats(options)               - one row per chat, most recently active first
+ *   searchMessages(options)         - paginated message search, newest first
+ *   findSentMessage(query)          - (optional) delivery status of a sent text
+ *
+ * MESSAGE_TRANSPORT selects the adapter ('applescript', 'mock' or 'replay'); it
+ * defaults to AppleScript on macOS and to the mock everywhere else.
+ *
+ * Group chats are addressed by chat GUID ("iMessage;+;chat1234…") or by room
+ * name ("chat1234…", the message's `group` field).
+ */
+const transports = {
+    applescript: (options) => new AppleScriptTransport(options),
+    mock: (options) => new MockTransport(options),
+    replay: (options) => new ReplayTransport(options),
+};
+
+let currentTransport = null;
+
+export function createTransport(options = {}) {
+    const type =
+        options.type ||
+        process.env.MESSAGE_TRANSPORT ||
+        (process.platform === 'darwin' ? 'applescript' : 'mock');
+
+    const factory = transports[type];
+    if (!factory) {
+        throw new Error(
+            `Unknown message transport '${type}'. Options: ${Object.keys(transports).join(', ')}`
+        );
+    }
+
+    return factory(options);
+}
+
+/**
+ * Get the process-wide transport, creating it on first use
+ */
+export function getTransport() {
+    if (!currentTransport) {
+        currentTransport = createTransport();
+    }
+    return currentTransport;
+}
+
+/**
+ * Replace the process-wide transport (e.g. with a MockTransport in tests)
+ */
+export function setTransport(transport) {
+    currentTransport = transport;
+    return currentTransport;
+}
+
+/**
+ * Whether a target is a group chat (chat GUID or room name) rather than a handle
+ */
+export function isChatId(target) {
+    return typeof target == 'string' && (/^[^;]+;\+;.+$/.test(target) || /^chat\d+$/.test(target));
+}
@@ -0,0 +1,220 @@
+import { generateObject } from 'ai';
+import { z } from 'zod';
+import chalk from 'chalk';
+import { modelRegistry } from './model-registry.js';
+import { createWorkScheduler } from './work-scheduler.js';
+import { normalizeHandle } from './contacts.js';
+
+/**
+ * User Memory - Long-term facts about the people the agent talks to
+ * Facts (name, wallet address, sizes, shipping city, watchlist, ...) are kept
+ * per handle in the conversation store backend, each with where it came from
+ * and when, so they outlive any one conversation. A cheap model extracts them
+ * after every turn; the AI can also manage them with the rememberFact,
+ * forgetFact and listMemories tools, and operators over HTTP. The chat
+ * handler shows them to the model in every system prompt.
+ */
+
+// Facts worth looking out for; any other label is stored as-is
+export const FACT_KINDS = {
+    name: { label: 'Name' },
+    wallet_address: { label: 'Wallet address' },
+    shoe_size: { label: 'Shoe size' },
+    clothing_size: { label: 'Clothing size' },
+    shipping_city: { label: 'Shipping city' },
+    watchlist: { label: 'Watchlist', list: true }, // tokens or products they follow
+};
+
+/**
+ * Storage key for a label: "Shoe size" -> "shoe_size"
+ */
+export function factKey(label) {
+    return String(label)
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+class UserMemory {
+    constructor(options = {}) {
+        this.conversationStore = options.conversationStore || null;
+        this.models = options.modelRegistry || modelRegistry;
+        this.extraction = options.extraction ?? null; // defaults to AI_MEMORY_EXTRACTION
+        // List facts are read, changed and written back; one change per handle at a time
+        this.writes = createWorkScheduler({ name: 'memory-writes', maxConcurrency: Infinity });
+    }
+
+    /**
+     * Keep facts in this store, unless one was already given
+     */
+    useStore(conversationStore) {
+        this.conversationStore = this.conversationStore || conversationStore;
+        return this;
+    }
+
+    /**
+     * Everything remembered about a handle
+     */
+    async list(handle) {
+        const store = this.requireStore();
+        await store.ready;
+        return store.getMemories(this.normalize(handle));
+    }
+
+    /**
+     * Remember a fact, replacing the previous value (list facts such as the
+     * watchlist gain the value instead)
+     * @param {object} source - { type: 'conversation'|'tool'|'api', conversation, guid }
+     * @returns {Promise<object>} the stored fact
+     */
+    async remember(handle, label, value, source = { type: 'api' }) {
+        const store = this.requireStore();
+        await store.ready;
+
+        const normalized = this.normalize(handle);
+        const key = factKey(label);
+        const text = String(value ?? '').trim();
+        if (!key) throw new Error('A fact needs a label');
+        if (!text) throw new Error('A fact needs a value');
+
+        return this.writes.run(normalized, async () => {
+            const existing = (await store.getMemories(normalized)).find((fact) => fact.key === key);
+            const kind = FACT_KINDS[key];
+            const now = new Date().toISOString();
+
+            let nextValue = text;
+            if (kind?.list) {
+                const items = Array.isArray(existing?.value) ? existing.value : [];
+                nextValue = items.some((item) => item.toLowerCase() === text.toLowerCase()) ? items : [...items, text];
+            }
+
+            const fact = {
+                handle: normalized,
+                key,
+                label: kind?.label || existing?.label || String(label).trim(),
+                value: nextValue,
+                source: { ...source, at: now },
+                createdAt: existing?.createdAt || now,
+                updatedAt: now,
+            };
+
+            await store.saveMemory(fact);
+            console.log(chalk.blue(`🧠 Remembered ${fact.label} for ${normalized}`));
+            return fact;
+        });
+    }
+
+    /**
+     * Forget a fact, or only one item of a list fact
+     * @returns {Promise<boolean>} whether anything was forgotten
+     */
+    async forget(handle, label, value = null) {
+        const store = this.requireStore();
+        await store.ready;
+
+        const normalized = this.normalize(handle);
+        const key = factKey(label);
+
+        return this.writes.run(normalized, async () => {
+            const existing = (await store.getMemories(normalized)).find((fact) => fact.key === key);
+            if (!existing) return false;
+
+            if (value && Array.isArray(existing.value)) {
+                const items = existing.value.filter((item) => item.toLowerCase() !== String(value).trim().toLowerCase());
+                if (items.length === existing.value.length) return false;
+                if (items.length > 0) {
+                    await store.saveMemory({ ...existing, value: items, updatedAt: new Date().toISOString() });
+                    return true;
+                }
+            }
+
+            await store.deleteMemory(normalized, key);
+            console.log(chalk.yellow(`🧠 Forgot ${existing.label} for ${normalized}`));
+            return true;
+        });
+    }
+
+    /**
+     * Pull facts a person stated about themselves out of one turn
+     * @param {object} turn - { messages: their new texts, reply: what the
+     *   agent answered, name, conversation, guid }
+     * @returns {Promise<object[]>} the facts that were stored
+     */
+    async extract(handle, { messages, reply = '', name = handle, conversation = null, guid = null }) {
+        const said = messages.filter(Boolean).join('\n').trim();
+        const enabled = this.extraction ?? process.env.AI_MEMORY_EXTRACTION !== 'false';
+        if (!enabled || !said) return [];
+
+        try {
+            const known = await this.list(handle);
+            const { object } = await generateObject({
+                model: this.models.getModel('memory'),
+                schema: z.object({
+                    remember: z
+                        .array(z.object({ label: z.string(), value: z.string() }))
+                        .describe('New or changed facts; empty if none'),
+                    forget: z
+                        .array(z.object({ label: z.string(), value: z.string().optional() }))
+                        .describe('Facts they said are no longer true; value only to drop one watchlist item'),
+                }),
+                prompt: `Extract long-term facts ${name} states about themselves in the messages below, so an assistant can remember them in future conversations. Look out for: ${Object.entries(FACT_KINDS)
+                    .map(([key, kind]) => `${key}${kind.list ? ' (one entry per item)' : ''}`)
+                    .join(', ')}, and other lasting preferences. Ignore one-off requests, guesses and facts about other people. Use the keys above as labels where they fit.
+
+Already remembered:
+${known.map((fact) => `- ${fact.key}: ${Array.isArray(fact.value) ? fact.value.join(', ') : fact.value}`).join('\n') || '(nothing)'}
+
+${name} wrote:
+${said}
+
+The assistant replied:
+${reply || '(no reply)'}`,
+                maxTokens: 300,
+            });
+
+            const source = { type: 'conversation', conversation, guid };
+            const stored = [];
+            for (const { label, value } of object.remember) {
+                stored.push(await this.remember(handle, label, value, source));
+            }
+            for (const { label, value } of object.forget) {
+                await this.forget(handle, label, value || null);
+            }
+            return stored;
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not extract memories for ${handle}:`), error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Memories as prompt lines ("- Shoe size: 10")
+     */
+    format(memories) {
+        return memories
+            .map((fact) => `- ${fact.label}: ${Array.isArray(fact.value) ? fact.value.join(', ') : fact.value}`)
+            .join('\n');
+    }
+
+    normalize(handle) {
+        return normalizeHandle(handle) || String(handle).trim();
+    }
+
+    requireStore() {
+        if (!this.conversationStore) {
+            throw new Error('User memory has no conversation store');
+        }
+        return this.conversationStore;
+    }
+}
+
+// Shared by the chat handler, the LLM tools and the HTTP routes in the same process
+export const userMemory = new UserMemory();
+
+// Factory function for easy initialization
+export function createUserMemory(options = {}) {
+    return new UserMemory(options);
+}
+
+export default UserMemory;
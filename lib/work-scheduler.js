@@ -0,0 +1,95 @@
+/**
+ * Work Scheduler - Runs async tasks one at a time per key, at most
+ * `maxConcurrency` at once overall
+ * Tasks for the same key (a conversation) start strictly in the order they
+ * were submitted; tasks for different keys run side by side up to the cap.
+ * A null key only counts against the cap.
+ */
+class WorkScheduler {
+    constructor(options = {}) {
+        this.name = options.name || 'work';
+        this.maxConcurrency = options.maxConcurrency ?? 4;
+        this.pending = []; // { key, task, enqueuedAt, resolve, reject } in submit order
+        this.activeKeys = new Set();
+        this.running = 0;
+
+        // Recent waits (ms between submit and start) for stats
+        this.waits = [];
+        this.maxSamples = options.maxSamples || 100;
+        this.completed = 0;
+    }
+
+    /**
+     * Run `task` once every earlier task for `key` has finished and a slot is free
+     * @returns {Promise<*>} whatever the task resolves to
+     */
+    run(key, task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ key, task, enqueuedAt: Date.now(), resolve, reject });
+            this.pump();
+        });
+    }
+
+    pump() {
+        for (let i = 0; i < this.pending.length && this.running < this.maxConcurrency; i++) {
+            const job = this.pending[i];
+            if (job.key !== null && this.activeKeys.has(job.key)) continue;
+
+            this.pending.splice(i--, 1);
+            this.start(job);
+        }
+    }
+
+    async start(job) {
+        this.running++;
+        if (job.key !== null) this.activeKeys.add(job.key);
+        this.recordWait(Date.now() - job.enqueuedAt);
+
+        try {
+            job.resolve(await job.task());
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            this.running--;
+            this.completed++;
+            if (job.key !== null) this.activeKeys.delete(job.key);
+            this.pump();
+        }
+    }
+
+    recordWait(ms) {
+        this.waits.push(ms);
+        if (this.waits.length > this.maxSamples) this.waits.shift();
+    }
+
+    /**
+     * Queue depth and recent wait times
+     * @param {string|null} key - also report how many tasks that key has waiting
+     */
+    stats(key = null) {
+        const now = Date.now();
+        const oldest = this.pending[0];
+        const averageWaitMs = this.waits.length
+            ? Math.round(this.waits.reduce((sum, ms) => sum + ms, 0) / this.waits.length)
+            : 0;
+
+        return {
+            name: this.name,
+            running: this.running,
+            queued: this.pending.length,
+            maxConcurrency: this.maxConcurrency,
+            completed: this.completed,
+            averageWaitMs,
+            maxWaitMs: this.waits.length ? Math.max(...this.waits) : 0,
+            oldestQueuedMs: oldest ? now - oldest.enqueuedAt : 0,
+            ...(key !== null ? { queuedForKey: this.pending.filter((job) => job.key === key).length } : {}),
+        };
+    }
+}
+
+// Factory function for easy initialization
+export function createWorkScheduler(options = {}) {
+    return new WorkScheduler(options);
+}
+
+export default WorkScheduler;
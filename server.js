@@ -1,9 +1,16 @@
 import express from 'express';
 import cors from 'cors';
 import * as imessage from './index.js';
+import { outboundQueue } from './lib/outbound-queue.js';
+import { deliveryTracker } from './lib/delivery-tracker.js';
 import { createGroupChat } from './createGroupChat.js';
-import { execSync } from 'child_process';
 import { createAIChatHandler } from './lib/ai-chat-handler.js';
+import { createGroupPolicy, GROUP_MODES } from './lib/group-policy.js';
+import { createChatInbox } from './lib/chat-inbox.js';
+import { createConversationStore } from './lib/conversation-store.js';
+import { messageScheduler } from './lib/message-scheduler.js';
+import { modelRegistry } from './lib/model-registry.js';
+import { userMemory } from './lib/user-memory.js';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 
@@ -22,6 +29,32 @@ try {
     console.warn('⚠️  AI endpoints will not be available');
 }
 
+// Group chat policies live in the AI conversation store, shared with the listener
+const groupPolicy = aiHandler
+    ? createGroupPolicy({ conversationStore: aiHandler.conversationStore })
+    : null;
+
+// Chat list with participants and AI status, for the operator dashboard
+const chatInbox = createChatInbox({
+    conversationStore: aiHandler?.conversationStore,
+    groupPolicy
+});
+
+// Scheduled messages and user memories are stored alongside the AI conversations
+const conversationStore = aiHandler?.conversationStore || createConversationStore();
+messageScheduler.start(conversationStore);
+userMemory.useStore(conversationStore);
+
+// Clients can retry a send safely by repeating its Idempotency-Key
+function idempotencyKeyFor(req) {
+    return req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+}
+
+function queueStatus(job) {
+    const { id, handle, chatId, status, attempts, createdAt, sentAt, error } = job;
+    return { id, handle, chatId, status, attempts, createdAt, sentAt, error };
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -79,7 +112,7 @@ async function handleWebSocketProcessing(ws, context) {
     if (!aiHandler) {
         ws.send(JSON.stringify({
             type: 'error',
-            message: 'AI handler not available - check OPENAI_API_KEY'
+            message: 'AI handler not available - check AI_MODEL and its provider API key'
         }));
         return;
     }
@@ -142,8 +175,12 @@ app.get('/health', (req, res) => {
         message: 'iMessage API server is running',
         ai: {
             enabled: process.env.AI_ENABLED !== 'false',
-            model: process.env.AI_MODEL || 'gpt-4o-mini'
-        }
+            model: modelRegistry.describe('chat'),
+            triageModel: modelRegistry.describe('triage'),
+            // Replies waiting for a generation slot, and how long they waited
+            queue: aiHandler ? aiHandler.workScheduler.stats() : null
+        },
+        transport: imessage.getTransport().name
     });
 });
 
@@ -154,8 +191,8 @@ app.post('/ai/process-conversation', async (req, res) => {
     try {
         if (!aiHandler) {
             return res.status(503).json({
-                error: 'AI handler not available - check OPENAI_API_KEY',
-                details: 'AI features require a valid OpenAI API key'
+                error: 'AI handler not available - check AI_MODEL and its provider API key',
+                details: 'AI features require a model with credentials (OPENAI_API_KEY, ANTHROPIC_API_KEY or a local model)'
             });
         }
 
@@ -240,6 +277,94 @@ app.delete('/ai/conversation/:handle', async (req, res) => {
     }
 });
 
+// What is remembered about a handle (name, wallet, sizes, watchlist, ...)
+app.get('/ai/conversation/:handle/memory', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const memories = await userMemory.list(handle);
+
+        res.json({
+            success: true,
+            handle,
+            memories
+        });
+    } catch (error) {
+        console.error('Error getting memories:', error);
+        res.status(500).json({
+            error: 'Failed to get memories',
+            details: error.message
+        });
+    }
+});
+
+// Remember (or correct) a fact about a handle
+app.put('/ai/conversation/:handle/memory', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const { label, value } = req.body;
+
+        if (!label || value === undefined || value === null || value === '') {
+            return res.status(400).json({
+                error: 'label and value are required',
+                example: { label: 'shoe_size', value: 'US 10' }
+            });
+        }
+
+        console.log(`🧠 API: Remembering ${label} for ${handle}`);
+        const fact = await userMemory.remember(handle, label, value, { type: 'api' });
+
+        res.json({
+            success: true,
+            fact
+        });
+    } catch (error) {
+        console.error('Error saving memory:', error);
+        res.status(500).json({
+            error: 'Failed to save memory',
+            details: error.message
+        });
+    }
+});
+
+// Forget a fact about a handle (?label=, plus &value= to drop one watchlist item)
+app.delete('/ai/conversation/:handle/memory', async (req, res) => {
+    try {
+        const { handle } = req.params;
+        const { label, value } = req.query;
+
+        if (!label) {
+            return res.status(400).json({
+                error: 'label is required',
+                example: '/ai/conversation/+1234567890/memory?label=shoe_size'
+            });
+        }
+
+        console.log(`🧠 API: Forgetting ${label} for ${handle}`);
+        const forgotten = await userMemory.forget(handle, label, value || null);
+
+        if (!forgotten) {
+            return res.status(404).json({
+                error: 'Nothing remembered under that label',
+                handle,
+                label
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Forgot ${label} for ${handle}`,
+            handle,
+            label
+        });
+    } catch (error) {
+        console.error('Error forgetting memory:', error);
+        res.status(500).json({
+            error: 'Failed to forget memory',
+            details: error.message
+        });
+    }
+});
+
 // Get recent conversations
 app.get('/ai/conversations', async (req, res) => {
     try {
@@ -264,34 +389,117 @@ app.get('/ai/conversations', async (req, res) => {
     }
 });
 
+// Get how the agent behaves in a group chat
+app.get('/ai/groups/:chatId/policy', async (req, res) => {
+    try {
+        if (!groupPolicy) {
+            return res.status(503).json({
+                error: 'AI handler not available - check AI_MODEL and its provider API key',
+                details: 'Group policies are stored with AI conversations'
+            });
+        }
+
+        const { chatId } = req.params;
+        const mode = await groupPolicy.getMode(chatId);
+
+        res.json({
+            success: true,
+            chatId,
+            mode,
+            modes: GROUP_MODES
+        });
+
+    } catch (error) {
+        console.error('Error getting group policy:', error);
+        res.status(500).json({
+            error: 'Failed to get group policy',
+            details: error.message
+        });
+    }
+});
+
+// Set a group chat to always-respond, mention-only or muted
+app.put('/ai/groups/:chatId/policy', async (req, res) => {
+    try {
+        if (!groupPolicy) {
+            return res.status(503).json({
+                error: 'AI handler not available - check AI_MODEL and its provider API key',
+                details: 'Group policies are stored with AI conversations'
+            });
+        }
+
+        const { chatId } = req.params;
+        const { mode } = req.body;
+
+        if (!imessage.isChatId(chatId) || !GROUP_MODES.includes(mode)) {
+            return res.status(400).json({
+                error: 'A group chatId (chat GUID or room name) and a valid mode are required',
+                modes: GROUP_MODES,
+                example: {
+                    url: 'PUT /ai/groups/iMessage;+;chat123456789/policy',
+                    body: { mode: 'mention' }
+                }
+            });
+        }
+
+        console.log(`👥 API: Setting group ${chatId} to '${mode}'`);
+
+        const result = await groupPolicy.setMode(chatId, mode);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Error setting group policy:', error);
+        res.status(500).json({
+            error: 'Failed to set group policy',
+            details: error.message
+        });
+    }
+});
+
 // Manually send message through AI (for testing)
 app.post('/ai/send-message', async (req, res) => {
     try {
-        const { handle, message: messageText } = req.body;
+        const { handle, message: messageText, chatId, dryRun = false } = req.body;
         
         if (!handle || !messageText) {
             return res.status(400).json({
                 error: 'Both handle and message are required',
                 example: {
                     handle: '+1234567890',
-                    message: 'Hello from AI!'
+                    message: 'Hello from AI!',
+                    chatId: 'iMessage;+;chat123456789 (optional, answers in the group chat)',
+                    dryRun: 'true to see the reply and tool calls without sending or paying (optional)'
                 }
             });
         }
 
+        if (chatId && !imessage.isChatId(chatId)) {
+            return res.status(400).json({
+                error: 'chatId must be a chat GUID or room name'
+            });
+        }
+
         console.log(`🤖 API: AI sending message to ${handle}: "${messageText}"`);
         
         // Create a mock message object for AI processing
         const mockMessage = {
             handle,
             text: messageText,
-            group: null,
+            group: chatId || null,
+            chatGuid: chatId && chatId.includes(';') ? chatId : null,
             fromMe: false,
             date: new Date(),
             guid: `api-${Date.now()}`
         };
 
-        const result = await aiHandler.handleIncomingMessage(mockMessage);
+        const result = await aiHandler.handleIncomingMessage(mockMessage, {
+            // Without the flag AI_DRY_RUN decides
+            dryRun: dryRun === true || dryRun === 'true' || null
+        });
         
         res.json({
             success: true,
@@ -299,6 +507,8 @@ app.post('/ai/send-message', async (req, res) => {
             handle,
             originalMessage: messageText,
             aiResponse: result.aiResponse,
+            dryRun: result.dryRun,
+            messageIds: result.messageIds || [],
             toolCalls: result.toolCalls || [],
             toolResults: result.toolResults || []
         });
@@ -315,25 +525,33 @@ app.post('/ai/send-message', async (req, res) => {
 // Update AI system prompt
 app.post('/ai/system-prompt', async (req, res) => {
     try {
+        if (!aiHandler) {
+            return res.status(503).json({
+                error: 'AI handler not available - check AI_MODEL and its provider API key',
+                details: 'Prompts are stored with AI conversations'
+            });
+        }
+
         const { prompt } = req.body;
         
         if (!prompt) {
             return res.status(400).json({
                 error: 'prompt is required',
                 example: {
-                    prompt: 'You are a helpful assistant that manages iMessage conversations...'
+                    prompt: 'You are a helpful assistant that manages iMessage conversations... Current time: {{now}}'
                 }
             });
         }
 
         console.log(`📝 API: Updating AI system prompt`);
         
-        aiHandler.updateSystemPrompt(prompt);
+        const version = await aiHandler.updateSystemPrompt(prompt);
         
         res.json({
             success: true,
             message: 'System prompt updated successfully',
-            prompt
+            prompt,
+            version: version?.version ?? null
         });
         
     } catch (error) {
@@ -345,6 +563,187 @@ app.post('/ai/system-prompt', async (req, res) => {
     }
 });
 
+function promptsUnavailable(res) {
+    return res.status(503).json({
+        error: 'AI handler not available - check AI_MODEL and its provider API key',
+        details: 'Prompts are stored with AI conversations'
+    });
+}
+
+// List prompts: the default one plus every persona in the prompts folder
+app.get('/ai/prompts', async (req, res) => {
+    try {
+        if (!aiHandler) return promptsUnavailable(res);
+
+        res.json({
+            success: true,
+            prompts: aiHandler.prompts.list()
+        });
+    } catch (error) {
+        console.error('Error listing prompts:', error);
+        res.status(500).json({
+            error: 'Failed to list prompts',
+            details: error.message
+        });
+    }
+});
+
+// A prompt's current template and its stored versions
+app.get('/ai/prompts/:name', async (req, res) => {
+    try {
+        if (!aiHandler) return promptsUnavailable(res);
+
+        const { name } = req.params;
+        if (!aiHandler.prompts.exists(name)) {
+            return res.status(404).json({
+                error: `Unknown prompt "${name}"`,
+                prompts: aiHandler.prompts.list()
+            });
+        }
+
+        const text = aiHandler.prompts.get(name);
+        const versions = await aiHandler.prompts.versions(name);
+
+        res.json({
+            success: true,
+            name,
+            text,
+            versions: versions.map(({ version, hash, source, note, createdAt }) => ({ version, hash, source, note, createdAt }))
+        });
+    } catch (error) {
+        console.error('Error getting prompt:', error);
+        res.status(500).json({
+            error: 'Failed to get prompt',
+            details: error.message
+        });
+    }
+});
+
+// Create or replace a prompt (a new name creates a persona)
+app.put('/ai/prompts/:name', async (req, res) => {
+    try {
+        if (!aiHandler) return promptsUnavailable(res);
+
+        const { name } = req.params;
+        const { text, note } = req.body;
+
+        if (!text || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+            return res.status(400).json({
+                error: 'A prompt name (letters, digits, - and _) and text are required',
+                example: {
+                    url: 'PUT /ai/prompts/concierge',
+                    body: { text: 'You are a concierge texting {{name}}. It is {{now}}.', note: 'First draft' }
+                }
+            });
+        }
+
+        console.log(`📝 API: Saving prompt "${name}"`);
+
+        const version = await aiHandler.prompts.save(name, text, { source: 'api', note: note || null });
+
+        res.json({
+            success: true,
+            name,
+            version: version?.version ?? null
+        });
+    } catch (error) {
+        console.error('Error saving prompt:', error);
+        res.status(500).json({
+            error: 'Failed to save prompt',
+            details: error.message
+        });
+    }
+});
+
+// Make an earlier version of a prompt current again
+app.post('/ai/prompts/:name/rollback', async (req, res) => {
+    try {
+        if (!aiHandler) return promptsUnavailable(res);
+
+        const { name } = req.params;
+        const { version } = req.body;
+
+        if (!Number.isInteger(Number(version)) || !aiHandler.prompts.exists(name)) {
+            return res.status(400).json({
+                error: 'An existing prompt and a version number are required',
+                example: { url: 'POST /ai/prompts/default/rollback', body: { version: 3 } }
+            });
+        }
+
+        console.log(`⏪ API: Rolling prompt "${name}" back to version ${version}`);
+
+        const restored = await aiHandler.prompts.rollback(name, version);
+
+        res.json({
+            success: true,
+            name,
+            restoredVersion: Number(version),
+            version: restored?.version ?? null
+        });
+    } catch (error) {
+        console.error('Error rolling back prompt:', error);
+        res.status(/has no version/.test(error.message) ? 404 : 500).json({
+            error: 'Failed to roll back prompt',
+            details: error.message
+        });
+    }
+});
+
+// Which prompt a contact or group chat uses
+app.get('/ai/conversation/:handle/prompt', async (req, res) => {
+    try {
+        if (!aiHandler) return promptsUnavailable(res);
+
+        const { handle } = req.params;
+        const prompt = await aiHandler.prompts.getAssignment(handle);
+
+        res.json({
+            success: true,
+            handle,
+            prompt,
+            prompts: aiHandler.prompts.list()
+        });
+    } catch (error) {
+        console.error('Error getting conversation prompt:', error);
+        res.status(500).json({
+            error: 'Failed to get conversation prompt',
+            details: error.message
+        });
+    }
+});
+
+// Assign a persona to a contact or group chat (null or "default" to reset)
+app.put('/ai/conversation/:handle/prompt', async (req, res) => {
+    try {
+        if (!aiHandler) return promptsUnavailable(res);
+
+        const { handle } = req.params;
+        const { prompt = null } = req.body;
+
+        if (prompt && !aiHandler.prompts.exists(prompt)) {
+            return res.status(400).json({
+                error: `Unknown prompt "${prompt}"`,
+                prompts: aiHandler.prompts.list()
+            });
+        }
+
+        console.log(`🎭 API: ${handle} uses prompt "${prompt || 'default'}"`);
+
+        const result = await aiHandler.prompts.assign(handle, prompt);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error assigning conversation prompt:', error);
+        res.status(500).json({
+            error: 'Failed to assign conversation prompt',
+            details: error.message
+        });
+    }
+});
+
 // External LLM API Endpoints (recommended for external services)
 
 // SMART SEND - Auto-detects new vs existing contact and handles appropriately
@@ -367,40 +766,30 @@ app.post('/api/smart-send', async (req, res) => {
         console.log(`🚀 API: Smart sending message to ${phoneNumber}: "${message}"`);
         
         let method;
-        let success = false;
         
         if (forceNewContact) {
             // Force new contact method
             console.log('📞 Using new contact method (forced)');
-            const appleScript = `
-            tell application "Messages"
-                set serviceID to id of 1st service whose service type = iMessage
-                send "" to buddy "${phoneNumber}" of service id serviceID
-                send "${message.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-            end tell
-            `;
-            
-            execSync(`osascript -e '${appleScript}'`);
             method = 'new-contact-forced';
-            success = true;
         } else {
             // Always use AppleScript with explicit iMessage service for consistent blue messages
-            console.log('📱 Using AppleScript method with explicit iMessage service...');
-            const appleScript = `
-            tell application "Messages"
-                set serviceID to id of 1st service whose service type = iMessage
-                send "${message.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-            end tell
-            `;
-            
-            execSync(`osascript -e '${appleScript}'`);
+            console.log('📱 Using explicit iMessage service...');
             method = 'existing-contact-applescript';
-            success = true;
         }
         
+        const job = outboundQueue.enqueue({
+            handle: phoneNumber,
+            text: message,
+            newContact: forceNewContact,
+            idempotencyKey: idempotencyKeyFor(req),
+            typingDelayMs: 0
+        });
+        
         res.json({
             success: true,
-            message: 'Message sent successfully',
+            message: 'Message queued',
+            messageId: job.id,
+            status: job.status,
             to: phoneNumber,
             content: message,
             method,
@@ -501,8 +890,8 @@ app.post('/api/process-context', async (req, res) => {
     try {
         if (!aiHandler) {
             return res.status(503).json({
-                error: 'AI handler not available - check OPENAI_API_KEY',
-                details: 'AI features require a valid OpenAI API key'
+                error: 'AI handler not available - check AI_MODEL and its provider API key',
+                details: 'AI features require a model with credentials (OPENAI_API_KEY, ANTHROPIC_API_KEY or a local model)'
             });
         }
 
@@ -567,19 +956,19 @@ app.post('/send-to-new-number', async (req, res) => {
         console.log(`Sending message to NEW number ${phoneNumber}: ${message}`);
         
         // Use the empty string workaround method for new contacts
-        const appleScript = `
-        tell application "Messages"
-            set serviceID to id of 1st service whose service type = iMessage
-            send "" to buddy "${phoneNumber}" of service id serviceID
-            send "${message.replace(/"/g, '\\"')}" to buddy "${phoneNumber}" of service id serviceID
-        end tell
-        `;
-        
-        execSync(`osascript -e '${appleScript}'`);
+        const job = outboundQueue.enqueue({
+            handle: phoneNumber,
+            text: message,
+            newContact: true,
+            idempotencyKey: idempotencyKeyFor(req),
+            typingDelayMs: 0
+        });
         
         res.json({
             success: true,
-            message: 'Message sent successfully to new number',
+            message: 'Message queued for new number',
+            messageId: job.id,
+            status: job.status,
             to: phoneNumber,
             content: message,
             method: 'empty-string-workaround'
@@ -597,12 +986,12 @@ app.post('/send-to-new-number', async (req, res) => {
 // Send message to EXISTING contact/thread - uses standard library method
 app.post('/send-message', async (req, res) => {
     try {
-        const { phoneNumber, message } = req.body;
+        const { phoneNumber, chatId, message } = req.body;
         
         // Validate input
-        if (!phoneNumber || !message) {
+        if ((!phoneNumber && !chatId) || !message) {
             return res.status(400).json({
-                error: 'Both phoneNumber and message are required',
+                error: 'A phoneNumber (or group chatId) and message are required',
                 example: {
                     phoneNumber: '+1234567890',
                     message: 'Hello from API!'
@@ -610,14 +999,28 @@ app.post('/send-message', async (req, res) => {
             });
         }
 
-        console.log(`Sending message to existing contact ${phoneNumber}: ${message}`);
-        
-        await imessage.send(phoneNumber, message);
+        if (chatId && !imessage.isChatId(chatId)) {
+            return res.status(400).json({
+                error: 'chatId must be a chat GUID or room name'
+            });
+        }
+
+        console.log(`Sending message to existing ${chatId ? 'group chat' : 'contact'} ${chatId || phoneNumber}: ${message}`);
+        
+        // No service means the standard library's existing-thread send
+        const job = outboundQueue.enqueue({
+            ...(chatId ? { chatId } : { handle: phoneNumber, service: null }),
+            text: message,
+            idempotencyKey: idempotencyKeyFor(req),
+            typingDelayMs: 0
+        });
         
         res.json({
             success: true,
-            message: 'Message sent successfully to existing contact',
-            to: phoneNumber,
+            message: 'Message queued for existing contact',
+            messageId: job.id,
+            status: job.status,
+            to: chatId || phoneNumber,
             content: message,
             method: 'standard-library'
         });
@@ -631,6 +1034,159 @@ app.post('/send-message', async (req, res) => {
     }
 });
 
+// Search the local message history
+// e.g. /messages/search?query=invoice&handle=+1234567890&from=2024-01-01&limit=20
+app.get('/messages/search', async (req, res) => {
+    try {
+        const { query, handle, chat, from, to, hasAttachment, limit, cursor } = req.query;
+
+        console.log(`🔎 API: Searching messages for "${query || ''}"`);
+
+        const result = await imessage.searchMessages({
+            query,
+            handle,
+            chat,
+            from,
+            to,
+            hasAttachment,
+            limit,
+            cursor
+        });
+
+        res.json({
+            success: true,
+            ...result,
+            count: result.messages.length
+        });
+
+    } catch (error) {
+        // Bad dates and cursors are the caller's mistake
+        const status = /cursor|from\/to/.test(error.message) ? 400 : 500;
+        console.error('Error searching messages:', error);
+        res.status(status).json({
+            error: 'Failed to search messages',
+            details: error.message
+        });
+    }
+});
+
+// Delivery status of a message sent through the API or the AI
+// Queued messages report their queue status until they are handed to Messages
+app.get('/messages/:messageId/status', (req, res) => {
+    const job = outboundQueue.getJob(req.params.messageId);
+    const status = job
+        ? deliveryTracker.getStatus(job.deliveryId) || queueStatus(job)
+        : deliveryTracker.getStatus(req.params.messageId);
+    
+    if (!status) {
+        return res.status(404).json({
+            error: 'Unknown messageId',
+            messageId: req.params.messageId
+        });
+    }
+    
+    res.json({
+        success: true,
+        ...status,
+        ...(job && { id: job.id, queue: queueStatus(job) })
+    });
+});
+
+// Messages still waiting in the outbound queue
+app.get('/outbound', (req, res) => {
+    res.json({
+        success: true,
+        pending: outboundQueue.pending().map(queueStatus)
+    });
+});
+
+// Schedule a message for later, once (sendAt) or recurring (cron)
+app.post('/scheduled-messages', async (req, res) => {
+    try {
+        const { phoneNumber, chatId, message, sendAt, cron } = req.body;
+
+        if ((!phoneNumber && !chatId) || !message || (!sendAt && !cron)) {
+            return res.status(400).json({
+                error: 'A phoneNumber (or group chatId), message and either sendAt or cron are required',
+                example: {
+                    phoneNumber: '+1234567890',
+                    message: 'Time to check ETH!',
+                    sendAt: '2024-05-01T09:00:00-07:00',
+                    cron: '0 9 * * 1-5 (instead of sendAt, server local time)'
+                }
+            });
+        }
+
+        const scheduled = await messageScheduler.schedule({
+            handle: phoneNumber,
+            chatId,
+            text: message,
+            sendAt,
+            cron,
+            createdBy: 'api'
+        });
+
+        res.status(201).json({
+            success: true,
+            scheduled
+        });
+    } catch (error) {
+        // Bad dates, cron expressions and recipients are the caller's mistake
+        const status = /sendAt|cron|chatId|handle|message/i.test(error.message) ? 400 : 500;
+        console.error('Error scheduling message:', error);
+        res.status(status).json({
+            error: 'Failed to schedule message',
+            details: error.message
+        });
+    }
+});
+
+// List scheduled messages, optionally for one handle or chat
+// e.g. /scheduled-messages?target=+1234567890
+app.get('/scheduled-messages', async (req, res) => {
+    try {
+        const scheduled = await messageScheduler.list(req.query.target || null);
+
+        res.json({
+            success: true,
+            count: scheduled.length,
+            scheduled
+        });
+    } catch (error) {
+        console.error('Error listing scheduled messages:', error);
+        res.status(500).json({
+            error: 'Failed to list scheduled messages',
+            details: error.message
+        });
+    }
+});
+
+// Cancel a scheduled message
+app.delete('/scheduled-messages/:id', async (req, res) => {
+    try {
+        const cancelled = await messageScheduler.cancel(req.params.id);
+
+        if (!cancelled) {
+            return res.status(404).json({
+                error: 'Unknown scheduled message',
+                id: req.params.id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Scheduled message cancelled',
+            id: req.params.id
+        });
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        res.status(500).json({
+            error: 'Failed to cancel scheduled message',
+            details: error.message
+        });
+    }
+});
+
 // Create new group chat endpoint
 app.post('/create-group-chat', async (req, res) => {
     try {
@@ -767,21 +1323,26 @@ app.get('/handle/:name', async (req, res) => {
 });
 
 // Get recent chats endpoint
-app.get('/recent-chats', async (req, res) => {
+// Chat inbox: one row per chat, most recently active first
+// /recent-chats is kept as an alias for older clients
+app.get(['/chats', '/recent-chats'], async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 10;
+        const limit = parseInt(req.query.limit) || 20;
+        const { cursor } = req.query;
         
-        const chats = await imessage.getRecentChats(limit);
+        const { chats, nextCursor } = await chatInbox.list({ limit, cursor });
         
         res.json({
+            success: true,
             chats,
-            count: chats.length
+            count: chats.length,
+            nextCursor
         });
         
     } catch (error) {
-        console.error('Error getting recent chats:', error);
-        res.status(500).json({
-            error: 'Failed to get recent chats',
+        console.error('Error getting chats:', error);
+        res.status(/cursor/.test(error.message) ? 400 : 500).json({
+            error: 'Failed to get chats',
             details: error.message
         });
     }
@@ -802,19 +1363,37 @@ app.get('/', (req, res) => {
             'POST /ai/process-conversation': 'Manually process a conversation with AI',
             'GET /ai/conversation/:handle': 'Get conversation status and history',
             'DELETE /ai/conversation/:handle': 'Clear conversation history',
+            'GET /ai/conversation/:handle/memory': 'Facts remembered about a handle, with source and time',
+            'PUT /ai/conversation/:handle/memory': 'Remember or correct a fact ({ label, value })',
+            'DELETE /ai/conversation/:handle/memory?label=&value=': 'Forget a fact (or one watchlist item)',
             'GET /ai/conversations?limit=10': 'Get recent conversations',
             'POST /ai/send-message': 'Send message through AI processing',
-            'POST /ai/system-prompt': 'Update AI system prompt',
+            'GET /ai/groups/:chatId/policy': 'Get group chat mode (always, mention, muted)',
+            'PUT /ai/groups/:chatId/policy': 'Set group chat mode (always, mention, muted)',
+            'POST /ai/system-prompt': 'Update the default system prompt (stored as a new version)',
+            'GET /ai/prompts': 'List prompts (default and personas)',
+            'GET /ai/prompts/:name': 'Get a prompt template and its versions',
+            'PUT /ai/prompts/:name': 'Create or replace a prompt ({ text, note }); {{now}}, {{name}}, {{memory}}, {{tools}} are filled in',
+            'POST /ai/prompts/:name/rollback': 'Restore an earlier prompt version ({ version })',
+            'GET /ai/conversation/:handle/prompt': 'Prompt used for a contact or group chat',
+            'PUT /ai/conversation/:handle/prompt': 'Assign a persona to a contact or group chat ({ prompt })',
             
             // Regular Endpoints
-            'GET /health': 'Health check with AI status',
+            'GET /health': 'Health check with AI status and reply queue depth/wait times',
             'POST /send-to-new-number': 'Send message to NEW phone number (no existing thread)',
             'POST /send-message': 'Send message to EXISTING contact/thread',
+            'GET /messages/search?query=&handle=&chat=&from=&to=&hasAttachment=&limit=&cursor=': 'Search message history (paginated, newest first)',
+            'GET /messages/:messageId/status': 'Queue and delivery status (queued, sending, pending, delivered, read, failed) of a sent message',
+            'GET /outbound': 'Messages waiting in the outbound queue',
+            'POST /scheduled-messages': 'Schedule a message once (sendAt) or on a cron schedule',
+            'GET /scheduled-messages?target=': 'List scheduled messages, optionally for one handle or chat',
+            'DELETE /scheduled-messages/:id': 'Cancel a scheduled message',
             'POST /create-group-chat': 'Create new group chat with 2 other people',
             'POST /send-file': 'Send file to contact',
             'GET /name/:handle': 'Get display name for handle',
             'GET /handle/:name': 'Get handle for display name',
-            'GET /recent-chats?limit=10': 'Get recent chats'
+            'GET /chats?limit=20&cursor=': 'Chat inbox: last message, unread count, participants, service and AI status per chat',
+            'GET /recent-chats?limit=10': 'Deprecated alias of GET /chats'
         },
         examples: {
             // RECOMMENDED for external LLMs
@@ -885,7 +1464,7 @@ app.get('/', (req, res) => {
         },
         ai: {
             enabled: process.env.AI_ENABLED !== 'false',
-            model: process.env.AI_MODEL || 'gpt-4o-mini',
+            model: modelRegistry.describe('chat'),
             storage: process.env.CONVERSATION_STORE_TYPE || 'memory'
         }
     });
@@ -905,10 +1484,11 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
-    process.exit(0);
+    // Queued texts are written a moment after they change; write the last ones now
+    outboundQueue.flush().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
     console.log('SIGINT received, shutting down gracefully');
-    process.exit(0);
+    outboundQueue.flush().finally(() => process.exit(0));
 }); 
\ No newline at end of file
@@ -3,6 +3,12 @@
 import * as imessage from './index.js';
 import chalk from 'chalk';
 import { createAIChatHandler } from './lib/ai-chat-handler.js';
+import { createGroupPolicy } from './lib/group-policy.js';
+import { outboundQueue } from './lib/outbound-queue.js';
+import { createConversationStore, conversationTarget } from './lib/conversation-store.js';
+import { messageScheduler } from './lib/message-scheduler.js';
+import { createWorkScheduler } from './lib/work-scheduler.js';
+import { modelRegistry } from './lib/model-registry.js';
 
 /**
  * Smart Message Listener - AI-powered iMessage handler
@@ -25,7 +31,25 @@ class SmartMessageListener {
         this.debugMode = options.debug || false;
         this.whitelist = options.whitelist || null; // Array of allowed handles
         this.blacklist = options.blacklist || []; // Array of blocked handles
+        this.backfillSince = options.backfillSince || null; // Date to re-read missed messages from
         this.listener = null;
+
+        // Texts that arrive in a burst are answered together once the sender
+        // has been quiet for quietPeriodMs (but never later than maxWaitMs
+        // after the first one)
+        this.quietPeriodMs = options.quietPeriodMs ?? 2500;
+        this.maxWaitMs = options.maxWaitMs ?? 10000;
+        this.bursts = new Map(); // conversation key -> { messages, timer, firstAt, controller, answered }
+
+        // Events for one conversation are handled in the order they arrived
+        // (recording a photo can take longer than the text sent after it);
+        // replies themselves are ordered and capped by the AI handler
+        this.intake = createWorkScheduler({ name: 'intake', maxConcurrency: Infinity });
+
+        // Decides when to speak up in group chats (mode stored per group)
+        this.groupPolicy = options.groupPolicy || (this.aiHandler
+            ? createGroupPolicy({ conversationStore: this.aiHandler.conversationStore })
+            : null);
         
         console.log(chalk.blue.bold('🧠 Smart Message Listener Initialized'));
         console.log(chalk.gray(`AI Available: ${this.aiAvailable}`));
@@ -40,12 +64,28 @@ class SmartMessageListener {
         console.log(chalk.green.bold('🎧 Starting Smart Message Listener...'));
         console.log(chalk.gray('Monitoring for incoming messages... Press Ctrl+C to stop\n'));
 
-        // Start listening for messages
-        this.listener = imessage.listen();
+        // Scheduled messages are stored alongside the AI conversations
+        messageScheduler.start(this.aiHandler?.conversationStore || createConversationStore());
+
+        // Start listening for messages (resumes from the last checkpoint)
+        this.listener = imessage.listen({ backfillSince: this.backfillSince });
 
-        // Handle new messages
+        // Handle new messages; a message counts as handled (and the checkpoint
+        // moves past it) only once the reply that covers it has finished
         this.listener.on('message', async (message) => {
-            await this.handleMessage(message);
+            const reply = await this.inOrder(message, () => this.handleMessage(message));
+            await reply?.answered;
+        });
+
+        // Tapbacks, edits and unsends update history instead of triggering a reply
+        this.listener.on('reaction', async (reaction) => {
+            await this.inOrder(reaction, () => this.handleMessageChange('reaction', reaction));
+        });
+        this.listener.on('edit', async (edit) => {
+            await this.inOrder(edit, () => this.handleMessageChange('edit', edit));
+        });
+        this.listener.on('unsend', async (unsend) => {
+            await this.inOrder(unsend, () => this.handleMessageChange('unsend', unsend));
         });
 
         // Handle errors
@@ -55,21 +95,42 @@ class SmartMessageListener {
             console.error(chalk.gray('The listener will continue running...\n'));
         });
 
+        // Replayed databases signal when every recorded message was emitted
+        this.listener.on('end', ({ count }) => {
+            console.log(chalk.blue(`⏹️ Replay complete: ${count} messages processed`));
+        });
+
         // Keep the process running
         console.log(chalk.dim('🤖 AI assistant ready for incoming messages...'));
     }
 
+    /**
+     * Run `handler` after every earlier event of the same conversation
+     */
+    inOrder(event, handler) {
+        return this.intake.run(conversationTarget(event).key, handler).catch((error) =>
+            console.error(chalk.red('❌ Failed to handle message:'), error.message)
+        );
+    }
+
     /**
      * Handle incoming message with AI processing
+     * @returns {Promise<{ answered: Promise }|undefined>} when a reply was
+     *   queued, `answered` settles once the reply covering this message has
+     *   finished or was superseded by a later one
      */
     async handleMessage(message) {
         const timestamp = new Date().toLocaleString();
         
-        // Skip messages sent by us (fromMe = true)
+        // Skip messages sent by us (fromMe = true), but remember their guid so
+        // reactions to our replies can be matched to history
         if (message.fromMe) {
             if (this.debugMode) {
                 console.log(chalk.dim(`[${timestamp}] Sent: "${message.text}" to ${message.handle}`));
             }
+            if (this.aiHandler && message.text) {
+                await this.aiHandler.recordSentMessage(message).catch(() => {});
+            }
             return;
         }
 
@@ -82,10 +143,32 @@ class SmartMessageListener {
         // Log incoming message
         this.logIncomingMessage(message, timestamp);
 
+        // In groups, only answer when the group's policy says we were addressed;
+        // everything else is still kept in the shared history for context
+        if (message.group && this.groupPolicy) {
+            const decision = await this.groupPolicy.evaluate(message);
+
+            if (!decision.respond) {
+                console.log(chalk.dim(`👥 Not responding in group (${decision.mode}: ${decision.reason})`));
+                if (this.enabled && this.aiHandler) {
+                    await this.aiHandler.recordIncomingMessage(message).catch((error) =>
+                        console.error(chalk.red('❌ Failed to record group message:'), error.message)
+                    );
+                }
+                console.log(chalk.gray('─'.repeat(60)));
+                return;
+            }
+
+            if (this.debugMode) {
+                console.log(chalk.dim(`👥 Responding in group (${decision.mode}: ${decision.reason})`));
+            }
+        }
+
         // Process with AI if enabled and available
+        let reply;
         if (this.enabled && this.aiHandler) {
             try {
-                await this.processWithAI(message);
+                reply = await this.queueForReply(message);
             } catch (error) {
                 console.error(chalk.red('❌ AI Processing Error:'), error.message);
                 
@@ -98,19 +181,119 @@ class SmartMessageListener {
         }
 
         console.log(chalk.gray('─'.repeat(60)));
+        return reply;
+    }
+
+    /**
+     * Apply a reaction, edit or unsend to the stored conversation
+     */
+    async handleMessageChange(type, event) {
+        if (this.debugMode) {
+            console.log(chalk.dim(`🔄 ${type} from ${event.handle} on ${event.targetGuid}`));
+        }
+
+        if (!this.aiHandler || this.blacklist.includes(event.handle)) return;
+
+        try {
+            if (type === 'reaction') {
+                await this.aiHandler.handleReaction(event);
+            } else if (type === 'edit') {
+                await this.aiHandler.handleEdit(event);
+            } else if (type === 'unsend') {
+                await this.aiHandler.handleUnsend(event);
+            }
+        } catch (error) {
+            console.error(chalk.red(`❌ Failed to apply ${type}:`), error.message);
+        }
+    }
+
+    /**
+     * Store the message right away, then (re)start the conversation's quiet
+     * period. A reply that is still being generated is cancelled: the next
+     * one sees every message of the burst
+     * @returns {Promise<{ answered: Promise }>} shared by the whole burst
+     */
+    async queueForReply(message) {
+        const { key } = conversationTarget(message);
+        await this.aiHandler.recordIncomingMessage(message);
+
+        if (!this.bursts.has(key)) {
+            this.bursts.set(key, { messages: [], timer: null, firstAt: null, controller: null, answered: null });
+        }
+        const burst = this.bursts.get(key);
+
+        burst.messages.push(message);
+        burst.firstAt = burst.firstAt || Date.now();
+        if (!burst.answered) {
+            let resolve;
+            burst.answered = { promise: new Promise((done) => (resolve = done)), resolve };
+        }
+        const { answered } = burst;
+
+        if (burst.controller) {
+            console.log(chalk.yellow(`⏩ New message from ${message.handle}, superseding the reply in progress`));
+            burst.controller.abort();
+            burst.controller = null;
+        }
+
+        clearTimeout(burst.timer);
+        const waitMs = Math.max(Math.min(this.quietPeriodMs, burst.firstAt + this.maxWaitMs - Date.now()), 0);
+        burst.timer = setTimeout(() => {
+            this.flushBurst(key).catch((error) =>
+                console.error(chalk.red('❌ AI Processing Error:'), error.message)
+            );
+        }, waitMs);
+
+        // Not a thenable, so awaiting this method doesn't wait for the reply
+        return { answered: answered.promise };
+    }
+
+    /**
+     * Answer everything a conversation's burst collected, as one turn
+     */
+    async flushBurst(key) {
+        const burst = this.bursts.get(key);
+        if (!burst || burst.messages.length === 0) return;
+
+        const { messages, answered } = burst;
+        const controller = new AbortController();
+        Object.assign(burst, { messages: [], timer: null, firstAt: null, controller, answered: null });
+
+        if (messages.length > 1) {
+            console.log(chalk.blue(`🧺 Answering ${messages.length} messages from ${key} together`));
+        }
+
+        try {
+            // History already holds the whole burst; reply to its latest message
+            await this.processWithAI(messages[messages.length - 1], { recorded: true, abortSignal: controller.signal });
+        } finally {
+            answered.resolve();
+            if (burst.controller === controller) burst.controller = null;
+            if (!burst.controller && !burst.timer && burst.messages.length === 0) this.bursts.delete(key);
+        }
     }
 
     /**
      * Process message with AI handler
+     * @param {object} options - passed through to handleIncomingMessage
      */
-    async processWithAI(message) {
+    async processWithAI(message, options = {}) {
         console.log(chalk.blue('🧠 Processing with AI...'));
         
         const startTime = Date.now();
-        const result = await this.aiHandler.handleIncomingMessage(message);
+        const result = await this.aiHandler.handleIncomingMessage(message, options);
         const processingTime = Date.now() - startTime;
 
-        if (result.success) {
+        if (this.debugMode) {
+            const queue = this.aiHandler.workScheduler.stats();
+            console.log(
+                chalk.dim(`📊 Reply queue: ${queue.queued} waiting, ${queue.running}/${queue.maxConcurrency} generating, avg wait ${queue.averageWaitMs}ms`)
+            );
+        }
+
+        if (result.superseded) {
+            console.log(chalk.yellow(`⏩ Reply superseded after ${processingTime}ms`));
+        } else if (result.success) {
             console.log(chalk.green(`✅ AI processed in ${processingTime}ms`));
             
             if (this.debugMode) {
@@ -161,15 +344,10 @@ class SmartMessageListener {
      * Check if we should process this message
      */
     shouldProcessMessage(message) {
-        // Add detailed debugging for null text issues
-        if (message.text === null) {
-            console.log(chalk.red(`🐛 DEBUG: Message text is null for ${message.handle}`));
-            console.log(chalk.red(`🐛 Full message object:`, JSON.stringify(message, null, 2)));
-            return false;
-        }
-
-        if (message.text === undefined) {
-            console.log(chalk.red(`🐛 DEBUG: Message text is undefined for ${message.handle}`));
+        // The listener recovers text from attributedBody, so a missing string
+        // means the row itself was unreadable
+        if (typeof message.text !== 'string') {
+            console.log(chalk.red(`🐛 DEBUG: Message text is ${message.text} for ${message.handle}`));
             console.log(chalk.red(`🐛 Full message object:`, JSON.stringify(message, null, 2)));
             return false;
         }
@@ -187,8 +365,9 @@ class SmartMessageListener {
             return false;
         }
 
-        // Skip empty messages (after null checks)
-        if (!message.text || message.text.trim().length === 0) {
+        // Skip empty messages (after null checks); attachments carry their own
+        // content through the attachment pipeline
+        if ((!message.text || message.text.trim().length === 0) && !message.file) {
             console.log(chalk.yellow(`🚫 Empty message from ${message.handle}: "${message.text}"`));
             return false;
         }
@@ -204,7 +383,15 @@ class SmartMessageListener {
         console.log(chalk.white(`💬 "${message.text}"`));
         
         if (message.group) {
-            console.log(chalk.blue(`👥 Group: ${message.group}`));
+            console.log(chalk.blue(`👥 Group: ${message.chatName || message.group}${message.chatGuid ? ` (${message.chatGuid})` : ''}`));
+        }
+
+        if (message.mentions?.length > 0) {
+            console.log(chalk.blue(`🏷️  Mentions: ${message.mentions.map(m => m.handle).join(', ')}`));
+        }
+
+        if (message.links?.length > 0) {
+            console.log(chalk.blue(`🔗 Links: ${message.links.map(l => l.url).join(', ')}`));
         }
         
         if (message.file) {
@@ -257,6 +444,13 @@ class SmartMessageListener {
         console.log(chalk.blue('🚫 Updated blacklist:'), handles);
     }
 
+    /**
+     * Set a group chat to 'always', 'mention' or 'muted'
+     */
+    async setGroupMode(chatId, mode) {
+        return await this.groupPolicy.setMode(chatId, mode);
+    }
+
     /**
      * Get AI handler for direct access
      */
@@ -284,11 +478,34 @@ class SmartMessageListener {
      */
     stop() {
         console.log(chalk.yellow.bold('\n👋 Stopping Smart Message Listener...'));
+        messageScheduler.stop();
+        this.bursts.forEach((burst) => {
+            clearTimeout(burst.timer);
+            burst.controller?.abort();
+        });
         // Note: The original listener doesn't have a stop method, so we just log
         console.log(chalk.gray('Process will exit...'));
     }
 }
 
+// Parse LISTENER_BACKFILL_SINCE: an ISO date or a relative window like "6h" / "2d"
+function parseBackfillSince(value) {
+    if (!value) return null;
+
+    const relative = value.trim().match(/^(\d+)\s*([mhd])$/i);
+    if (relative) {
+        const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return new Date(Date.now() - Number(relative[1]) * unitMs[relative[2].toLowerCase()]);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        console.warn(chalk.yellow(`⚠️ Ignoring invalid LISTENER_BACKFILL_SINCE "${value}"`));
+        return null;
+    }
+    return date;
+}
+
 // Create and configure listener from environment/options
 function createSmartListener(options = {}) {
     const config = {
@@ -296,9 +513,12 @@ function createSmartListener(options = {}) {
         debug: process.env.DEBUG_MODE === 'true',
         whitelist: process.env.AI_WHITELIST ? process.env.AI_WHITELIST.split(',') : null,
         blacklist: process.env.AI_BLACKLIST ? process.env.AI_BLACKLIST.split(',') : [],
-        ai: {
-            model: process.env.AI_MODEL || 'gpt-4o-mini'
-        },
+        backfillSince: parseBackfillSince(process.env.LISTENER_BACKFILL_SINCE),
+        quietPeriodMs: Number(process.env.AI_DEBOUNCE_MS ?? 2500),
+        maxWaitMs: Number(process.env.AI_DEBOUNCE_MAX_MS ?? 10000),
+        // The chat model comes from AI_MODEL through the model registry;
+        // pass ai.modelName to use another chain
+        ai: {},
         ...options
     };
 
@@ -310,13 +530,13 @@ function setupShutdownHandlers(listener) {
     process.on('SIGINT', () => {
         listener.stop();
         console.log(chalk.yellow.bold('\n\n👋 Goodbye!'));
-        process.exit(0);
+        outboundQueue.flush().finally(() => process.exit(0));
     });
 
     process.on('SIGTERM', () => {
         listener.stop();
         console.log(chalk.yellow.bold('\n\n👋 Goodbye!'));
-        process.exit(0);
+        outboundQueue.flush().finally(() => process.exit(0));
     });
 }
 
@@ -326,7 +546,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log('═'.repeat(50));
     
     console.log(chalk.gray('Environment Configuration:'));
-    console.log(chalk.gray(`  AI Model: ${process.env.AI_MODEL || 'gpt-4o-mini'}`));
+    console.log(chalk.gray(`  AI Model: ${modelRegistry.describe('chat')}`));
     console.log(chalk.gray(`  AI Enabled: ${process.env.AI_ENABLED !== 'false'}`));
     console.log(chalk.gray(`  Debug Mode: ${process.env.DEBUG_MODE === 'true'}`));
     console.log(chalk.gray(`  Storage: ${process.env.CONVERSATION_STORE_TYPE || 'memory'}`));
@@ -340,7 +560,11 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log(chalk.dim('  - Set AI_ENABLED=false to disable AI responses'));
     console.log(chalk.dim('  - Set DEBUG_MODE=true for detailed logging'));
     console.log(chalk.dim('  - Set AI_WHITELIST=+1234567890,+1987654321 to limit who can trigger AI'));
-    console.log(chalk.dim('  - Set OPENAI_API_KEY in your environment'));
+    console.log(chalk.dim('  - Set LISTENER_BACKFILL_SINCE=6h to answer texts missed while offline'));
+    console.log(chalk.dim('  - Set GROUP_DEFAULT_MODE=always|mention|muted for group chats'));
+    console.log(chalk.dim('  - Set AI_DEBOUNCE_MS=0 to answer every text on its own instead of per burst'));
+    console.log(chalk.dim('  - Set OPENAI_API_KEY or ANTHROPIC_API_KEY, or AI_MODEL=local:llama3.1 for a local model'));
+    console.log(chalk.dim('  - List fallbacks in AI_MODEL, e.g. openai:gpt-4o,anthropic:claude-3-5-sonnet-latest'));
     console.log('');
     
     listener.start();
@@ -0,0 +1,109 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, delimiter } from 'path';
+import { fileURLToPath } from 'url';
+import { MockLanguageModelV1 } from 'ai/test';
+import { createAttachmentPipeline } from '../lib/attachment-pipeline.js';
+
+/**
+ * Attachment Pipeline tests - Real PDF text extraction, and HEIC conversion
+ * through whichever converter is on PATH
+ *
+ * Run with: node --test test/
+ */
+
+const fixtures = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+let dir;
+let originalPath;
+
+// A model that describes every photo the same way
+const visionModel = new MockLanguageModelV1({
+    doGenerate: async () => ({
+        rawCall: { rawPrompt: null, rawSettings: {} },
+        finishReason: 'stop',
+        usage: { promptTokens: 1, completionTokens: 1 },
+        text: 'A receipt for two coffees',
+    }),
+});
+
+before(() => {
+    // Progress logs interleaved with the runner's own stdout protocol trip up node --test
+    mock.method(console, 'log', () => {});
+    dir = mkdtempSync(join(tmpdir(), 'attachment-pipeline-test-'));
+    originalPath = process.env.PATH;
+});
+
+after(() => {
+    process.env.PATH = originalPath;
+    rmSync(dir, { recursive: true, force: true });
+});
+
+// A PATH holding only `commands` (fake converters logging their argv) and node
+function fakeConverters(name, commands) {
+    const bin = join(dir, name);
+    const log = join(bin, 'calls.log');
+    rmSync(bin, { recursive: true, force: true });
+    mkdirSync(bin, { recursive: true });
+    for (const command of commands) {
+        writeFileSync(
+            join(bin, command),
+            `#!/usr/bin/env node\nconst fs = require('fs');\nconst argv = process.argv.slice(2);\nfs.appendFileSync(${JSON.stringify(log)}, JSON.stringify(['${command}', ...argv]) + '\\n');\nfs.writeFileSync(argv[argv.length - 1], 'jpeg');\n`
+        );
+        chmodSync(join(bin, command), 0o755);
+    }
+    process.env.PATH = [bin, dirname(process.execPath)].join(delimiter);
+    return () => readFileSync(log, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+test('extracts the text of a PDF', async () => {
+    const pipeline = createAttachmentPipeline({ visionModel, cacheDir: dir });
+    const result = await pipeline.process({ file: join(fixtures, 'invoice.pdf'), fileType: 'application/pdf' });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.kind, 'pdf');
+    assert.equal(result.content, '[PDF contents]\nInvoice 1042 for Flip\nTotal due: $48.50');
+});
+
+test('converts HEIC photos with ffmpeg when sips and heif-convert are missing', async () => {
+    const calls = fakeConverters('ffmpeg-only', ['ffmpeg']);
+    const photo = join(dir, 'IMG_0001.HEIC');
+    writeFileSync(photo, 'heic');
+
+    const pipeline = createAttachmentPipeline({ visionModel, cacheDir: join(dir, 'cache') });
+    const result = await pipeline.process({ file: photo, fileType: 'image/heic' });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.content, '[Photo: A receipt for two coffees]');
+    assert.deepEqual(
+        calls().map((argv) => argv.slice(0, 5)),
+        [['ffmpeg', '-y', '-loglevel', 'error', '-i']]
+    );
+});
+
+test('prefers heif-convert over ffmpeg', async () => {
+    const calls = fakeConverters('both', ['ffmpeg', 'heif-convert']);
+    const photo = join(dir, 'IMG_0002.heic');
+    writeFileSync(photo, 'heic');
+
+    const pipeline = createAttachmentPipeline({ visionModel, cacheDir: join(dir, 'cache') });
+    const result = await pipeline.process({ file: photo, fileType: 'image/heic' });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(calls().map((argv) => argv[0]), ['heif-convert']);
+});
+
+test('skips HEIC photos with a reason when no converter is installed', async () => {
+    fakeConverters('none', []);
+    const photo = join(dir, 'IMG_0003.heic');
+    writeFileSync(photo, 'heic');
+
+    const pipeline = createAttachmentPipeline({ visionModel, cacheDir: join(dir, 'cache') });
+    const result = await pipeline.process({ file: photo, fileType: 'image/heic' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.content, '[Photo that could not be read]');
+    assert.match(result.error, /no converter for this HEIC photo on this host \(install one of: sips, heif-convert, ffmpeg\)/);
+});
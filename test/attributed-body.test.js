@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeAttributedBody } from '../lib/attributed-body.js';
+
+/**
+ * attributedBody tests - Decoding typedstream blobs the way chat.db stores them
+ * Blobs are built with the same header and string encoding Messages.app writes.
+ *
+ * Run with: node --test test/
+ */
+
+// "streamtyped" header, then NSAttributedString -> NSObject -> NSString
+const PREFIX = Buffer.from(
+    '040b73747265616d747970656481e803840140848484124e5341747472696275746564537472696e67008484084e534f626a656374008592848484084e53537472696e670194',
+    'hex'
+);
+
+// A '+' C string: short lengths take one byte, longer ones 0x81 + uint16
+function cstring(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const length =
+        bytes.length < 0x80 ? Buffer.from([bytes.length]) : Buffer.from([0x81, bytes.length & 0xff, bytes.length >> 8]);
+    return Buffer.concat([Buffer.from([0x84, 0x01, 0x2b]), length, bytes]);
+}
+
+function blob(text, attributes = []) {
+    return Buffer.concat([PREFIX, cstring(text), ...attributes.map(cstring), Buffer.from([0x86, 0x86])]);
+}
+
+test('recovers the message text exactly', () => {
+    const text = 'He said "hi" \\ and left 👋';
+    assert.deepEqual(decodeAttributedBody(blob(text)), { text, mentions: [], links: [] });
+});
+
+test('reads texts longer than a one-byte length', () => {
+    const text = 'a long message '.repeat(40).trim();
+    assert.equal(decodeAttributedBody(blob(text)).text, text);
+});
+
+test('drops attachment placeholders from the text', () => {
+    assert.equal(decodeAttributedBody(blob('\uFFFClook at this')).text, 'look at this');
+});
+
+test('collects mention handles only when the mention attribute is present', () => {
+    const attributes = ['__kIMMessagePartAttributeName', '__kIMMentionConfirmedMention', '+15551234567', 'flip@example.com'];
+    assert.deepEqual(decodeAttributedBody(blob('@Flip @Sam lunch?', attributes)).mentions, [
+        { handle: '+15551234567' },
+        { handle: 'flip@example.com' },
+    ]);
+
+    const withoutMention = decodeAttributedBody(blob('call +15551234567', ['__kIMMessagePartAttributeName', '+15551234567']));
+    assert.deepEqual(withoutMention.mentions, []);
+});
+
+test('collects link URLs once each', () => {
+    const attributes = ['__kIMLinkAttributeName', 'https://example.com/a?b=1', 'https://example.com/a?b=1', 'not a url'];
+    assert.deepEqual(decodeAttributedBody(blob('see https://example.com/a?b=1', attributes)).links, [
+        { url: 'https://example.com/a?b=1' },
+    ]);
+});
+
+test('returns null for anything that is not a readable typedstream', () => {
+    assert.equal(decodeAttributedBody(null), null);
+    assert.equal(decodeAttributedBody(Buffer.alloc(0)), null);
+    assert.equal(decodeAttributedBody(Buffer.from('plain bytes')), null);
+    // Cut off in the middle of the string
+    assert.equal(decodeAttributedBody(blob('hello there').subarray(0, PREFIX.length + 6)), null);
+});
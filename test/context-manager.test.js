@@ -0,0 +1,172 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockLanguageModelV1 } from 'ai/test';
+import { createContextManager } from '../lib/context-manager.js';
+import { createConversationStore } from '../lib/conversation-store.js';
+
+/**
+ * Context Manager tests - What goes into a prompt, when older messages are
+ * folded into the summary, and that the store only drops what was folded
+ *
+ * Run with: node --test test/
+ */
+
+let originalMongoUrl;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    // Memory storage only; don't wait on a real server
+    originalMongoUrl = process.env.MONGO_URL;
+    process.env.MONGO_URL = 'mongodb://127.0.0.1:9/?serverSelectionTimeoutMS=50';
+});
+
+after(() => {
+    if (originalMongoUrl === undefined) delete process.env.MONGO_URL;
+    else process.env.MONGO_URL = originalMongoUrl;
+});
+
+const chatModel = new MockLanguageModelV1({ modelId: 'gpt-4o' });
+
+// A summary model that records what it was asked to fold
+function summaryModel() {
+    const prompts = [];
+    const model = new MockLanguageModelV1({
+        doGenerate: async ({ prompt }) => {
+            prompts.push(prompt.flatMap((message) => message.content.map((part) => part.text)).join('\n'));
+            return {
+                rawCall: { rawPrompt: null, rawSettings: {} },
+                finishReason: 'stop',
+                usage: { promptTokens: 1, completionTokens: 1 },
+                text: `summary ${prompts.length}`,
+            };
+        },
+    });
+    return { registry: { getModel: () => model }, prompts };
+}
+
+// Messages a second apart, oldest first
+function messages(count, content = (i) => `message ${i}`) {
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    return Array.from({ length: count }, (_, i) => ({
+        role: i % 2 ? 'assistant' : 'user',
+        content: content(i),
+        timestamp: new Date(start + i * 1000).toISOString(),
+    }));
+}
+
+async function createStore(options = {}) {
+    const store = createConversationStore(options);
+    await store.ready;
+    return store;
+}
+
+test('prepare() adds the summary and sends only newer messages that fit', () => {
+    const manager = createContextManager({ conversationStore: null, maxTokens: 120 });
+    const history = messages(10, (i) => `message ${i} `.repeat(8));
+    const conversation = {
+        messages: history,
+        context: { summary: { text: 'They planned a trip to Lisbon.', through: history[3].timestamp } },
+    };
+
+    const prepared = manager.prepare(conversation, { model: chatModel, systemPrompt: 'You are helpful.' });
+
+    assert.match(prepared.systemPrompt, /^You are helpful\.\n\nEARLIER IN THIS CONVERSATION.*\nThey planned a trip to Lisbon\.$/s);
+    assert.ok(prepared.messages.length > 0 && prepared.messages.length < 6);
+    assert.equal(prepared.omitted, 6 - prepared.messages.length);
+    assert.equal(prepared.messages.at(-1), history.at(-1));
+});
+
+test('the newest message is sent even when it alone is over budget', () => {
+    const manager = createContextManager({ conversationStore: null, maxTokens: 10 });
+    const history = messages(3, () => 'x'.repeat(400));
+
+    const prepared = manager.prepare({ messages: history, context: {} }, { model: chatModel, systemPrompt: '' });
+    assert.deepEqual(prepared.messages, [history[2]]);
+});
+
+test('compact() folds the oldest messages once they fill most of the token budget', async () => {
+    const store = await createStore();
+    const { registry, prompts } = summaryModel();
+    const manager = createContextManager({ conversationStore: store, modelRegistry: registry, maxTokens: 1000 });
+    const history = messages(20, (i) => `message ${i} `.repeat(20));
+    await store.saveConversation('+15551234567', history, {});
+
+    const summary = await manager.compact('+15551234567', { model: chatModel });
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /message 0 /);
+    assert.equal(summary.text, 'summary 1');
+    assert.ok(summary.messageCount > 0 && summary.messageCount <= 20 - 4);
+    assert.equal(summary.through, history[summary.messageCount - 1].timestamp);
+    const conversation = await store.getConversation('+15551234567');
+    assert.deepEqual(conversation.context.summary, summary);
+
+    // Under the low-water mark now, so nothing more to fold
+    assert.equal(await manager.compact('+15551234567', { model: chatModel }), null);
+    assert.equal(prompts.length, 1);
+});
+
+test('compact() folds many short texts by message count', async () => {
+    const store = await createStore();
+    const { registry } = summaryModel();
+    const manager = createContextManager({ conversationStore: store, modelRegistry: registry, maxMessages: 80 });
+    await store.saveConversation('+15551234567', messages(70, () => 'ok'), {});
+
+    const summary = await manager.compact('+15551234567', { model: chatModel });
+
+    // Over 75% of 80 messages, folded down to 50% of them
+    assert.equal(summary.messageCount, 30);
+    assert.equal(manager.unsummarized(await store.getConversation('+15551234567')).length, 40);
+});
+
+test('compact() leaves short conversations alone', async () => {
+    const store = await createStore();
+    const { registry, prompts } = summaryModel();
+    const manager = createContextManager({ conversationStore: store, modelRegistry: registry });
+    await store.saveConversation('+15551234567', messages(10), {});
+
+    assert.equal(await manager.compact('+15551234567', { model: chatModel }), null);
+    assert.equal(prompts.length, 0);
+});
+
+test('the store drops only summarized messages, down to keepMessages', async () => {
+    const store = await createStore({ keepMessages: 5, maxMessages: 8 });
+    const history = messages(6);
+    await store.saveConversation('chat42', history, { summary: { text: 'earlier', through: history[3].timestamp } });
+
+    await store.addMessage('chat42', 'user', 'newest');
+    const conversation = await store.getConversation('chat42');
+    assert.deepEqual(
+        conversation.messages.map((msg) => msg.content),
+        ['message 2', 'message 3', 'message 4', 'message 5', 'newest']
+    );
+
+    // Unsummarized messages stay until the hard cap
+    await store.saveConversation('+15551234567', messages(8), {});
+    await store.addMessage('+15551234567', 'user', 'ninth');
+    const unsummarized = await store.getConversation('+15551234567');
+    assert.equal(unsummarized.messages.length, 8);
+    assert.equal(unsummarized.messages[0].content, 'message 1');
+});
+
+test('every message is summarized before the store lets go of it', async () => {
+    const store = await createStore({ keepMessages: 12 });
+    const { registry, prompts } = summaryModel();
+    const manager = createContextManager({ conversationStore: store, modelRegistry: registry, maxMessages: 8 });
+
+    for (let i = 0; i < 40; i++) {
+        await store.addMessage('+15551234567', i % 2 ? 'assistant' : 'user', `text ${i}`);
+        await new Promise((resolve) => setTimeout(resolve, 2));
+        await manager.compact('+15551234567', { model: chatModel });
+    }
+
+    const kept = (await store.getConversation('+15551234567')).messages.map((msg) => msg.content);
+    assert.equal(kept.length, 12);
+    const summarized = prompts.join('\n');
+    for (let i = 0; i < 40; i++) {
+        const folded = new RegExp(`: text ${i}$`, 'm').test(summarized);
+        assert.ok(kept.includes(`text ${i}`) || folded, `text ${i} was lost`);
+    }
+});
@@ -0,0 +1,68 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockTransport } from '../lib/mock-transport.js';
+import { setTransport } from '../lib/transport.js';
+import { createToolContext, runWithToolContext } from '../lib/tool-context.js';
+import { getConversationHistory } from '../lib/llm-tools.js';
+
+/**
+ * LLM Tools tests - What a conversation may read without the read_history
+ * permission
+ *
+ * Run with: node --test test/
+ */
+
+const SENDER = '+15550000001';
+const OTHER = '+15550000002';
+const GROUP = 'chat42';
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    const transport = new MockTransport({ silent: true });
+    setTransport(transport);
+    await transport.send(SENDER, 'our private chat');
+    await transport.send(OTHER, 'someone else');
+    await transport.sendToChat(GROUP, 'hello group');
+});
+
+// Run the history tool as the AI would inside a conversation
+function readHistory(contextOptions, args = {}) {
+    const context = createToolContext({ permissions: ['message'], ...contextOptions });
+    return runWithToolContext(context, () => getConversationHistory.execute({ limit: 10, ...args }, {}));
+}
+
+test('a group conversation reads its own history by default', async () => {
+    const result = await readHistory({ handle: SENDER, chatId: GROUP });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.chat, GROUP);
+    assert.deepEqual(result.messages.map((message) => message.text), ['hello group']);
+});
+
+test("a group conversation can't read the sender's direct messages", async () => {
+    const result = await readHistory({ handle: SENDER, chatId: GROUP }, { handle: SENDER });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /read_history/);
+});
+
+test('a direct conversation reads only its own handle', async () => {
+    const own = await readHistory({ handle: SENDER });
+    assert.equal(own.success, true, own.error);
+    assert.deepEqual(own.messages.map((message) => message.text), ['our private chat']);
+
+    for (const args of [{ handle: OTHER }, { chat: GROUP }, { handle: SENDER, chat: GROUP }]) {
+        const result = await readHistory({ handle: SENDER }, args);
+        assert.equal(result.success, false, JSON.stringify(args));
+        assert.match(result.error, /read_history/);
+    }
+});
+
+test('read_history opens up other conversations', async () => {
+    const result = await readHistory({ handle: SENDER, chatId: GROUP, permissions: ['message', 'read_history'] }, { handle: OTHER });
+
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.messages.map((message) => message.text), ['someone else']);
+});
@@ -0,0 +1,161 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import MessageScheduler, { parseCron, nextCronRun } from '../lib/message-scheduler.js';
+import { outboundQueue } from '../lib/outbound-queue.js';
+
+/**
+ * Message Scheduler tests - Cron parsing, next-run times, and due messages
+ * reaching the outbound queue exactly once
+ *
+ * Run with: node --test test/
+ */
+
+let queued;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    // Capture what would be sent instead of sending it
+    mock.method(outboundQueue, 'enqueue', (job) => {
+        queued.push(job);
+        return { id: `job-${queued.length}`, ...job };
+    });
+});
+
+// The scheduled-message half of the conversation store, in memory
+function createStore() {
+    const scheduled = new Map();
+    return {
+        ready: Promise.resolve(),
+        scheduled,
+        async saveScheduledMessage(message) {
+            scheduled.set(message.id, { ...message });
+            return message;
+        },
+        async getScheduledMessages(filter = {}) {
+            return [...scheduled.values()]
+                .filter((s) => !filter.target || s.handle === filter.target || s.chatId === filter.target)
+                .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))
+                .map((s) => ({ ...s }));
+        },
+        async deleteScheduledMessage(id) {
+            return scheduled.delete(id);
+        },
+        async claimScheduledMessage(id, runAt, changes) {
+            const message = scheduled.get(id);
+            if (!message || message.nextRunAt !== runAt) return false;
+            Object.assign(message, changes);
+            return true;
+        },
+    };
+}
+
+function createScheduler(store = createStore()) {
+    queued = [];
+    return new MessageScheduler({ conversationStore: store });
+}
+
+test('parseCron expands lists, ranges, steps and aliases', () => {
+    const cron = parseCron('*/15 9-17 * * 1-5');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, false);
+
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    assert.deepEqual([...parseCron('@daily').hours], [0]);
+    assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /must have 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /out of range/);
+    assert.throws(() => parseCron('* * * * mon'), /Invalid cron day of week/);
+    assert.throws(() => parseCron('10-5 * * * *'), /out of range/);
+});
+
+test('nextCronRun finds the next matching local time', () => {
+    // Friday 10:00 -> the next weekday at 9:00 is Monday
+    const friday = new Date(2026, 4, 15, 10, 0);
+    assert.deepEqual(nextCronRun('0 9 * * 1-5', friday), new Date(2026, 4, 18, 9, 0));
+
+    // Strictly after: a matching minute moves on to the next one
+    assert.deepEqual(nextCronRun('30 10 * * *', new Date(2026, 4, 15, 10, 30)), new Date(2026, 4, 16, 10, 30));
+
+    // Both day fields restricted: either one matches, so the next Friday comes before the 13th
+    assert.deepEqual(nextCronRun('0 0 13 * 5', new Date(2026, 4, 15, 10, 0)), new Date(2026, 4, 22, 0, 0));
+
+    assert.throws(() => nextCronRun('0 0 31 2 *', friday), /never matches/);
+});
+
+test('schedule() validates its input', async () => {
+    const scheduler = createScheduler();
+
+    await assert.rejects(scheduler.schedule({ handle: '+15551234567', text: 'hi' }), /exactly one of sendAt or cron/);
+    await assert.rejects(
+        scheduler.schedule({ handle: '+15551234567', text: 'hi', sendAt: new Date(), cron: '@daily' }),
+        /exactly one of sendAt or cron/
+    );
+    await assert.rejects(
+        scheduler.schedule({ handle: '+15551234567', text: 'hi', sendAt: new Date(Date.now() - 10 * 60 * 1000) }),
+        /in the past/
+    );
+    await assert.rejects(scheduler.schedule({ handle: '+15551234567', text: 'hi', sendAt: 'soon' }), /valid date/);
+    await assert.rejects(scheduler.schedule({ handle: '+15551234567', text: '   ', sendAt: new Date() }), /must not be empty/);
+});
+
+test('a due one-off message is queued once and then removed', async () => {
+    const store = createStore();
+    const scheduler = createScheduler(store);
+
+    const later = await scheduler.schedule({ handle: '+15551234567', text: 'later', sendAt: new Date(Date.now() + 60 * 60 * 1000) });
+    const now = await scheduler.schedule({ chatId: 'chat123456789', text: 'now', sendAt: new Date() });
+
+    await scheduler.runDue();
+    await scheduler.runDue();
+
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].chatId, 'chat123456789');
+    assert.equal(queued[0].text, 'now');
+    assert.equal(queued[0].idempotencyKey, `scheduled:${now.id}:${now.nextRunAt}`);
+    assert.deepEqual((await scheduler.list()).map((s) => s.id), [later.id]);
+});
+
+test('a due cron message is queued and moves on to its next run', async () => {
+    const store = createStore();
+    const scheduler = createScheduler(store);
+
+    const daily = await scheduler.schedule({ handle: '+15551234567', text: 'stand-up', cron: '0 9 * * *' });
+    // Pretend the run was due an hour ago
+    const runAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    store.scheduled.get(daily.id).nextRunAt = runAt;
+
+    await scheduler.runDue();
+
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].idempotencyKey, `scheduled:${daily.id}:${runAt}`);
+    const [after] = await scheduler.list('+15551234567');
+    assert.equal(after.runCount, 1);
+    assert.ok(new Date(after.nextRunAt) > new Date());
+    assert.equal(new Date(after.nextRunAt).getHours(), 9);
+});
+
+test('two schedulers sharing a store send each run once', async () => {
+    const store = createStore();
+    const first = createScheduler(store);
+    const second = new MessageScheduler({ conversationStore: store });
+
+    await first.schedule({ handle: '+15551234567', text: 'just once', sendAt: new Date() });
+    await Promise.all([first.runDue(), second.runDue()]);
+
+    assert.equal(queued.length, 1);
+    assert.equal((await first.list()).length, 0);
+});
+
+test('cancel() only touches the given conversation when one is named', async () => {
+    const scheduler = createScheduler();
+    const mine = await scheduler.schedule({ handle: '+15551234567', text: 'mine', cron: '@weekly' });
+
+    assert.equal(await scheduler.cancel(mine.id, '+15559876543'), false);
+    assert.equal(await scheduler.cancel(mine.id, '+15551234567'), true);
+    assert.equal((await scheduler.list()).length, 0);
+});
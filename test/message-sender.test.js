@@ -0,0 +1,159 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, delimiter } from 'path';
+import { AppleScriptTransport } from '../lib/applescript-transport.js';
+import { MockTransport } from '../lib/mock-transport.js';
+import { setTransport } from '../lib/transport.js';
+import { normalizeHandle, normalizeMessage, sendText, sendToChat } from '../lib/message-sender.js';
+
+/**
+ * Message Sender tests - Adversarial text through the osascript argv path
+ * A fake `osascript` on PATH records the argv it is started with, so these
+ * check what a real child process receives, on any OS.
+ *
+ * Run with: node --test test/
+ */
+
+const ADVERSARIAL = [
+    'He said "hi" and left',
+    "it's a 'quoted' word",
+    'back\\slash, \\" and a literal \\n',
+    'line one\nline two\r\nline three',
+    '-e display dialog "pwned"',
+    '--help',
+    '" & (do shell script "touch /tmp/pwned") & "',
+    'end tell\nend run\ndo shell script "id"',
+    '$(touch /tmp/pwned) `id` ; rm -rf ~ | cat && echo > /dev/null <x',
+    '%s %n {{name}} ¬ « »',
+    'emoji 🚀 👩‍👩‍👧 ❤️ and combining é',
+    '\ttabs\tand trailing spaces  ',
+];
+
+let dir;
+let logPath;
+let originalPath;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'message-sender-test-'));
+    logPath = join(dir, 'argv.log');
+    writeFileSync(
+        join(dir, 'osascript'),
+        `#!/usr/bin/env node\nrequire('fs').appendFileSync(${JSON.stringify(logPath)}, JSON.stringify(process.argv.slice(2)) + '\\n');\n`
+    );
+    chmodSync(join(dir, 'osascript'), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${dir}${delimiter}${originalPath}`;
+});
+
+after(() => {
+    process.env.PATH = originalPath;
+    rmSync(dir, { recursive: true, force: true });
+});
+
+// The argv of every osascript run so far, oldest first
+function osascriptCalls() {
+    return readFileSync(logPath, 'utf-8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+test('send() passes handle and text to osascript as separate argv items', async () => {
+    const transport = new AppleScriptTransport();
+
+    for (const text of ADVERSARIAL) {
+        await transport.send('+15551234567', text, { service: 'iMessage' });
+    }
+
+    const calls = osascriptCalls();
+    assert.equal(calls.length, ADVERSARIAL.length);
+
+    const script = calls[0][1];
+    calls.forEach((argv, i) => {
+        assert.deepEqual(argv, ['-e', script, '+15551234567', ADVERSARIAL[i], 'false']);
+    });
+    // The script is the same for every text, so nothing was spliced into it
+    assert.match(script, /on run argv/);
+    assert.match(script, /set messageText to item 2 of argv/);
+});
+
+test('send() passes newContact as its own argument', async () => {
+    const transport = new AppleScriptTransport();
+    const count = osascriptCalls().length;
+
+    await transport.send('someone@example.com', '-', { service: 'SMS', newContact: true });
+
+    const argv = osascriptCalls()[count];
+    assert.deepEqual(argv.slice(2), ['someone@example.com', '-', 'true']);
+    assert.match(argv[1], /service type = SMS/);
+});
+
+test('send() rejects services it does not know before running anything', async () => {
+    const transport = new AppleScriptTransport();
+    const count = osascriptCalls().length;
+
+    await assert.rejects(
+        transport.send('+15551234567', 'hi', { service: 'iMessage\nend tell' }),
+        /Unsupported service/
+    );
+    assert.equal(osascriptCalls().length, count);
+});
+
+test('group chat texts travel as argv too', async () => {
+    const transport = new AppleScriptTransport();
+    const count = osascriptCalls().length;
+    const chatGuid = 'iMessage;+;chat123456789';
+
+    for (const text of ADVERSARIAL) {
+        await transport.sendToChat(chatGuid, text);
+    }
+
+    const calls = osascriptCalls().slice(count);
+    calls.forEach((argv, i) => {
+        assert.deepEqual(argv, ['-e', calls[0][1], chatGuid, ADVERSARIAL[i], 'false']);
+    });
+});
+
+test('normalizeHandle() rejects handles osascript could read as options', () => {
+    assert.throws(() => normalizeHandle('-e'), /must not start with "-"/);
+    assert.throws(() => normalizeHandle('  --help'), /must not start with "-"/);
+    assert.throws(() => normalizeHandle('+1555\n1234'), /control characters/);
+    assert.throws(() => normalizeHandle('   '), /must not be empty/);
+    assert.throws(() => normalizeHandle(null), /must be a string/);
+    assert.equal(normalizeHandle(' +15551234567 '), '+15551234567');
+});
+
+test('normalizeMessage() keeps every character but NUL', () => {
+    for (const text of ADVERSARIAL) {
+        assert.equal(normalizeMessage(text), text);
+    }
+    assert.equal(normalizeMessage('a\u0000b'), 'ab');
+    assert.throws(() => normalizeMessage(42), /must be a string/);
+});
+
+test('sendText() and sendToChat() hand the transport the exact text', async () => {
+    const mock = new MockTransport();
+    setTransport(mock);
+    const sent = [];
+    mock.send = async (to, text, options) => sent.push({ to, text, options });
+    mock.sendToChat = async (to, text) => sent.push({ to, text });
+
+    try {
+        for (const text of ADVERSARIAL) {
+            await sendText('+15551234567', text, { track: false });
+            await sendToChat('chat123456789', text, { track: false });
+        }
+        await assert.rejects(sendText('-e', 'hi', { track: false }), /must not start with "-"/);
+        await assert.rejects(sendToChat('+15551234567', 'hi', { track: false }), /chat GUID or room name/);
+    } finally {
+        setTransport(null);
+    }
+
+    assert.deepEqual(
+        sent.map(({ to, text }) => [to, text]),
+        ADVERSARIAL.flatMap((text) => [
+            ['+15551234567', text],
+            ['chat123456789', text],
+        ])
+    );
+    assert.equal(sent[0].options.service, 'iMessage');
+});
@@ -0,0 +1,128 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateText } from 'ai';
+import { MockLanguageModelV1 } from 'ai/test';
+import { createModelRegistry, parseModelChain } from '../lib/model-registry.js';
+
+/**
+ * Model Registry tests - Chain parsing, credentials, and falling back to the
+ * next model when one errors
+ *
+ * Run with: node --test test/
+ */
+
+before(() => {
+    mock.method(console, 'warn', () => {});
+});
+
+// A model that answers with its own name, or fails with `error`
+function fakeModel(name, error = null) {
+    const model = new MockLanguageModelV1({
+        modelId: name,
+        doGenerate: async () => {
+            model.calls++;
+            if (error) throw new Error(error);
+            return {
+                rawCall: { rawPrompt: null, rawSettings: {} },
+                finishReason: 'stop',
+                usage: { promptTokens: 1, completionTokens: 1 },
+                text: `answered by ${name}`,
+            };
+        },
+    });
+    model.calls = 0;
+    return model;
+}
+
+// A registry whose providers hand out the given fake models by label
+function createRegistry(models, options = {}) {
+    const registry = createModelRegistry({ env: { OPENAI_API_KEY: 'test' }, cooldownMs: 60 * 1000, ...options });
+    registry.load = async (entry) => models[entry.label];
+    return registry;
+}
+
+test('parseModelChain reads providers, defaults to OpenAI and rejects typos', () => {
+    assert.deepEqual(parseModelChain('gpt-4o, local:llama3.1'), [
+        { provider: 'openai', modelId: 'gpt-4o', label: 'openai:gpt-4o' },
+        { provider: 'local', modelId: 'llama3.1', label: 'local:llama3.1' },
+    ]);
+    assert.throws(() => parseModelChain('opneai:gpt-4o'), /Unknown model provider "opneai"/);
+    assert.throws(() => parseModelChain('local:'), /Missing model name/);
+});
+
+test('models without credentials are left out of the chain', () => {
+    const registry = createRegistry({}, { tasks: { chat: 'anthropic:claude-3-5-haiku-latest, openai:gpt-4o' } });
+    assert.equal(registry.describe('chat'), 'openai:gpt-4o');
+
+    const unconfigured = createModelRegistry({ env: {}, tasks: { chat: 'openai:gpt-4o' } });
+    assert.throws(() => unconfigured.getModel('chat'), /No usable model for chat .*set OPENAI_API_KEY/);
+});
+
+test('triage and vision use the chat models unless configured', () => {
+    const registry = createModelRegistry({ env: { AI_MODEL: 'openai:gpt-4o', AI_VISION_MODEL: 'local:llava' } });
+    assert.equal(registry.specFor('triage'), 'openai:gpt-4o');
+    assert.equal(registry.specFor('vision'), 'local:llava');
+    assert.throws(() => registry.specFor('poetry'), /Unknown model task/);
+});
+
+test('falls back to the next model when one errors, then skips it while it cools down', async () => {
+    const primary = fakeModel('primary', 'rate limited');
+    const backup = fakeModel('backup');
+    const registry = createRegistry(
+        { 'openai:primary': primary, 'local:backup': backup },
+        { tasks: { chat: 'openai:primary, local:backup' } }
+    );
+    const model = registry.getModel('chat');
+
+    const first = await generateText({ model, prompt: 'hi' });
+    assert.equal(first.text, 'answered by backup');
+    assert.equal(primary.calls, 1);
+
+    const second = await generateText({ model, prompt: 'hi again' });
+    assert.equal(second.text, 'answered by backup');
+    assert.equal(primary.calls, 1);
+    assert.equal(backup.calls, 2);
+});
+
+test('a model is tried again once its cooldown has passed', async () => {
+    const flaky = fakeModel('primary', 'timeout');
+    const primary = fakeModel('primary');
+    const models = { 'openai:primary': flaky, 'local:backup': fakeModel('backup') };
+    const registry = createRegistry(models, { tasks: { chat: 'openai:primary, local:backup' }, cooldownMs: 0 });
+    const model = registry.getModel('chat');
+
+    assert.equal((await generateText({ model, prompt: 'hi' })).text, 'answered by backup');
+    models['openai:primary'] = primary;
+    assert.equal((await generateText({ model, prompt: 'hi' })).text, 'answered by primary');
+});
+
+test('the last error surfaces when every model fails', async () => {
+    const registry = createRegistry(
+        { 'openai:a': fakeModel('a', 'quota exceeded'), 'local:b': fakeModel('b', 'connection refused') },
+        { tasks: { chat: 'openai:a, local:b' } }
+    );
+
+    await assert.rejects(generateText({ model: registry.getModel('chat'), prompt: 'hi', maxRetries: 0 }), /connection refused/);
+});
+
+test('a cancelled call does not fall back', async () => {
+    const controller = new AbortController();
+    const primary = new MockLanguageModelV1({
+        doGenerate: async () => {
+            controller.abort();
+            throw new Error('aborted');
+        },
+    });
+    const backup = fakeModel('backup');
+    const registry = createRegistry(
+        { 'openai:primary': primary, 'local:backup': backup },
+        { tasks: { chat: 'openai:primary, local:backup' } }
+    );
+
+    await assert.rejects(
+        generateText({ model: registry.getModel('chat'), prompt: 'hi', abortSignal: controller.signal, maxRetries: 0 })
+    );
+    assert.equal(backup.calls, 0);
+    // Not the model's fault, so no cooldown either
+    assert.equal(registry.failedUntil.size, 0);
+});
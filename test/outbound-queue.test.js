@@ -0,0 +1,178 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockTransport } from '../lib/mock-transport.js';
+import { setTransport } from '../lib/transport.js';
+import OutboundQueue, { queuePathFor } from '../lib/outbound-queue.js';
+
+/**
+ * Outbound Queue tests - Ordering, pacing, retries, idempotency and the
+ * queue file, against the mock transport with short delays
+ *
+ * Run with: node --test test/
+ */
+
+let dir;
+let transport;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    dir = mkdtempSync(join(tmpdir(), 'outbound-queue-test-'));
+    process.env.ATTACHMENT_OUTBOX_DIR = join(dir, 'outbox');
+});
+
+after(() => {
+    delete process.env.ATTACHMENT_OUTBOX_DIR;
+    rmSync(dir, { recursive: true, force: true });
+});
+
+// A queue with its own file and delays short enough for tests
+function createQueue(name, options = {}) {
+    transport = new MockTransport({ silent: true });
+    setTransport(transport);
+    return new OutboundQueue({
+        path: join(dir, `${name}.json`),
+        typingMinMs: 0,
+        typingPerCharMs: 0,
+        typingMaxMs: 0,
+        backoffMs: 10,
+        saveDelayMs: 10,
+        ...options,
+    });
+}
+
+// Fail the next `count` text sends with `message`
+function failSends(count, message = 'Messages.app is not running') {
+    const send = transport.send.bind(transport);
+    let failures = 0;
+    transport.send = async (...args) => {
+        if (failures++ < count) throw new Error(message);
+        return send(...args);
+    };
+}
+
+test('sends each recipient its texts in order, after a typing delay', async () => {
+    const queue = createQueue('order', { typingMinMs: 40, typingMaxMs: 40 });
+    const startedAt = Date.now();
+
+    const jobs = [
+        queue.enqueue({ handle: '+15551234567', text: 'one', track: false }),
+        queue.enqueue({ handle: '+15559876543', text: 'hello', track: false }),
+        queue.enqueue({ handle: '+15551234567', text: 'two', track: false }),
+        queue.enqueue({ handle: '+15551234567', text: 'three', track: false }),
+    ];
+    await Promise.all(jobs.map((job) => queue.waitFor(job.id)));
+
+    const to = (handle) => transport.sent.filter((sent) => sent.handle === handle).map((sent) => sent.content);
+    assert.deepEqual(to('+15551234567'), ['one', 'two', 'three']);
+    assert.deepEqual(to('+15559876543'), ['hello']);
+    // Three texts one after another, each typed for at least 85% of 40ms
+    assert.ok(Date.now() - startedAt >= 3 * 34);
+    await queue.flush();
+});
+
+test('retries a failed send with backoff', async () => {
+    const queue = createQueue('retry');
+    failSends(2);
+
+    const job = queue.enqueue({ handle: '+15551234567', text: 'try again', track: false });
+    const sent = await queue.waitFor(job.id);
+
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 3);
+    assert.equal(sent.error, null);
+    assert.deepEqual(transport.sent.map((entry) => entry.content), ['try again']);
+    await queue.flush();
+});
+
+test('gives up after maxAttempts and emits failed', async () => {
+    const queue = createQueue('give-up', { maxAttempts: 2 });
+    failSends(Infinity, 'no such buddy');
+    const failed = [];
+    queue.on('failed', (job) => failed.push(job));
+
+    const job = queue.enqueue({ handle: '+15551234567', text: 'never arrives', track: false });
+    await assert.rejects(queue.waitFor(job.id), /no such buddy/);
+
+    assert.equal(queue.getJob(job.id).status, 'failed');
+    assert.equal(queue.getJob(job.id).attempts, 2);
+    assert.deepEqual(failed.map((entry) => entry.id), [job.id]);
+    assert.equal(transport.sent.length, 0);
+    await queue.flush();
+});
+
+test('enqueuing an idempotency key twice sends once', async () => {
+    const queue = createQueue('idempotent');
+
+    const first = queue.enqueue({ handle: '+15551234567', text: 'only once', idempotencyKey: 'reply-42', track: false });
+    const second = queue.enqueue({ handle: '+15551234567', text: 'only once', idempotencyKey: 'reply-42', track: false });
+    assert.equal(second.id, first.id);
+
+    await queue.waitFor(first.id);
+    const third = queue.enqueue({ handle: '+15551234567', text: 'only once', idempotencyKey: 'reply-42', track: false });
+    assert.equal(third.id, first.id);
+    assert.equal(third.status, 'sent');
+    assert.equal(transport.sent.length, 1);
+    await queue.flush();
+});
+
+test('sends queued files to group chats through the attachment sender', async () => {
+    const queue = createQueue('files');
+    mkdirSync(process.env.ATTACHMENT_OUTBOX_DIR, { recursive: true });
+    const photo = join(process.env.ATTACHMENT_OUTBOX_DIR, 'receipt.jpg');
+    writeFileSync(photo, 'jpeg');
+
+    const job = queue.enqueue({ chatId: 'chat123456789', file: photo, track: false });
+    await queue.waitFor(job.id);
+
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].type, 'file');
+    assert.equal(transport.sent[0].chatId, 'chat123456789');
+    assert.match(transport.sent[0].content, /receipt\.jpg$/);
+    await queue.flush();
+});
+
+test('writes the queue file once a burst of changes settles, and resumes from it', async () => {
+    const queue = createQueue('persist');
+    const job = queue.enqueue({ handle: '+15551234567', text: 'saved', track: false });
+    await queue.waitFor(job.id);
+    await queue.flush();
+
+    const saved = JSON.parse(readFileSync(join(dir, 'persist.json'), 'utf-8'));
+    assert.deepEqual(saved.jobs.map(({ text, status }) => ({ text, status })), [{ text: 'saved', status: 'sent' }]);
+
+    // A job that was mid-send when the process stopped goes out again
+    writeFileSync(
+        join(dir, 'resume.json'),
+        JSON.stringify({ jobs: [{ ...saved.jobs[0], id: 'left-over', idempotencyKey: null, text: 'resumed', status: 'sending', sentAt: null }] })
+    );
+    const restarted = createQueue('resume');
+    assert.equal(restarted.pending().length, 1);
+    await restarted.waitFor('left-over');
+    assert.deepEqual(transport.sent.map((entry) => entry.content), ['resumed']);
+    await restarted.flush();
+});
+
+test('forgets finished jobs once the retention window has passed', async () => {
+    const queue = createQueue('prune', { retentionMs: 20 });
+    const job = queue.enqueue({ handle: '+15551234567', text: 'short lived', idempotencyKey: 'k', track: false });
+    await queue.waitFor(job.id);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    queue.pump();
+    assert.equal(queue.getJob(job.id), null);
+
+    const again = queue.enqueue({ handle: '+15551234567', text: 'short lived', idempotencyKey: 'k', track: false });
+    assert.notEqual(again.id, job.id);
+    await queue.waitFor(again.id);
+    await queue.flush();
+});
+
+test('queuePathFor gives each process its own file', () => {
+    assert.equal(queuePathFor('/q/outbound-queue.json', '/app/server.js'), '/q/outbound-queue-server.json');
+    assert.equal(queuePathFor('/q/outbound-queue.json', '/app/smart_listener.js'), '/q/outbound-queue-smart_listener.json');
+    assert.equal(queuePathFor('/q/outbound', null), '/q/outbound-node.json');
+});
@@ -0,0 +1,130 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { tool } from 'ai';
+import { MockLanguageModelV1, convertArrayToReadableStream } from 'ai/test';
+import { z } from 'zod';
+import { createBubbleSplitter } from '../lib/reply-bubbles.js';
+import { outboundQueue } from '../lib/outbound-queue.js';
+import { createToolContext } from '../lib/tool-context.js';
+import AIChatHandler from '../lib/ai-chat-handler.js';
+
+/**
+ * Reply Bubbles tests - Where a streamed reply is cut into texts, and that a
+ * streamed reply only sends the steps that don't skip or wait
+ *
+ * Run with: node --test test/
+ */
+
+let queued;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(outboundQueue, 'enqueue', (job) => {
+        queued.push(job);
+        return { id: `job${queued.length}` };
+    });
+});
+
+// Feed the text in small chunks, the way a model streams it
+function split(text, options = {}, chunkSize = 3) {
+    const splitter = createBubbleSplitter(options);
+    const bubbles = [];
+    for (let i = 0; i < text.length; i += chunkSize) {
+        bubbles.push(...splitter.push(text.slice(i, i + chunkSize)));
+    }
+    return [...bubbles, ...splitter.flush()];
+}
+
+test('every line is a bubble of its own, blank lines are dropped', () => {
+    assert.deepEqual(split('hey!\n\nwhat are you up to\nlol'), ['hey!', 'what are you up to', 'lol']);
+});
+
+test('short sentences stay together until minChars', () => {
+    assert.deepEqual(split('Sure! On it. I will book the table for four at eight tonight. Anything else?'), [
+        'Sure! On it. I will book the table for four at eight tonight.',
+        'Anything else?',
+    ]);
+});
+
+test('abbreviations and decimals do not end a sentence', () => {
+    const text = 'Your appointment with Dr. Patel is confirmed for tomorrow. ETH is at 3421.50 now, e.g. up a bit today. Want alerts?';
+    assert.deepEqual(split(text, { minChars: 10 }), [
+        'Your appointment with Dr. Patel is confirmed for tomorrow.',
+        'ETH is at 3421.50 now, e.g. up a bit today.',
+        'Want alerts?',
+    ]);
+});
+
+test('a long line without a sentence end is cut at a space', () => {
+    const bubbles = split('word '.repeat(30).trim(), { maxChars: 50 });
+
+    assert.ok(bubbles.length > 1);
+    assert.ok(bubbles.every((bubble) => bubble.length <= 50 && !bubble.includes('  ')));
+    assert.equal(bubbles.join(' '), 'word '.repeat(30).trim());
+});
+
+// A model that streams one step per entry: text, then optional tool calls
+function streamingModel(steps) {
+    let step = 0;
+    return new MockLanguageModelV1({
+        doStream: async () => {
+            const { text, toolCalls = [] } = steps[step++];
+            return {
+                rawCall: { rawPrompt: null, rawSettings: {} },
+                stream: convertArrayToReadableStream([
+                    ...text.match(/.{1,4}/gs).map((textDelta) => ({ type: 'text-delta', textDelta })),
+                    ...toolCalls.map((toolName, i) => ({
+                        type: 'tool-call',
+                        toolCallType: 'function',
+                        toolCallId: `call${step}-${i}`,
+                        toolName,
+                        args: '{}',
+                    })),
+                    {
+                        type: 'finish',
+                        finishReason: toolCalls.length ? 'tool-calls' : 'stop',
+                        usage: { promptTokens: 1, completionTokens: 1 },
+                    },
+                ]),
+            };
+        },
+    });
+}
+
+const noop = tool({ parameters: z.object({}), execute: async () => ({ success: true }) });
+
+function streamReply(steps) {
+    queued = [];
+    const generation = {
+        model: streamingModel(steps),
+        prompt: 'hi',
+        tools: { lookupContact: noop, skipResponse: noop },
+        maxSteps: steps.length,
+    };
+    return AIChatHandler.prototype.streamReply.call({}, generation, {
+        toolContext: createToolContext({ handle: '+15551234567' }),
+        incomingMessage: { guid: 'msg1' },
+        conversationKey: '+15551234567',
+    });
+}
+
+test('a streamed reply sends each step once it ends', async () => {
+    const result = await streamReply([
+        { text: 'Let me check.', toolCalls: ['lookupContact'] },
+        { text: 'Found her!\nShe is free at 8.' },
+    ]);
+
+    assert.deepEqual(queued.map((job) => job.text), ['Let me check.', 'Found her!', 'She is free at 8.']);
+    assert.deepEqual(queued.map((job) => job.idempotencyKey), ['msg1:reply:0', 'msg1:reply:1', 'msg1:reply:2']);
+    assert.deepEqual(result.messageIds, ['job1', 'job2', 'job3']);
+});
+
+test('nothing from a step that skips the reply is sent', async () => {
+    const result = await streamReply([
+        { text: 'Sure, I will stay out of this one and let them talk. Bye!', toolCalls: ['skipResponse'] },
+        { text: 'Done.' },
+    ]);
+
+    assert.deepEqual(queued, []);
+    assert.equal(result.text, '');
+});
@@ -0,0 +1,131 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmartMessageListener } from '../smart_listener.js';
+
+/**
+ * Smart Listener tests - Bursts of texts answered as one turn, superseded
+ * replies, and when a message counts as handled for the checkpoint
+ *
+ * Run with: node --test test/
+ */
+
+let originalMongoUrl;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    // The constructor builds a conversation store; don't wait on a real server
+    originalMongoUrl = process.env.MONGO_URL;
+    process.env.MONGO_URL = 'mongodb://127.0.0.1:9/?serverSelectionTimeoutMS=50';
+});
+
+after(() => {
+    if (originalMongoUrl === undefined) delete process.env.MONGO_URL;
+    else process.env.MONGO_URL = originalMongoUrl;
+});
+
+// An AI handler whose replies finish when the test says so, or when aborted
+function createFakeAIHandler() {
+    const handler = {
+        recorded: [],
+        replies: [],
+        async recordIncomingMessage(message) {
+            handler.recorded.push(message.text);
+        },
+        handleIncomingMessage(message, options) {
+            return new Promise((resolve) => {
+                const reply = { text: message.text, options, finish: () => resolve({ success: true, toolCalls: [], aiResponse: 'ok' }) };
+                options.abortSignal.addEventListener('abort', () => resolve({ superseded: true }));
+                handler.replies.push(reply);
+            });
+        },
+    };
+    return handler;
+}
+
+function createListener(options = {}) {
+    const listener = new SmartMessageListener({ quietPeriodMs: 20, maxWaitMs: 1000, ...options });
+    listener.aiHandler = createFakeAIHandler();
+    listener.aiAvailable = true;
+    listener.enabled = true;
+    return listener;
+}
+
+function text(body, rowId) {
+    return { rowId, handle: '+15551234567', text: body, fromMe: false, date: new Date() };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Whether a promise has settled by the time pending callbacks have run
+function isSettled(promise) {
+    return Promise.race([promise.then(() => true), new Promise((resolve) => setImmediate(() => resolve(false)))]);
+}
+
+test('a burst of texts is answered once, replying to the latest', async () => {
+    const listener = createListener();
+    const first = await listener.handleMessage(text('hey', 1));
+    const second = await listener.handleMessage(text('are you around?', 2));
+
+    assert.deepEqual(listener.aiHandler.recorded, ['hey', 'are you around?']);
+    await sleep(40);
+
+    const { replies } = listener.aiHandler;
+    assert.equal(replies.length, 1);
+    assert.equal(replies[0].text, 'are you around?');
+    assert.equal(replies[0].options.recorded, true);
+    replies[0].finish();
+    await Promise.all([first.answered, second.answered]);
+});
+
+test('a message is not handled until the reply covering it has finished', async () => {
+    const listener = createListener();
+    const reply = await listener.handleMessage(text('what time is it?', 1));
+
+    // Still inside the quiet period, then still being answered
+    assert.equal(await isSettled(reply.answered), false);
+    await sleep(40);
+    assert.equal(listener.aiHandler.replies.length, 1);
+    assert.equal(await isSettled(reply.answered), false);
+
+    listener.aiHandler.replies[0].finish();
+    assert.equal(await isSettled(reply.answered), true);
+});
+
+test('a new text supersedes the reply in progress and is answered with it', async () => {
+    const listener = createListener();
+    const first = await listener.handleMessage(text('book a table', 1));
+    await sleep(40);
+
+    const second = await listener.handleMessage(text('actually make it 8pm', 2));
+    // The first reply was cancelled; its message is in history for the next one
+    await first.answered;
+    assert.equal(await isSettled(second.answered), false);
+
+    await sleep(40);
+    const { replies } = listener.aiHandler;
+    assert.equal(replies.length, 2);
+    assert.equal(replies[0].options.abortSignal.aborted, true);
+    assert.equal(replies[1].text, 'actually make it 8pm');
+
+    replies[1].finish();
+    await second.answered;
+    assert.equal(listener.bursts.size, 0);
+});
+
+test('a steady stream of texts is answered by maxWaitMs', async () => {
+    const listener = createListener({ quietPeriodMs: 30, maxWaitMs: 60 });
+    const startedAt = Date.now();
+
+    for (let i = 1; i <= 6; i++) {
+        await listener.handleMessage(text(`part ${i}`, i));
+        await sleep(15);
+    }
+
+    const { replies } = listener.aiHandler;
+    assert.ok(replies.length >= 1);
+    assert.ok(Date.now() - startedAt < 60 + 6 * 15 + 50);
+    replies.forEach((reply) => reply.finish());
+    listener.stop();
+});
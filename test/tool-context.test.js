@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateText } from 'ai';
+import { MockLanguageModelV1 } from 'ai/test';
+import { z } from 'zod';
+import { contextTool, createToolContext, getToolContext, runWithToolContext } from '../lib/tool-context.js';
+
+/**
+ * Tool Context tests - Generations running side by side never see each
+ * other's conversation
+ *
+ * Run with: node --test test/
+ */
+
+// Resolves once `count` tool calls are in flight at the same time, so the
+// generations below are guaranteed to overlap
+function barrier(count) {
+    let arrived = 0;
+    let release;
+    const released = new Promise((resolve) => (release = resolve));
+    return () => {
+        arrived++;
+        if (arrived === count) release();
+        return released;
+    };
+}
+
+// A model that calls whoAmI twice, then answers once it has the results
+function scriptedModel() {
+    return new MockLanguageModelV1({
+        doGenerate: async ({ prompt }) => {
+            const answered = prompt.some((message) => message.role === 'tool');
+            return {
+                rawCall: { rawPrompt: null, rawSettings: {} },
+                usage: { promptTokens: 1, completionTokens: 1 },
+                ...(answered
+                    ? { finishReason: 'stop', text: 'done' }
+                    : {
+                          finishReason: 'tool-calls',
+                          toolCalls: [1, 2].map((call) => ({
+                              toolCallType: 'function',
+                              toolCallId: `call-${call}`,
+                              toolName: 'whoAmI',
+                              args: JSON.stringify({ call }),
+                          })),
+                      }),
+            };
+        },
+    });
+}
+
+test('overlapping generations each see only their own handle', async () => {
+    const arrive = barrier(4);
+    const seen = [];
+
+    const whoAmI = contextTool({
+        description: 'Report who the tool is acting for',
+        parameters: z.object({ call: z.number() }),
+        execute: async ({ call }, context) => {
+            const before = getToolContext().handle;
+            // Wait until both generations have both tool calls in flight
+            await arrive();
+            await new Promise((resolve) => setTimeout(resolve, call * 5));
+            seen.push({ handle: context.handle, before, after: getToolContext().handle });
+            return { handle: context.handle };
+        },
+    });
+
+    const generate = (handle, chatId = null) =>
+        runWithToolContext(createToolContext({ handle, chatId }), () =>
+            generateText({ model: scriptedModel(), prompt: 'hi', tools: { whoAmI }, maxSteps: 2 })
+        );
+
+    const [alice, bob] = await Promise.all([generate('+15550000001'), generate('+15550000002', 'chat42')]);
+
+    assert.equal(seen.length, 4);
+    for (const entry of seen) {
+        assert.equal(entry.before, entry.handle);
+        assert.equal(entry.after, entry.handle);
+    }
+    assert.deepEqual(
+        alice.steps[0].toolResults.map((result) => result.result.handle),
+        ['+15550000001', '+15550000001']
+    );
+    assert.deepEqual(
+        bob.steps[0].toolResults.map((result) => result.result.handle),
+        ['+15550000002', '+15550000002']
+    );
+    assert.equal(getToolContext(), null);
+});
+
+test('a tool run outside a generation gets no context', async () => {
+    const tool = contextTool({
+        description: 'Needs a conversation',
+        parameters: z.object({}),
+        execute: async (args, context) => ({ success: true, handle: context.handle }),
+    });
+
+    assert.deepEqual(await tool.execute({}, {}), {
+        success: false,
+        error: 'Tools can only run inside a conversation',
+        action: 'no_tool_context',
+    });
+});
+
+test('contexts are frozen and group chats get group permissions', () => {
+    const context = createToolContext({ handle: '+15550000001', chatId: 'chat42', permissions: null });
+
+    assert.equal(context.target, 'chat42');
+    assert.ok(Object.isFrozen(context));
+    assert.ok(Object.isFrozen(context.permissions));
+    assert.throws(() => {
+        context.handle = '+15550000002';
+    }, TypeError);
+    assert.ok(!context.permissions.includes('pay'));
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkScheduler } from '../lib/work-scheduler.js';
+
+/**
+ * Work Scheduler tests - Per-key order, the concurrency cap, and stats
+ *
+ * Run with: node --test test/
+ */
+
+// A task that records when it starts and finishes when released
+function controlledTask(log, name) {
+    let release;
+    const released = new Promise((resolve) => (release = resolve));
+    const task = async () => {
+        log.push(`start ${name}`);
+        await released;
+        log.push(`end ${name}`);
+        return name;
+    };
+    return { task, release };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('tasks for the same key run one at a time, in submit order', async () => {
+    const scheduler = createWorkScheduler({ maxConcurrency: 4 });
+    const log = [];
+    const first = controlledTask(log, 'a1');
+    const second = controlledTask(log, 'a2');
+
+    const results = [scheduler.run('a', first.task), scheduler.run('a', second.task)];
+    await tick();
+    assert.deepEqual(log, ['start a1']);
+
+    first.release();
+    second.release();
+    assert.deepEqual(await Promise.all(results), ['a1', 'a2']);
+    assert.deepEqual(log, ['start a1', 'end a1', 'start a2', 'end a2']);
+});
+
+test('different keys run side by side up to maxConcurrency', async () => {
+    const scheduler = createWorkScheduler({ maxConcurrency: 2 });
+    const log = [];
+    const tasks = ['a', 'b', 'c'].map((key) => ({ key, ...controlledTask(log, key) }));
+
+    const results = tasks.map(({ key, task }) => scheduler.run(key, task));
+    await tick();
+    assert.deepEqual(log, ['start a', 'start b']);
+    assert.equal(scheduler.stats().running, 2);
+    assert.equal(scheduler.stats().queued, 1);
+
+    tasks[1].release();
+    await tick();
+    assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c']);
+
+    tasks[0].release();
+    tasks[2].release();
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.equal(scheduler.stats().completed, 3);
+});
+
+test('a waiting key does not hold up other keys behind it', async () => {
+    const scheduler = createWorkScheduler({ maxConcurrency: 2 });
+    const log = [];
+    const a1 = controlledTask(log, 'a1');
+    const a2 = controlledTask(log, 'a2');
+    const b1 = controlledTask(log, 'b1');
+
+    const results = [scheduler.run('a', a1.task), scheduler.run('a', a2.task), scheduler.run('b', b1.task)];
+    await tick();
+    assert.deepEqual(log, ['start a1', 'start b1']);
+    assert.equal(scheduler.stats('a').queuedForKey, 1);
+
+    [a1, a2, b1].forEach(({ release }) => release());
+    await Promise.all(results);
+});
+
+test('null keys only count against the cap', async () => {
+    const scheduler = createWorkScheduler({ maxConcurrency: 3 });
+    const log = [];
+    const tasks = [1, 2, 3].map((n) => controlledTask(log, `n${n}`));
+
+    const results = tasks.map(({ task }) => scheduler.run(null, task));
+    await tick();
+    assert.deepEqual(log, ['start n1', 'start n2', 'start n3']);
+
+    tasks.forEach(({ release }) => release());
+    await Promise.all(results);
+});
+
+test('a failing task rejects its caller and frees its key', async () => {
+    const scheduler = createWorkScheduler({ maxConcurrency: 1 });
+
+    const failed = scheduler.run('a', async () => {
+        throw new Error('model unavailable');
+    });
+    const next = scheduler.run('a', async () => 'recovered');
+
+    await assert.rejects(failed, /model unavailable/);
+    assert.equal(await next, 'recovered');
+    assert.equal(scheduler.stats().running, 0);
+});